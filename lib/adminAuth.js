@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+/**
+ * OASIS Community Map - Admin authentication
+ * Bearer-token check for endpoints that change data on the server.
+ */
+
+/**
+ * Express middleware that only lets requests carrying the admin token through.
+ * When no token is configured the protected endpoints are disabled entirely.
+ *
+ * @param {string|undefined} token - Expected token (ADMIN_API_TOKEN)
+ */
+function requireAdminToken(token) {
+  const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({ error: 'Admin endpoints disabled: ADMIN_API_TOKEN is not configured' });
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    // Compare fixed-length digests so the check doesn't leak the token length or prefix
+    const provided = match ? crypto.createHash('sha256').update(match[1].trim()).digest() : null;
+
+    if (!provided || !crypto.timingSafeEqual(provided, expected)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Missing or invalid admin token' });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requireAdminToken
+};
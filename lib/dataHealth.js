@@ -0,0 +1,145 @@
+const { normalizeSystemName } = require('./systemNames');
+
+/**
+ * OASIS Community Map - Data health
+ * Cross-checks every system name referenced by the route sheet, fleet carrier
+ * locations, custom route CSVs, anchors and special systems against the
+ * coordinate database, so mismatches show up in one report instead of as
+ * scattered browser warnings.
+ */
+
+// Sources where the same system appearing twice, in one source or across
+// several, is a data entry mistake. Carriers parking in one system or at a
+// route system is normal, so fleetCarriers is left out.
+const DUPLICATE_SOURCES = ['route', 'customRoutes', 'anchors', 'specialSystems'];
+
+/**
+ * Flatten every data source into { source, name, ref } references
+ *
+ * @param {Object} sources
+ * @param {Object|null} sources.sheets - Processed sheets response ({ route, fleetCarriers })
+ * @param {Object} sources.customRoutes - Route name -> [{ id, system_name, status }]
+ * @param {Object[]} sources.anchors - [{ name }]
+ * @param {Object[]} sources.specialSystems - [{ system_name }]
+ * @returns {Object[]} References in source order
+ */
+function collectReferences({ sheets, customRoutes = {}, anchors = [], specialSystems = [] }) {
+  const references = [];
+  const add = (source, name, ref) => {
+    // Sheet cells may be numbers, so stringify before trimming
+    const text = String(name ?? '').trim();
+    if (text) {
+      references.push({ source, name: text, ref });
+    }
+  };
+
+  (sheets?.route || []).forEach((row, index) => add('route', row.system_name, `#${row['#'] ?? index + 1}`));
+  (sheets?.fleetCarriers || []).forEach(fc => add('fleetCarriers', fc.location, fc.callsign));
+  Object.entries(customRoutes).forEach(([routeName, systems]) => {
+    systems.forEach((system, index) => add('customRoutes', system.system_name, `${routeName} #${system.id || index + 1}`));
+  });
+  anchors.forEach((anchor, index) => add('anchors', anchor.name, `row ${index + 1}`));
+  specialSystems.forEach((system, index) => add('specialSystems', system.system_name, `row ${index + 1}`));
+
+  return references;
+}
+
+// Referenced names that aren't in the database, grouped by name with suggestions
+function findMissing(references, nameIndex) {
+  const missing = new Map();
+
+  references.forEach(({ source, name, ref }) => {
+    if (nameIndex.resolve(name)) return;
+
+    const key = normalizeSystemName(name);
+    if (!missing.has(key)) {
+      missing.set(key, { name, suggestions: nameIndex.suggest(name), references: [] });
+    }
+    missing.get(key).references.push({ source, ref });
+  });
+
+  return [...missing.values()];
+}
+
+// Names listed more than once across the duplicate-checked sources, whether
+// twice in one source or once each in several, grouped by normalized name
+function findDuplicates(references) {
+  const groups = new Map();
+
+  references
+    .filter(({ source }) => DUPLICATE_SOURCES.includes(source))
+    .forEach(({ source, name, ref }) => {
+      const key = normalizeSystemName(name);
+      if (!groups.has(key)) {
+        groups.set(key, { name, sources: [], references: [] });
+      }
+      const group = groups.get(key);
+      if (!group.sources.includes(source)) group.sources.push(source);
+      group.references.push({ source, ref });
+    });
+
+  return [...groups.values()].filter(group => group.references.length > 1);
+}
+
+// Systems the sheet has claimed or completed that a custom route also lists
+function findClaimedInBoth(sheets, customRoutes = {}) {
+  const routeEntries = new Map();
+  Object.entries(customRoutes).forEach(([routeName, systems]) => {
+    systems.forEach(system => {
+      const key = normalizeSystemName(system.system_name);
+      if (!key) return;
+      if (!routeEntries.has(key)) routeEntries.set(key, []);
+      routeEntries.get(key).push({ route: routeName, id: system.id, status: system.status });
+    });
+  });
+
+  return (sheets?.route || [])
+    .filter(row => (row['claimed?_'] === true || row['completed?_'] === true) &&
+      routeEntries.has(normalizeSystemName(row.system_name)))
+    .map(row => ({
+      name: row.system_name,
+      sheet: {
+        row: row['#'],
+        claimed: row['claimed?_'],
+        completed: row['completed?_'],
+        architect: row['architect?_'] || null
+      },
+      customRoutes: routeEntries.get(normalizeSystemName(row.system_name))
+    }));
+}
+
+/**
+ * Build the data health report
+ *
+ * @param {Object} options
+ * @param {SystemNameIndex|null} options.nameIndex - Index of the coordinate database, null if not loaded
+ * @param {Object} options.sources - See collectReferences
+ * @returns {Object} { summary, missing, duplicates, claimedInBoth, ... }
+ */
+function buildDataHealthReport({ nameIndex, sources }) {
+  const references = collectReferences(sources);
+  const missing = nameIndex ? findMissing(references, nameIndex) : [];
+  const duplicates = findDuplicates(references);
+  const claimedInBoth = findClaimedInBoth(sources.sheets, sources.customRoutes);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    databaseLoaded: !!nameIndex,
+    databaseSystems: nameIndex?.size || 0,
+    sheetsAvailable: !!sources.sheets,
+    summary: {
+      references: references.length,
+      missing: missing.length,
+      duplicates: duplicates.length,
+      claimedInBoth: claimedInBoth.length
+    },
+    missing,
+    duplicates,
+    claimedInBoth
+  };
+}
+
+module.exports = {
+  buildDataHealthReport,
+  collectReferences
+};
@@ -0,0 +1,109 @@
+/**
+ * OASIS Community Map - Data file watcher
+ * Watches the data directory and reports each changed file once its burst of
+ * writes has settled (editors and copies of large files write in several steps).
+ */
+const fs = require('fs');
+const path = require('path');
+
+class DataWatcher {
+  /**
+   * @param {string} rootDir - Directory to watch
+   * @param {Object} options
+   * @param {Function} options.onChange - Called with the path relative to rootDir (e.g. 'routes/foo.csv');
+   *   calls are serialized so one reload finishes before the next starts
+   * @param {string[]} [options.subdirectories] - Direct subdirectories to watch too (fs.watch isn't
+   *   recursive everywhere); one missing at start is watched once it is created
+   * @param {number} [options.debounceMs] - Quiet period after the last event before reporting a file
+   */
+  constructor(rootDir, { onChange, subdirectories = [], debounceMs = 500 }) {
+    this.rootDir = rootDir;
+    this.onChange = onChange;
+    this.subdirectories = subdirectories;
+    this.debounceMs = debounceMs;
+    this.watchers = new Map(); // Subdirectory ('' for the root) -> fs.FSWatcher
+    this.timers = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  start() {
+    for (const dir of ['', ...this.subdirectories]) {
+      this.watchDirectory(dir);
+    }
+    return this;
+  }
+
+  /**
+   * @returns {boolean} True if a new watcher was started
+   */
+  watchDirectory(dir) {
+    const dirPath = path.join(this.rootDir, dir);
+    if (this.watchers.has(dir) || !isDirectory(dirPath)) return false;
+
+    const watcher = fs.watch(dirPath, (eventType, filename) => {
+      if (!filename || isIgnoredFile(filename)) return;
+      // A removed subdirectory reports itself; the root watcher handles that
+      if (dir !== '' && !isDirectory(dirPath)) return;
+      const name = filename.toString();
+      if (dir === '' && this.subdirectories.includes(name)) {
+        this.handleSubdirectoryChange(name);
+      } else {
+        this.schedule(path.posix.join(dir, name));
+      }
+    });
+    watcher.on('error', error => console.error(`❌ Stopped watching ${dirPath}:`, error.message));
+    this.watchers.set(dir, watcher);
+    return true;
+  }
+
+  // A watched subdirectory appeared in or disappeared from the root
+  handleSubdirectoryChange(dir) {
+    const dirPath = path.join(this.rootDir, dir);
+    if (!isDirectory(dirPath)) {
+      this.watchers.get(dir)?.close();
+      this.watchers.delete(dir);
+      return;
+    }
+    if (this.watchDirectory(dir)) {
+      // Files written before the watcher started would otherwise go unreported
+      fs.readdirSync(dirPath)
+        .filter(name => !isIgnoredFile(name))
+        .forEach(name => this.schedule(path.posix.join(dir, name)));
+    }
+  }
+
+  schedule(file) {
+    clearTimeout(this.timers.get(file));
+    this.timers.set(file, setTimeout(() => {
+      this.timers.delete(file);
+      this.queue = this.queue
+        .then(() => this.onChange(file))
+        .catch(error => console.error(`❌ Failed to reload ${file}:`, error));
+    }, this.debounceMs));
+  }
+
+  close() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+function isDirectory(dirPath) {
+  try {
+    return fs.statSync(dirPath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Hidden files, editor swap/backup files and atomic-write temp files
+function isIgnoredFile(filename) {
+  const name = filename.toString();
+  return name.startsWith('.') || name.endsWith('~') || /\.(tmp|swp|swx)$/.test(name);
+}
+
+module.exports = {
+  DataWatcher
+};
@@ -0,0 +1,71 @@
+/**
+ * OASIS Community Map - Live updates
+ * Server-Sent Events hub that pushes sheet changes to every open map.
+ */
+class LiveUpdates {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.heartbeatMs] - Interval for keep-alive comments so proxies don't drop idle streams
+   * @param {number} [options.retryMs] - Reconnect delay suggested to browsers
+   */
+  constructor({ heartbeatMs = 25 * 1000, retryMs = 5000 } = {}) {
+    this.clients = new Set();
+    this.retryMs = retryMs;
+    this.heartbeatTimer = setInterval(() => this.writeAll(': heartbeat\n\n'), heartbeatMs);
+    this.heartbeatTimer.unref();
+  }
+
+  get clientCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * Express handler that opens an event stream for the requesting client
+   */
+  handleConnection(req, res, hello = {}) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    this.clients.add(res);
+    this.write(res, `retry: ${this.retryMs}\n\n`);
+    this.write(res, formatEvent('hello', hello));
+    console.log(`📡 Live client connected (${this.clients.size} open)`);
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      console.log(`📡 Live client disconnected (${this.clients.size} open)`);
+    });
+  }
+
+  /**
+   * Send a named event with a JSON payload to every connected client
+   */
+  broadcast(event, data) {
+    this.writeAll(formatEvent(event, data));
+  }
+
+  writeAll(chunk) {
+    this.clients.forEach(res => this.write(res, chunk));
+  }
+
+  write(res, chunk) {
+    res.write(chunk);
+    // compression() buffers the response; flush so events go out immediately
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  }
+}
+
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+  LiveUpdates
+};
@@ -0,0 +1,129 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { normalizeHeader } = require('./sheetColumns');
+const { loadCsv } = require('./sharedModules');
+
+/**
+ * OASIS Community Map - Custom route files
+ * Validation and storage for the route CSVs in data/routes/. Uploaded files are
+ * checked against the coordinate database and rewritten in the canonical
+ * "ID,System Name,Status" layout that loadCustomRoutes reads.
+ */
+
+const ROUTE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+const ROUTE_COLUMNS = {
+  id: ['id', '#', 'no', 'number', 'order'],
+  system_name: ['systemname', 'system', 'name'],
+  status: ['status', 'state']
+};
+
+function isValidRouteName(name) {
+  return typeof name === 'string' && ROUTE_NAME_PATTERN.test(name);
+}
+
+function routeFilePath(routesDir, name) {
+  return path.join(routesDir, `${name}.csv`);
+}
+
+/**
+ * Parse an uploaded route CSV and check every system name against the database
+ *
+ * @param {string} csvText - Uploaded file contents
+ * @param {SystemNameIndex} nameIndex - Index of known system names
+ * @returns {Promise<{rows: Object[], report: Object[], unknownCount: number, error: string|null, errors: Object[]}>}
+ *   rows are { id, system_name, status }; report has one entry per data row;
+ *   errors are line-numbered CSV parse errors
+ */
+async function validateRouteCsv(csvText, nameIndex) {
+  const { parseCSV, formatCSVError } = await loadCsv();
+  const { rows: csvRows, lines, errors } = parseCSV(csvText);
+
+  if (errors.length > 0) {
+    return {
+      rows: [], report: [], unknownCount: 0, errors,
+      error: `Invalid CSV: ${errors.map(formatCSVError).join('; ')}`
+    };
+  }
+
+  const headers = (csvRows[0] || []).map(normalizeHeader);
+  const columnIndex = {};
+
+  Object.entries(ROUTE_COLUMNS).forEach(([key, aliases]) => {
+    const index = headers.findIndex(header => aliases.includes(header));
+    if (index !== -1) columnIndex[key] = index;
+  });
+
+  if (columnIndex.system_name === undefined) {
+    return { rows: [], report: [], unknownCount: 0, errors, error: 'Missing "System Name" column in header row' };
+  }
+
+  const rows = [];
+  const report = [];
+
+  csvRows.slice(1).forEach((cells, index) => {
+    const cell = key => (columnIndex[key] === undefined ? '' : cells[columnIndex[key]] || '');
+    const systemName = cell('system_name');
+    const matchedName = systemName ? nameIndex.resolve(systemName) : null;
+
+    const row = {
+      id: cell('id') || String(rows.length + 1).padStart(2, '0'),
+      system_name: systemName,
+      status: cell('status')
+    };
+    // Saved rows use the database spelling so lookups don't depend on case
+    rows.push({ ...row, system_name: matchedName || systemName });
+
+    report.push({
+      line: lines[index + 1],
+      ...row,
+      found: !!matchedName,
+      matchedName: matchedName && matchedName !== systemName ? matchedName : undefined,
+      suggestions: matchedName ? undefined : nameIndex.suggest(systemName)
+    });
+  });
+
+  if (rows.length === 0) {
+    return { rows, report, unknownCount: 0, errors, error: 'Route file has no systems' };
+  }
+
+  const unknownCount = report.filter(entry => !entry.found).length;
+  return { rows, report, unknownCount, errors, error: null };
+}
+
+async function routeFileExists(routesDir, name) {
+  try {
+    await fs.access(routeFilePath(routesDir, name));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Write via a temp file so readers never see a half-written route
+async function writeRouteFile(routesDir, name, rows) {
+  await fs.mkdir(routesDir, { recursive: true });
+  const filePath = routeFilePath(routesDir, name);
+  const tmpPath = `${filePath}.tmp`;
+  const { formatCSV } = await loadCsv();
+  const csvRows = rows.map(row => [row.id, row.system_name, row.status]);
+  await fs.writeFile(tmpPath, formatCSV([['ID', 'System Name', 'Status'], ...csvRows]), 'utf8');
+  await fs.rename(tmpPath, filePath);
+}
+
+async function renameRouteFile(routesDir, name, newName) {
+  await fs.rename(routeFilePath(routesDir, name), routeFilePath(routesDir, newName));
+}
+
+async function deleteRouteFile(routesDir, name) {
+  await fs.unlink(routeFilePath(routesDir, name));
+}
+
+module.exports = {
+  isValidRouteName,
+  validateRouteCsv,
+  routeFileExists,
+  writeRouteFile,
+  renameRouteFile,
+  deleteRouteFile
+};
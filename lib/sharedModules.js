@@ -0,0 +1,48 @@
+/**
+ * OASIS Community Map - Shared modules
+ * Some code runs in both the browser and the server, so it lives as ES modules
+ * in public/js/. These loaders import them into the CommonJS server.
+ */
+const loaded = new Map();
+
+function importShared(file) {
+  if (!loaded.has(file)) {
+    loaded.set(file, import(`../public/js/${file}`));
+  }
+  return loaded.get(file);
+}
+
+/**
+ * @returns {Promise<Object>} public/js/csv.js (parseCSV, parseCSVRecords, formatCSV, ...)
+ */
+function loadCsv() {
+  return importShared('csv.js');
+}
+
+/**
+ * @returns {Promise<Object>} public/js/systemsPack.js (encodeSystems, decodeSystems, ...)
+ */
+function loadSystemsPack() {
+  return importShared('systemsPack.js');
+}
+
+/**
+ * @returns {Promise<Object>} public/js/spatialIndex.js (SpatialIndex, createSystemFilter)
+ */
+function loadSpatialIndex() {
+  return importShared('spatialIndex.js');
+}
+
+/**
+ * @returns {Promise<Object>} public/js/sheetsDiff.js (diffSheetsData, applySheetsChanges, ...)
+ */
+function loadSheetsDiff() {
+  return importShared('sheetsDiff.js');
+}
+
+module.exports = {
+  loadCsv,
+  loadSystemsPack,
+  loadSpatialIndex,
+  loadSheetsDiff
+};
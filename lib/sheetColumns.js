@@ -0,0 +1,249 @@
+/**
+ * OASIS Community Map - Sheet column mapping
+ * Maps Google Sheets rows to objects by header name instead of column position,
+ * so inserting or reordering columns in the spreadsheet doesn't corrupt the map.
+ *
+ * Each tab lists the keys the API returns. A key matches the first header whose
+ * normalized text (lowercase, letters/digits/# only) is one of its aliases, or
+ * the fixed 0-based `column` when the header text isn't stable, and its cell
+ * values are coerced to the given type.
+ *
+ * SHEET_COLUMNS_FILE may name a JSON file with the same shape; its tabs and keys
+ * are merged over these defaults so header spellings can change without a deploy.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const COLUMN_TYPES = ['string', 'number', 'boolean', 'date'];
+
+const DEFAULT_SHEET_COLUMNS = {
+  route: {
+    '#': { aliases: ['#', 'no', 'number', 'order'], type: 'number' },
+    'system_name': { aliases: ['systemname', 'system'], type: 'string' },
+    'claimed?_': { aliases: ['claimed', 'isclaimed'], type: 'boolean' },
+    'completed?_': { aliases: ['completed', 'iscompleted', 'complete', 'done'], type: 'boolean' },
+    'architect?_': { aliases: ['architect', 'architectname'], type: 'string' },
+    'assigned_fc': { aliases: ['assignedfc', 'fc', 'fleetcarrier'], type: 'string' }
+  },
+  'fc-manifest': {
+    'callsign': { aliases: ['callsign', 'id'], type: 'string' },
+    'name': { aliases: ['name', 'carriername'], type: 'string' },
+    'owner_': { aliases: ['owner', 'commander', 'cmdr'], type: 'string' },
+    'status': { aliases: ['status'], type: 'string' },
+    'timestamp': { aliases: ['timestamp', 'updated', 'lastupdated'], type: 'date' },
+    'location': { aliases: ['location', 'system', 'currentsystem'], type: 'string' }
+  },
+  // Column B's header is the expedition name itself (e.g. "OSC III"), so it is
+  // matched by position rather than by header text
+  setup: {
+    'expedition_name:': { aliases: ['expeditionname'], type: 'string' },
+    'value': { column: 1, type: 'string' }
+  },
+  'hauler-manifest': {
+    'name': { aliases: ['name', 'commander', 'cmdr'], type: 'string' },
+    'tons_hauled': { aliases: ['tonshauled', 'tons'], type: 'number' },
+    'last_action': { aliases: ['lastaction'], type: 'string' }
+  }
+};
+
+// Validate one column definition from the defaults or SHEET_COLUMNS_FILE
+function normalizeColumn(tab, key, column) {
+  const where = `sheet column "${tab}.${key}"`;
+  const type = column.type ?? 'string';
+  if (!COLUMN_TYPES.includes(type)) {
+    throw new Error(`${where} has unknown type "${type}" (expected ${COLUMN_TYPES.join(', ')})`);
+  }
+  if (column.column !== undefined) {
+    if (!Number.isInteger(column.column) || column.column < 0) {
+      throw new Error(`${where} needs a non-negative integer "column", got ${JSON.stringify(column.column)}`);
+    }
+    return { column: column.column, type };
+  }
+  if (!Array.isArray(column.aliases) || column.aliases.length === 0) {
+    throw new Error(`${where} needs an "aliases" array or a "column" index`);
+  }
+  return { aliases: column.aliases.map(normalizeHeader), type };
+}
+
+/**
+ * Merge column overrides over the defaults. A key given in the overrides
+ * replaces the default definition for that key; other keys are kept.
+ *
+ * @param {Object} defaults - Mapping shaped like DEFAULT_SHEET_COLUMNS
+ * @param {Object} [overrides] - Tabs/keys to add or replace
+ * @returns {Object} Validated mapping
+ */
+function mergeSheetColumns(defaults, overrides = {}) {
+  const merged = {};
+  const tabs = new Set([...Object.keys(defaults), ...Object.keys(overrides)]);
+
+  tabs.forEach(tab => {
+    const columns = { ...defaults[tab], ...overrides[tab] };
+    merged[tab] = {};
+    Object.entries(columns).forEach(([key, column]) => {
+      merged[tab][key] = normalizeColumn(tab, key, column ?? {});
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Build the column mapping, applying SHEET_COLUMNS_FILE when it is set
+ *
+ * @param {Object} [env=process.env] - Environment to read SHEET_COLUMNS_FILE from
+ * @returns {Object} Mapping of tab → key → { aliases | column, type }
+ */
+function loadSheetColumns(env = process.env) {
+  const file = env.SHEET_COLUMNS_FILE;
+  if (!file) {
+    return mergeSheetColumns(DEFAULT_SHEET_COLUMNS);
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load SHEET_COLUMNS_FILE "${file}": ${error.message}`);
+  }
+  try {
+    return mergeSheetColumns(DEFAULT_SHEET_COLUMNS, overrides);
+  } catch (error) {
+    throw new Error(`Invalid SHEET_COLUMNS_FILE "${file}": ${error.message}`);
+  }
+}
+
+// A bad SHEET_COLUMNS_FILE must not stop the server; say why and use the defaults
+let SHEET_COLUMNS;
+try {
+  SHEET_COLUMNS = loadSheetColumns();
+} catch (error) {
+  console.error(`❌ ${error.message} - using the built-in sheet columns`);
+  SHEET_COLUMNS = mergeSheetColumns(DEFAULT_SHEET_COLUMNS);
+}
+
+const BOOLEAN_VALUES = {
+  'true': true, 'yes': true, 'y': true, '1': true,
+  'false': false, 'no': false, 'n': false, '0': false, '': false
+};
+
+function normalizeHeader(header) {
+  return String(header ?? '').toLowerCase().replace(/[^a-z0-9#]/g, '');
+}
+
+// Coerce a raw cell to the column type; returns { value } or { value, error }
+function coerceCell(raw, type) {
+  const text = String(raw ?? '').trim();
+
+  switch (type) {
+    case 'boolean': {
+      const value = BOOLEAN_VALUES[text.toLowerCase()];
+      return value === undefined
+        ? { value: false, error: `expected TRUE/FALSE, got "${text}"` }
+        : { value };
+    }
+    case 'number': {
+      if (!text) return { value: null };
+      const value = Number(text.replace(/[,\s]/g, ''));
+      return Number.isFinite(value)
+        ? { value }
+        : { value: null, error: `expected a number, got "${text}"` };
+    }
+    case 'date': {
+      if (!text) return { value: null };
+      // Sheet timestamps look like "2025-06-17 11:16:15" and are recorded in UTC
+      const isoLike = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text)
+        ? `${text.replace(' ', 'T')}Z`
+        : text;
+      const date = new Date(isoLike);
+      return Number.isNaN(date.getTime())
+        ? { value: null, error: `expected a date, got "${text}"` }
+        : { value: date.toISOString() };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Convert a tab's raw values (header row first) into keyed, typed row objects
+ *
+ * @param {string} tab - Sheet tab name, e.g. "route"
+ * @param {Array<Array<string>>} values - Raw values from the Sheets API
+ * @param {Object} [sheetColumns=SHEET_COLUMNS] - Column mapping to use
+ * @returns {{rows: Object[], warnings: Object[]}} Mapped rows plus any mapping warnings
+ */
+function processSheetData(tab, values, sheetColumns = SHEET_COLUMNS) {
+  const columns = sheetColumns[tab];
+  const warnings = [];
+  const warn = (type, column, message) => warnings.push({ tab, type, column, message: `${tab}: ${message}` });
+
+  if (!columns) {
+    throw new Error(`No column mapping defined for sheet tab "${tab}"`);
+  }
+  if (!values || values.length < 2) {
+    return { rows: [], warnings };
+  }
+
+  const actualHeaders = values[0];
+  const columnIndex = {};
+  const claimed = new Set();
+
+  // Positional columns claim their index first so alias matching skips them
+  Object.entries(columns).forEach(([key, { column }]) => {
+    if (column === undefined) return;
+    if (column >= actualHeaders.length) {
+      warn('missing', key, `missing column "${key}" - expected at position ${column + 1}`);
+    } else {
+      columnIndex[key] = column;
+      claimed.add(column);
+    }
+  });
+
+  Object.entries(columns).forEach(([key, { aliases }]) => {
+    if (!aliases) return;
+    const index = actualHeaders.findIndex((header, i) =>
+      !claimed.has(i) && aliases.includes(normalizeHeader(header))
+    );
+    if (index === -1) {
+      warn('missing', key, `missing column "${key}" - no header matches ${aliases.join(', ')}`);
+    } else {
+      columnIndex[key] = index;
+      claimed.add(index);
+    }
+  });
+
+  actualHeaders.forEach((header, index) => {
+    if (!claimed.has(index) && String(header ?? '').trim()) {
+      warn('unknown', header, `unknown column "${header}" ignored`);
+    }
+  });
+
+  const rows = values
+    .map((row, sheetRow) => ({ row, sheetRow: sheetRow + 1 }))
+    .slice(1)
+    .filter(({ row }) => row.some(cell => String(cell ?? '').trim()))
+    .map(({ row, sheetRow }) => {
+      const obj = {};
+      Object.entries(columns).forEach(([key, { type }]) => {
+        const index = columnIndex[key];
+        const { value, error } = coerceCell(index === undefined ? '' : row[index], type);
+        obj[key] = value;
+        if (error && index !== undefined) {
+          warn('invalid', key, `row ${sheetRow} column "${key}" ${error}`);
+        }
+      });
+      return obj;
+    });
+
+  return { rows, warnings };
+}
+
+module.exports = {
+  DEFAULT_SHEET_COLUMNS,
+  SHEET_COLUMNS,
+  loadSheetColumns,
+  mergeSheetColumns,
+  normalizeHeader,
+  processSheetData
+};
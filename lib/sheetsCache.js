@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+/**
+ * OASIS Community Map - Sheets cache
+ * Stale-while-revalidate cache around the Google Sheets batchGet so page loads
+ * don't each spend API quota. Expired entries are still served while a single
+ * background refresh runs; failed refreshes back off exponentially.
+ */
+class SheetsCache {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetchValueRanges - Async function returning batchGet value ranges
+   * @param {number} options.ttlMs - How long a fetched entry counts as fresh
+   * @param {number} [options.backoffBaseMs] - Delay after the first failed refresh
+   * @param {number} [options.backoffMaxMs] - Upper bound for the retry delay
+   * @param {Function} [options.onRefresh] - Called with each newly fetched entry
+   */
+  constructor({ fetchValueRanges, ttlMs, backoffBaseMs = 30 * 1000, backoffMaxMs = 15 * 60 * 1000, onRefresh = null }) {
+    this.fetchValueRanges = fetchValueRanges;
+    this.ttlMs = ttlMs;
+    this.backoffBaseMs = backoffBaseMs;
+    this.backoffMaxMs = backoffMaxMs;
+    this.onRefresh = onRefresh;
+
+    this.entry = null;           // { valueRanges, capturedAt, fetchedAt, hash }
+    this.lastError = null;
+    this.failures = 0;
+    this.nextAttemptAt = 0;
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Seed the cache with a previously saved result (e.g. the disk snapshot).
+   * The seeded entry is already expired, so the first read revalidates it.
+   */
+  seed({ valueRanges, capturedAt }) {
+    this.entry = createEntry(valueRanges, capturedAt, 0);
+  }
+
+  isFresh() {
+    return !!this.entry && (Date.now() - this.entry.fetchedAt) < this.ttlMs;
+  }
+
+  /**
+   * True when the cached entry is not known to match the sheet: it was never
+   * fetched in this process or the latest refresh attempt failed
+   */
+  isStale() {
+    return !!this.entry && (this.entry.fetchedAt === 0 || !!this.lastError);
+  }
+
+  secondsUntilExpiry() {
+    if (!this.entry) return 0;
+    return Math.max(0, Math.ceil((this.entry.fetchedAt + this.ttlMs - Date.now()) / 1000));
+  }
+
+  /**
+   * Get the cached entry, refreshing in the background when it has expired.
+   * Only waits for Google when there is nothing cached yet.
+   *
+   * @returns {Promise<Object|null>} Cache entry or null if nothing could be fetched
+   */
+  async get() {
+    if (!this.entry) {
+      return this.refresh();
+    }
+
+    if (!this.isFresh()) {
+      this.refresh();
+    }
+
+    return this.entry;
+  }
+
+  /**
+   * Fetch from the sheet unless a refresh is already running or we're backing off
+   *
+   * @returns {Promise<Object|null>} The current entry once the refresh settles
+   */
+  refresh() {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+
+    if (Date.now() < this.nextAttemptAt) {
+      return Promise.resolve(this.entry);
+    }
+
+    this.refreshPromise = (async () => {
+      try {
+        const valueRanges = await this.fetchValueRanges();
+        this.entry = createEntry(valueRanges, new Date().toISOString(), Date.now());
+        this.lastError = null;
+        this.failures = 0;
+        this.nextAttemptAt = 0;
+      } catch (error) {
+        this.lastError = error;
+        this.failures++;
+        const delay = Math.min(this.backoffBaseMs * 2 ** (this.failures - 1), this.backoffMaxMs);
+        this.nextAttemptAt = Date.now() + delay;
+        console.error(`❌ Sheets refresh failed (${this.failures} in a row), next attempt in ${Math.round(delay / 1000)}s:`, error.message);
+        return this.entry;
+      } finally {
+        this.refreshPromise = null;
+      }
+
+      // Outside the try above: a listener bug is logged, not counted as a Sheets failure
+      try {
+        this.onRefresh?.(this.entry);
+      } catch (error) {
+        console.error('❌ Sheets refresh listener failed:', error);
+      }
+
+      return this.entry;
+    })();
+
+    return this.refreshPromise;
+  }
+
+  getStatus() {
+    return {
+      capturedAt: this.entry?.capturedAt || null,
+      fresh: this.isFresh(),
+      failures: this.failures,
+      lastError: this.lastError?.message || null,
+      nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt).toISOString() : null
+    };
+  }
+}
+
+function createEntry(valueRanges, capturedAt, fetchedAt) {
+  return {
+    valueRanges,
+    capturedAt,
+    fetchedAt,
+    hash: hashValueRanges(valueRanges)
+  };
+}
+
+// Content hash of the sheet values, used for ETags so unchanged data revalidates with a 304
+function hashValueRanges(valueRanges) {
+  return crypto.createHash('sha1').update(JSON.stringify(valueRanges)).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  SheetsCache,
+  hashValueRanges
+};
@@ -0,0 +1,90 @@
+/**
+ * OASIS Community Map - System name index
+ * Case-insensitive lookup of system names in the coordinate database, with
+ * closest-name suggestions for names that don't match exactly.
+ */
+
+function normalizeSystemName(name) {
+  return String(name ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Levenshtein distance, giving up once every path exceeds maxDistance
+ *
+ * @returns {number} The distance, or Infinity if it is above maxDistance
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return Infinity;
+    previous = current;
+  }
+
+  return previous[b.length] > maxDistance ? Infinity : previous[b.length];
+}
+
+class SystemNameIndex {
+  /**
+   * @param {Iterable<string>} names - Canonical system names
+   */
+  constructor(names) {
+    this.names = new Map(); // normalized -> canonical
+    for (const name of names) {
+      this.names.set(normalizeSystemName(name), name);
+    }
+  }
+
+  get size() {
+    return this.names.size;
+  }
+
+  /**
+   * @returns {string|null} The canonical spelling of the name, or null if unknown
+   */
+  resolve(name) {
+    return this.names.get(normalizeSystemName(name)) || null;
+  }
+
+  /**
+   * Closest known names by edit distance, for "did you mean" hints
+   *
+   * @param {string} name - Unknown system name
+   * @param {number} [limit] - Maximum number of suggestions
+   * @returns {string[]} Canonical names, closest first
+   */
+  suggest(name, limit = 3) {
+    const target = normalizeSystemName(name);
+    if (!target) return [];
+
+    // Allow roughly one typo per four characters
+    const maxDistance = Math.max(2, Math.ceil(target.length / 4));
+    const matches = [];
+
+    for (const [key, canonical] of this.names) {
+      const distance = editDistance(target, key, maxDistance);
+      if (distance !== Infinity) {
+        matches.push({ name: canonical, distance });
+      }
+    }
+
+    return matches
+      .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+      .slice(0, limit)
+      .map(match => match.name);
+  }
+}
+
+module.exports = {
+  SystemNameIndex,
+  normalizeSystemName,
+  editDistance
+};
@@ -0,0 +1,123 @@
+/**
+ * OASIS Community Map - System database diff
+ * Compares two versions of the systems array by name: systems added or
+ * removed, and changes to coordinates, population, primary star and anchor.
+ */
+
+// Elite Dangerous coordinates are multiples of 1/32 LY; anything smaller is float noise
+const COORDS_EPSILON = 0.001;
+
+// Change kinds in the order they are reported
+const CHANGE_KINDS = ['coords', 'population', 'primaryStar', 'anchor'];
+
+/**
+ * @param {Object[]} previousSystems - Older systems array
+ * @param {Object[]} nextSystems - Newer systems array
+ * @returns {Object} {
+ *   summary: { previous, next, added, removed, changed, coords, population, primaryStar, anchor },
+ *   added: [{ name, coords }], removed: [{ name, coords }],
+ *   changed: [{ name, coords, changes: { coords?, population?, primaryStar?, anchor? } }]
+ * } where each change is { from, to }
+ */
+function diffSystems(previousSystems, nextSystems) {
+  const previousByName = new Map(previousSystems.map(system => [system.name, system]));
+  const nextNames = new Set(nextSystems.map(system => system.name));
+
+  const added = [];
+  const changed = [];
+  nextSystems.forEach(system => {
+    const previous = previousByName.get(system.name);
+    if (!previous) {
+      added.push({ name: system.name, coords: system.coords });
+      return;
+    }
+
+    const changes = compareSystems(previous, system);
+    if (Object.keys(changes).length > 0) {
+      changed.push({ name: system.name, coords: system.coords, changes });
+    }
+  });
+
+  const removed = previousSystems
+    .filter(system => !nextNames.has(system.name))
+    .map(system => ({ name: system.name, coords: system.coords }));
+
+  const summary = {
+    previous: previousSystems.length,
+    next: nextSystems.length,
+    added: added.length,
+    removed: removed.length,
+    changed: changed.length
+  };
+  CHANGE_KINDS.forEach(kind => {
+    summary[kind] = changed.filter(entry => entry.changes[kind]).length;
+  });
+
+  return { summary, added, removed, changed };
+}
+
+// Field-level changes between two versions of one system
+function compareSystems(previous, next) {
+  const changes = {};
+
+  if (!sameCoords(previous.coords, next.coords)) {
+    changes.coords = { from: previous.coords || null, to: next.coords || null };
+  }
+
+  const previousPopulation = previous.information?.population || 0;
+  const nextPopulation = next.information?.population || 0;
+  if (previousPopulation !== nextPopulation) {
+    changes.population = { from: previousPopulation, to: nextPopulation };
+  }
+
+  const previousStar = describeStar(previous.primaryStar);
+  const nextStar = describeStar(next.primaryStar);
+  if (previousStar.type !== nextStar.type || previousStar.isScoopable !== nextStar.isScoopable) {
+    changes.primaryStar = { from: previousStar, to: nextStar };
+  }
+
+  if ((previous.anchor_system || null) !== (next.anchor_system || null)) {
+    changes.anchor = { from: previous.anchor_system || null, to: next.anchor_system || null };
+  }
+
+  return changes;
+}
+
+function sameCoords(a, b) {
+  if (!a || !b) return a === b;
+  return ['x', 'y', 'z'].every(axis => Math.abs(a[axis] - b[axis]) < COORDS_EPSILON);
+}
+
+function describeStar(star) {
+  return { type: star?.type || null, isScoopable: star?.isScoopable === true };
+}
+
+/**
+ * Human-readable lines summarising a diff, with a few example names per category
+ *
+ * @param {Object} diff - Result of diffSystems
+ * @param {number} [examples] - Names to list per category
+ * @returns {string[]}
+ */
+function formatDiffSummary(diff, examples = 3) {
+  const { summary } = diff;
+  const sample = (entries) => entries.length === 0 ? ''
+    : `  e.g. ${entries.slice(0, examples).map(entry => entry.name).join(', ')}`;
+  const changedBy = (kind) => diff.changed.filter(entry => entry.changes[kind]);
+
+  return [
+    `${summary.previous} → ${summary.next} systems`,
+    `  + ${summary.added} added${sample(diff.added)}`,
+    `  - ${summary.removed} removed${sample(diff.removed)}`,
+    `  ~ ${summary.coords} coordinates changed${sample(changedBy('coords'))}`,
+    `  ~ ${summary.population} population changed${sample(changedBy('population'))}`,
+    `  ~ ${summary.primaryStar} primary star changed${sample(changedBy('primaryStar'))}`,
+    `  ~ ${summary.anchor} anchor changed${sample(changedBy('anchor'))}`
+  ];
+}
+
+module.exports = {
+  diffSystems,
+  formatDiffSummary,
+  CHANGE_KINDS
+};
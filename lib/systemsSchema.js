@@ -0,0 +1,230 @@
+/**
+ * OASIS Community Map - System record validation
+ * Checks every record in combined_visualization_systems.json against the shape
+ * the map relies on. Small, unambiguous problems (numbers stored as strings,
+ * coordinates under a legacy key) are repaired in place; records that can't be
+ * placed on the map (no name, no usable coordinates, duplicate name) are rejected.
+ */
+
+const MAX_LOGGED_ISSUES = 10;
+
+/**
+ * Validate and repair the systems array
+ *
+ * @param {Array} systems - Parsed `systems` array
+ * @returns {{ systems: Object[], report: Object }} Accepted records (repaired copies where needed)
+ *   and { total, accepted, repaired, rejected, issues: [{ index, name, action, problems }] }
+ */
+function validateSystems(systems) {
+  const accepted = [];
+  const issues = [];
+  const seenNames = new Set();
+  let repaired = 0;
+
+  systems.forEach((record, index) => {
+    const { system, problems, rejected } = validateSystem(record);
+
+    if (!rejected && seenNames.has(system.name)) {
+      problems.push(`duplicate of an earlier "${system.name}"`);
+      return issues.push({ index, name: system.name, action: 'rejected', problems });
+    }
+    if (rejected) {
+      return issues.push({ index, name: system?.name ?? null, action: 'rejected', problems });
+    }
+
+    seenNames.add(system.name);
+    accepted.push(system);
+    if (problems.length > 0) {
+      repaired++;
+      issues.push({ index, name: system.name, action: 'repaired', problems });
+    }
+  });
+
+  return {
+    systems: accepted,
+    report: {
+      total: systems.length,
+      accepted: accepted.length,
+      repaired,
+      rejected: systems.length - accepted.length,
+      issues
+    }
+  };
+}
+
+/**
+ * Validate a single record
+ *
+ * @param {*} record - One entry of the systems array
+ * @returns {{ system: Object|null, problems: string[], rejected: boolean }}
+ */
+function validateSystem(record) {
+  const problems = [];
+  const reject = (problem) => {
+    problems.push(problem);
+    return { system: record && typeof record === 'object' ? record : null, problems, rejected: true };
+  };
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return reject('record is not an object');
+  }
+
+  const system = { ...record };
+
+  // name
+  if (typeof system.name !== 'string' || !system.name.trim()) {
+    return reject('missing name');
+  }
+  if (system.name !== system.name.trim()) {
+    system.name = system.name.trim();
+    problems.push('trimmed whitespace around name');
+  }
+
+  // coords: the only coordinate shape the map reads
+  let coords = system.coords;
+  if (coords === undefined && system.coordinates !== undefined) {
+    coords = system.coordinates;
+    delete system.coordinates;
+    problems.push('moved "coordinates" to "coords"');
+  } else if (coords === undefined && ['x', 'y', 'z'].every(axis => system[axis] !== undefined)) {
+    coords = { x: system.x, y: system.y, z: system.z };
+    delete system.x;
+    delete system.y;
+    delete system.z;
+    problems.push('moved top-level x/y/z into "coords"');
+  }
+  if (!coords || typeof coords !== 'object') {
+    return reject('missing coords');
+  }
+  system.coords = { ...coords };
+  for (const axis of ['x', 'y', 'z']) {
+    const value = coords[axis];
+    if (typeof value === 'number' && Number.isFinite(value)) continue;
+
+    const number = toNumber(value);
+    if (number === null) {
+      return reject(`coords.${axis} is not a number (${JSON.stringify(value)})`);
+    }
+    system.coords[axis] = number;
+    problems.push(`coords.${axis} converted from ${JSON.stringify(value)}`);
+  }
+
+  // primaryStar: { type, name, isScoopable }
+  if (system.primaryStar !== undefined && system.primaryStar !== null) {
+    if (typeof system.primaryStar === 'string') {
+      system.primaryStar = { type: system.primaryStar, isScoopable: false };
+      problems.push('primaryStar was a string, used it as the star type');
+    } else if (typeof system.primaryStar !== 'object' || Array.isArray(system.primaryStar)) {
+      system.primaryStar = null;
+      problems.push('dropped malformed primaryStar');
+    } else {
+      system.primaryStar = { ...system.primaryStar };
+      for (const field of ['type', 'name']) {
+        const value = system.primaryStar[field];
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+          system.primaryStar[field] = null;
+          problems.push(`dropped non-string primaryStar.${field}`);
+        }
+      }
+      const scoopable = toBoolean(system.primaryStar.isScoopable);
+      if (scoopable !== system.primaryStar.isScoopable && system.primaryStar.isScoopable !== undefined) {
+        problems.push(`primaryStar.isScoopable converted from ${JSON.stringify(system.primaryStar.isScoopable)}`);
+      }
+      system.primaryStar.isScoopable = scoopable;
+    }
+  }
+
+  // information.population
+  if (system.information !== undefined && system.information !== null) {
+    if (typeof system.information !== 'object' || Array.isArray(system.information)) {
+      system.information = {};
+      problems.push('replaced malformed information with {}');
+    } else if (system.information.population !== undefined) {
+      const population = system.information.population;
+      if (typeof population !== 'number' || !Number.isFinite(population) || population < 0) {
+        const number = toNumber(population);
+        system.information = { ...system.information };
+        if (number === null || number < 0) {
+          delete system.information.population;
+          problems.push(`dropped invalid population ${JSON.stringify(population)}`);
+        } else {
+          system.information.population = number;
+          problems.push(`population converted from ${JSON.stringify(population)}`);
+        }
+      }
+    }
+  }
+
+  // bodyCount and flags
+  if (system.bodyCount !== undefined && system.bodyCount !== null && typeof system.bodyCount !== 'number') {
+    const number = toNumber(system.bodyCount);
+    problems.push(`${number === null ? 'dropped' : 'converted'} bodyCount ${JSON.stringify(system.bodyCount)}`);
+    system.bodyCount = number;
+  }
+  for (const flag of ['requirePermit', 'coordsLocked']) {
+    if (system[flag] !== undefined && typeof system[flag] !== 'boolean') {
+      problems.push(`${flag} converted from ${JSON.stringify(system[flag])}`);
+      system[flag] = toBoolean(system[flag]);
+    }
+  }
+
+  // anchor_system / anchor_description: both strings or both null
+  for (const field of ['anchor_system', 'anchor_description']) {
+    const value = system[field];
+    if (value === undefined || value === null || typeof value === 'string') continue;
+    system[field] = null;
+    problems.push(`dropped non-string ${field}`);
+  }
+  if (system.anchor_system === '') {
+    system.anchor_system = null;
+  }
+  if (!system.anchor_system && system.anchor_description) {
+    system.anchor_description = null;
+    problems.push('dropped anchor_description without an anchor_system');
+  }
+
+  return { system, problems, rejected: false };
+}
+
+// Finite number from a number or numeric string, otherwise null
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'string') return value.trim().toLowerCase() === 'true';
+  return value === true || value === 1;
+}
+
+/**
+ * Log a validation summary with the first few problems
+ *
+ * @param {Object} report - Report from validateSystems
+ * @param {Function} [log] - Logger, console.warn by default
+ */
+function logValidationReport(report, log = console.warn) {
+  const { total, accepted, repaired, rejected, issues } = report;
+  if (issues.length === 0) {
+    console.log(`✅ Validated ${total} systems, no problems found`);
+    return;
+  }
+
+  log(`⚠️ Validated ${total} systems: ${accepted} accepted (${repaired} repaired), ${rejected} rejected`);
+  issues.slice(0, MAX_LOGGED_ISSUES).forEach(({ index, name, action, problems }) => {
+    log(`   ${action === 'rejected' ? '❌' : '🔧'} #${index} ${name ? `"${name}"` : '(no name)'}: ${problems.join('; ')}`);
+  });
+  if (issues.length > MAX_LOGGED_ISSUES) {
+    log(`   ... and ${issues.length - MAX_LOGGED_ISSUES} more`);
+  }
+}
+
+module.exports = {
+  validateSystems,
+  validateSystem,
+  logValidationReport
+};
@@ -0,0 +1,161 @@
+/**
+ * OASIS Community Map - CSV
+ * RFC 4180 parsing and formatting shared by the browser and the server
+ * (server.js loads this module through lib/sharedModules.js).
+ *
+ * Handles quoted fields with commas, line breaks and escaped quotes (""),
+ * CRLF or LF line endings, a leading byte order mark and blank lines.
+ * Whitespace around unquoted fields is trimmed; quoted fields are kept as-is.
+ * Problems are collected as { line, message } instead of thrown, so one bad
+ * row doesn't hide the rest of the file.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ *
+ * @param {string} text - CSV text
+ * @returns {{rows: string[][], lines: number[], errors: Object[]}}
+ *   rows without blank lines, the 1-based line each row starts on, and parse errors
+ */
+export function parseCSV(text) {
+    const input = String(text ?? '').replace(/^\uFEFF/, '');
+    const rows = [];
+    const lines = [];
+    const errors = [];
+
+    let row = [];
+    let field = '';
+    let quoted = false;      // Current field started with a quote
+    let inQuotes = false;    // Currently inside the quotes
+    let afterQuote = false;  // Closing quote seen, expecting a delimiter
+    let line = 1;
+    let rowLine = 1;
+    let quoteLine = 1;
+
+    const endField = () => {
+        row.push(quoted ? field : field.trim());
+        field = '';
+        quoted = false;
+        afterQuote = false;
+    };
+
+    const endRow = () => {
+        endField();
+        if (row.some(value => value !== '')) {
+            rows.push(row);
+            lines.push(rowLine);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                    afterQuote = true;
+                }
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === ',') {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else if (char === '"' && !quoted && !field.trim()) {
+            inQuotes = true;
+            quoted = true;
+            quoteLine = line;
+            field = '';
+        } else if (afterQuote) {
+            if (char.trim()) {
+                errors.push({ line, message: `unexpected "${char}" after closing quote` });
+                field += char;
+                afterQuote = false;
+            }
+        } else {
+            if (char === '"') {
+                errors.push({ line, message: 'unexpected quote inside unquoted field' });
+            }
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        errors.push({ line: quoteLine, message: 'unterminated quoted field' });
+    }
+    if (field || quoted || row.length > 0) {
+        endRow();
+    }
+
+    return { rows, lines, errors };
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ *
+ * @param {string} text - CSV text
+ * @returns {{headers: string[], records: Object[], lines: number[], errors: Object[]}}
+ *   records with the 1-based line each starts on, and parse errors sorted by line
+ */
+export function parseCSVRecords(text) {
+    const { rows, lines, errors } = parseCSV(text);
+    if (rows.length === 0) {
+        return { headers: [], records: [], lines: [], errors };
+    }
+
+    const headers = rows[0];
+    const records = [];
+    const recordLines = [];
+
+    rows.slice(1).forEach((values, index) => {
+        const line = lines[index + 1];
+        if (values.slice(headers.length).some(value => value !== '')) {
+            errors.push({ line, message: `expected ${headers.length} fields, found ${values.length}` });
+        }
+
+        const record = {};
+        headers.forEach((header, i) => {
+            record[header] = values[i] ?? '';
+        });
+        records.push(record);
+        recordLines.push(line);
+    });
+
+    errors.sort((a, b) => a.line - b.line);
+    return { headers, records, lines: recordLines, errors };
+}
+
+/**
+ * Quote a field if it contains a delimiter, quote, line break or edge whitespace
+ */
+export function escapeCSVField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows of fields as CSV text, one row per line
+ *
+ * @param {Array<Array>} rows - Rows of field values, header row first
+ * @returns {string} CSV text ending in a newline
+ */
+export function formatCSV(rows) {
+    return rows.map(row => row.map(escapeCSVField).join(',')).join('\n') + '\n';
+}
+
+export function formatCSVError({ line, message }) {
+    return `line ${line}: ${message}`;
+}
@@ -0,0 +1,136 @@
+/**
+ * OASIS Community Map - Data Health Page
+ * Renders the /api/data-health report: unknown system names with suggestions,
+ * duplicate entries, systems claimed twice and CSV parse errors.
+ */
+const SOURCE_LABELS = {
+    route: 'Route sheet',
+    fleetCarriers: 'FC manifest',
+    customRoutes: 'Custom routes',
+    anchors: 'Anchor systems',
+    specialSystems: 'Special systems'
+};
+
+class DataHealthPage {
+    constructor() {
+        this.elements = {
+            generated: document.getElementById('health-generated'),
+            refresh: document.getElementById('health-refresh'),
+            summary: document.getElementById('health-summary'),
+            missing: document.getElementById('health-missing'),
+            duplicates: document.getElementById('health-duplicates'),
+            claimed: document.getElementById('health-claimed'),
+            csvErrors: document.getElementById('health-csv-errors')
+        };
+
+        this.elements.refresh.addEventListener('click', () => this.load());
+        this.load();
+    }
+
+    async load() {
+        this.elements.generated.textContent = 'Loading...';
+        try {
+            const response = await fetch('/api/data-health');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.render(await response.json());
+        } catch (error) {
+            console.error('❌ Failed to load data health report:', error);
+            this.elements.generated.textContent = `Failed to load report: ${error.message}`;
+        }
+    }
+
+    render(report) {
+        const notes = [];
+        if (!report.databaseLoaded) notes.push('system database not loaded, names were not checked');
+        if (!report.sheetsAvailable) notes.push('sheet data unavailable');
+        this.elements.generated.textContent = `Generated ${new Date(report.generatedAt).toLocaleString()}` +
+            (notes.length ? ` — ${notes.join('; ')}` : '');
+
+        const csvErrorCount = Object.values(report.csvErrors || {}).reduce((sum, errors) => sum + errors.length, 0);
+        this.renderSummary([
+            ['References checked', report.summary.references, false],
+            ['Database systems', report.databaseSystems, false],
+            ['Not in database', report.summary.missing, true],
+            ['Duplicates', report.summary.duplicates, true],
+            ['Claimed twice', report.summary.claimedInBoth, true],
+            ['CSV errors', csvErrorCount, true]
+        ]);
+
+        this.renderTable(this.elements.missing, ['System', 'Referenced by', 'Did you mean'],
+            report.missing.map(entry => [
+                entry.name,
+                entry.references.map(ref => `${SOURCE_LABELS[ref.source] || ref.source} ${ref.ref}`).join(', '),
+                entry.suggestions.join(', ') || '—'
+            ]));
+
+        this.renderTable(this.elements.duplicates, ['System', 'Sources', 'Entries'],
+            report.duplicates.map(entry => [
+                entry.name,
+                entry.sources.map(source => SOURCE_LABELS[source] || source).join(', '),
+                entry.references.map(ref => `${SOURCE_LABELS[ref.source] || ref.source} ${ref.ref}`).join(', ')
+            ]));
+
+        this.renderTable(this.elements.claimed, ['System', 'Sheet', 'Custom routes'],
+            report.claimedInBoth.map(entry => [
+                entry.name,
+                `#${entry.sheet.row} ${entry.sheet.completed ? 'completed' : 'claimed'}` +
+                    (entry.sheet.architect ? ` by ${entry.sheet.architect}` : ''),
+                entry.customRoutes.map(route => `${route.route} #${route.id}${route.status ? ` (${route.status})` : ''}`).join(', ')
+            ]));
+
+        this.renderTable(this.elements.csvErrors, ['File', 'Line', 'Error'],
+            Object.entries(report.csvErrors || {}).flatMap(([file, errors]) =>
+                errors.map(error => [file, error.line, error.message])));
+    }
+
+    renderSummary(items) {
+        this.elements.summary.innerHTML = '';
+        items.forEach(([label, value, isProblem]) => {
+            const card = document.createElement('div');
+            card.className = `data-health-card${isProblem && value > 0 ? ' problem' : ''}`;
+
+            const count = document.createElement('span');
+            count.className = 'stat-value';
+            count.textContent = value;
+
+            const name = document.createElement('span');
+            name.className = 'stat-label';
+            name.textContent = label;
+
+            card.append(count, name);
+            this.elements.summary.appendChild(card);
+        });
+    }
+
+    renderTable(container, headers, rows) {
+        container.innerHTML = '';
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="data-health-ok">✅ No problems found</div>';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'data-health-table';
+
+        const headerRow = table.createTHead().insertRow();
+        headers.forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(cells => {
+            const row = body.insertRow();
+            cells.forEach(cell => {
+                row.insertCell().textContent = cell;
+            });
+        });
+
+        container.appendChild(table);
+    }
+}
+
+new DataHealthPage();
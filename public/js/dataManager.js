@@ -1,7 +1,23 @@
+import { parseCSVRecords, formatCSVError } from './csv.js';
+import { decodeSystems, unpackSystems } from './systemsPack.js';
+import { SystemsStore } from './systemsStore.js';
+import { diffSheetsData, applySheetsChanges } from './sheetsDiff.js';
+
+// In-memory cache entry holding each dataset the server can hot-reload
+const DATASET_CACHE_KEYS = {
+    systems: 'visualization-data',
+    anchors: 'anchor-systems',
+    customRoutes: 'custom-routes'
+};
+
 export class DataManager {
     constructor() {
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.etags = new Map(); // Last ETag and body per endpoint, for cheap revalidation
+        this.systemsStore = new SystemsStore(); // Persistent copy of the system database
+        this.isOffline = false; // Last sheet data came from the service worker cache
+        this.liveSheets = null; // { lastUpdated, data } sheet state the map shows, kept current by live events
     }
 
     async loadAnchorSystems() {
@@ -43,12 +59,38 @@ export class DataManager {
         }
 
         try {
-            const response = await fetch('/api/sheets-data');
+            // Revalidate with the last ETag; the server answers 304 if the sheet hasn't changed
+            const previous = this.etags.get(cacheKey);
+            const response = await fetch('/api/sheets-data', {
+                headers: previous ? { 'If-None-Match': previous.etag } : {}
+            });
+            // The service worker answers from its cache when the server can't be reached
+            this.isOffline = response.headers.has('X-Offline-Cache');
+            
+            if (response.status === 304 && previous) {
+                this.cache.set(cacheKey, {
+                    data: previous.data,
+                    timestamp: Date.now()
+                });
+                return previous.data;
+            }
+            
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
             
             const data = await response.json();
+            const etag = response.headers.get('ETag');
+            if (etag) {
+                this.etags.set(cacheKey, { etag, data });
+            }
+            if (data.stale) {
+                console.warn(`⚠️ Google Sheets unavailable, using snapshot from ${data.snapshotCapturedAt}`);
+            }
+            if (this.isOffline) {
+                console.warn(`⚠️ Offline, using sheet data from ${data.lastUpdated}`);
+            }
+            data.warnings?.forEach(warning => console.warn(`⚠️ Sheet mapping: ${warning.message}`));
             
             // Cache the data
             this.cache.set(cacheKey, {
@@ -59,6 +101,7 @@ export class DataManager {
             return data;
             
         } catch (error) {
+            this.isOffline = error instanceof TypeError; // fetch's network failure
             console.error('Failed to load sheets data:', error);
             return null;
         }
@@ -66,10 +109,14 @@ export class DataManager {
 
     /**
      * Load Combined Visualization Data
-     * Loads the pre-processed JSON file containing all system coordinates and data
+     * Loads the system database, preferring the packed binary encoding (much smaller
+     * and faster to decode than the JSON) and falling back to the JSON file.
+     * The download is kept in IndexedDB and reused while its last_updated version
+     * matches the server's, or whenever the server can't be reached.
      * This file contains Elite Dangerous system data with real coordinates
      * 
-     * Expected format: { "SystemName": { "coords": {x, y, z}, ...otherData }, ... }
+     * Result format: { last_updated, systems: [...], systemsLookup: { "SystemName": system }, packed }
+     * packed holds the decoded typed arrays (coords, population, ...) or null for JSON
      * 
      * @returns {Object|null} Complete system database or null if failed
      */
@@ -83,14 +130,25 @@ export class DataManager {
         }
         
         try {
-            console.log('📊 Loading combined visualization data from server...');
-            const response = await fetch('/api/visualization-data');
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            const [version, stored] = await Promise.all([
+                this.fetchVisualizationVersion(),
+                this.systemsStore.get()
+            ]);
+            
+            let data = null;
+            if (stored && (version === null || stored.version === version)) {
+                data = this.restoreVisualizationData(stored);
+            }
+            if (!data) {
+                data = await this.downloadVisualizationData(version);
             }
             
-            const data = await response.json();
-            console.log(`✅ Loaded visualization data for ${Object.keys(data).length} systems`);
+            // Build the name index locally instead of downloading a second copy of every system
+            data.systemsLookup = {};
+            data.systems.forEach(system => {
+                data.systemsLookup[system.name] = system;
+            });
+            console.log(`✅ Loaded visualization data for ${data.systems.length} systems`);
             
             // Cache the data
             this.cache.set(cacheKey, {
@@ -106,6 +164,110 @@ export class DataManager {
         }
     }
 
+    /**
+     * Ask the server which version of the database it has
+     * @returns {string|null} Version, or null if the server can't be reached
+     */
+    async fetchVisualizationVersion() {
+        try {
+            const response = await fetch('/api/visualization-data/version', { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            const { version } = await response.json();
+            return version || null;
+        } catch (error) {
+            console.warn('⚠️ Could not check system data version:', error.message);
+            return null;
+        }
+    }
+
+    restoreVisualizationData(stored) {
+        try {
+            const data = stored.format === 'packed'
+                ? this.fromPackedVisualizationData(stored.payload)
+                : { ...stored.payload, packed: null };
+            console.log(`💾 Using system data version ${stored.version} from IndexedDB`);
+            return data;
+        } catch (error) {
+            console.warn('⚠️ Cached system data unreadable, downloading again:', error);
+            return null;
+        }
+    }
+
+    async downloadVisualizationData(version) {
+        const buffer = await this.loadPackedVisualizationData();
+        if (buffer) {
+            const data = this.fromPackedVisualizationData(buffer);
+            this.systemsStore.put(version || data.last_updated, 'packed', buffer);
+            return data;
+        }
+        
+        const data = await this.loadJSONVisualizationData();
+        this.systemsStore.put(version || data.last_updated, 'json', {
+            last_updated: data.last_updated,
+            systems: data.systems
+        });
+        return data;
+    }
+
+    fromPackedVisualizationData(buffer) {
+        const packed = decodeSystems(buffer);
+        return {
+            last_updated: packed.last_updated,
+            systems: unpackSystems(packed),
+            packed
+        };
+    }
+
+    /**
+     * @returns {ArrayBuffer|null} Packed database bytes, or null to fall back to JSON
+     */
+    async loadPackedVisualizationData() {
+        try {
+            console.log('📦 Loading packed visualization data from server...');
+            const response = await fetch('/api/visualization-data/packed');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            return await response.arrayBuffer();
+        } catch (error) {
+            console.warn('⚠️ Packed visualization data unavailable, falling back to JSON:', error.message);
+            return null;
+        }
+    }
+
+    async loadJSONVisualizationData() {
+        console.log('📊 Loading combined visualization data from server...');
+        const response = await fetch('/api/visualization-data');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const data = await response.json();
+        return { ...data, systems: data.systems || [], packed: null };
+    }
+
+    /**
+     * Changes between the loaded system database and an earlier version
+     * 
+     * @returns {Object} Diff ({ from, to, summary, added, removed, changed }) or { error }
+     */
+    async loadVisualizationDiff() {
+        try {
+            const response = await fetch('/api/visualization-data/diff');
+            const data = await response.json();
+            if (!response.ok) {
+                return { error: data.error || `HTTP ${response.status}: ${response.statusText}` };
+            }
+            return data;
+        } catch (error) {
+            console.error('Failed to load visualization diff:', error);
+            return { error: error.message };
+        }
+    }
+
     /**
      * Get System Coordinates from Local Database Only
      * Primary method for getting real Elite Dangerous system coordinates
@@ -122,21 +284,11 @@ export class DataManager {
             return null;
         }
         
-        if (vizData.systemsLookup[systemName]) {
-            const systemData = vizData.systemsLookup[systemName];
-            
-            // Extract coordinates from the system data
-            if (systemData.coords) {
-                console.log(`🎯 Found real ED coordinates for ${systemName}:`, systemData.coords);
-                return systemData.coords;
-            } else if (systemData.coordinates) {
-                console.log(`🎯 Found coordinates for ${systemName}:`, systemData.coordinates);
-                return systemData.coordinates;
-            } else if (systemData.x !== undefined && systemData.y !== undefined && systemData.z !== undefined) {
-                const coords = { x: systemData.x, y: systemData.y, z: systemData.z };
-                console.log(`🎯 Found direct coordinates for ${systemName}:`, coords);
-                return coords;
-            }
+        // The server validates every record, so coords is always { x, y, z } numbers
+        const systemData = vizData.systemsLookup[systemName];
+        if (systemData) {
+            console.log(`🎯 Found real ED coordinates for ${systemName}:`, systemData.coords);
+            return systemData.coords;
         }
         
         // System not found - return null instead of generating mock coordinates
@@ -163,6 +315,78 @@ export class DataManager {
 
     clearCache() {
         this.cache.clear();
+        this.etags.clear();
+    }
+
+    /**
+     * Subscribe to live sheet changes pushed by the server
+     * The browser reconnects automatically if the stream drops
+     *
+     * @param {Function} onChanges - Called with { lastUpdated, events } for each batch of changes
+     * @param {Function} [onDataReloaded] - Called with { file, dataset, reloadedAt } when the server reloads a data file
+     * @returns {EventSource|null} The open stream, or null if EventSource is unsupported
+     */
+    subscribeToLiveUpdates(onChanges, onDataReloaded = null) {
+        if (typeof EventSource === 'undefined') {
+            console.warn('⚠️ EventSource not supported, live updates disabled');
+            return null;
+        }
+
+        const loaded = this.cache.get('sheets-data')?.data;
+        this.liveSheets = loaded ? { lastUpdated: loaded.lastUpdated, data: loaded } : null;
+
+        const source = new EventSource('/api/live');
+        source.addEventListener('hello', (event) => {
+            const { lastUpdated } = JSON.parse(event.data);
+            this.resyncLiveSheets(lastUpdated, onChanges);
+        });
+        source.addEventListener('changes', (event) => {
+            const changes = JSON.parse(event.data);
+            // Cached sheet data no longer matches the sheet
+            this.cache.delete('sheets-data');
+            if (this.liveSheets) {
+                this.liveSheets = {
+                    lastUpdated: changes.lastUpdated,
+                    data: applySheetsChanges(this.liveSheets.data, changes.events)
+                };
+            }
+            onChanges(changes);
+        });
+        source.addEventListener('dataReloaded', (event) => {
+            const reload = JSON.parse(event.data);
+            const cacheKey = DATASET_CACHE_KEYS[reload.dataset];
+            if (cacheKey) this.cache.delete(cacheKey);
+            onDataReloaded?.(reload);
+        });
+        source.onerror = () => console.warn('⚠️ Live updates connection lost, reconnecting...');
+
+        this.liveSource = source;
+        return source;
+    }
+
+    /**
+     * Catch up after (re)connecting to the live stream. Changes broadcast while
+     * the stream was down, or between loading the page and subscribing, are not
+     * replayed, so when the server's sheet time differs from the one the map
+     * shows, refetch the sheet and report the difference as live changes.
+     *
+     * @param {string|null} lastUpdated - Server sheet time from the hello event
+     * @param {Function} onChanges - Called with { lastUpdated, events } if anything changed
+     */
+    async resyncLiveSheets(lastUpdated, onChanges) {
+        if (!this.liveSheets || !lastUpdated || this.liveSheets.lastUpdated === lastUpdated) return;
+
+        this.cache.delete('sheets-data');
+        const current = await this.loadSheetsData();
+        if (!current || this.isOffline) return;
+
+        // Diff against the state after any events that arrived during the fetch
+        const events = diffSheetsData(this.liveSheets.data, current);
+        this.liveSheets = { lastUpdated, data: current };
+        if (events.length > 0) {
+            console.log(`📡 Caught up on ${events.length} sheet changes missed while disconnected`);
+            onChanges({ lastUpdated, events });
+        }
     }
 
     async checkConnection() {
@@ -174,27 +398,11 @@ export class DataManager {
         }
     }
 
-    // Utility method for parsing CSV data
+    // Utility method for parsing CSV data into objects keyed by header
     parseCSV(csvText) {
-        const lines = csvText.split('\n');
-        const headers = lines[0].split(',').map(h => h.trim());
-        const data = [];
-        
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const values = line.split(',').map(v => v.trim());
-            const row = {};
-            
-            headers.forEach((header, index) => {
-                row[header] = values[index] || '';
-            });
-            
-            data.push(row);
-        }
-        
-        return data;
+        const { records, errors } = parseCSVRecords(csvText);
+        errors.forEach(error => console.warn(`⚠️ CSV ${formatCSVError(error)}`));
+        return records;
     }
 
     /**
@@ -0,0 +1,159 @@
+/**
+ * OASIS Community Map - Fleet carrier jumps
+ * Tritium and timing for a fleet carrier flying a planned route. A carrier
+ * jumps up to 500 LY whatever it carries; the load only changes the fuel:
+ *
+ *   tritium = 5 + distance / 8 * (1 + load / 25000), rounded
+ *
+ * where load is everything aboard in tons: cargo, installed services and the
+ * tritium in the tank and hold. Each jump has a 15 minute countdown, and the
+ * next one can't be scheduled until the cooldown after arriving is over.
+ *
+ * A carrier can jump to any star in the galaxy, not just the systems this map
+ * knows about, so a route can start or end at open-space coordinates. That
+ * stretch is flown in a straight line to (or from) the known system nearest
+ * the coordinates, and the rest of the route uses known systems.
+ *
+ * No Three.js here, like the other route planning modules.
+ */
+
+export const CARRIER_JUMP_RANGE = 500; // Light years
+export const CARRIER_TANK_CAPACITY = 1000; // Tons of tritium
+export const CARRIER_CAPACITY = 25000; // Tons of cargo space
+export const JUMP_COUNTDOWN_MS = 15 * 60 * 1000;
+export const JUMP_COOLDOWN_MS = 5 * 60 * 1000; // From the jump until the next one can be scheduled
+const JUMP_COUNT_EPSILON = 1e-9; // Keeps rounding from adding a whole jump to an exact multiple of the range
+
+/**
+ * Tritium burned by one carrier jump
+ *
+ * @param {number} distance - Light years
+ * @param {number} load - Tons aboard, including the tritium itself
+ * @returns {number} Tons
+ */
+export function carrierJumpTritium(distance, load) {
+    return Math.round(5 + distance / 8 * (1 + load / CARRIER_CAPACITY));
+}
+
+/**
+ * Tritium and timing for each jump of a carrier route
+ * When the tank can't cover the next jump it is topped up from the hold first;
+ * anything neither can cover is reported as a shortfall.
+ *
+ * @param {number[]} distances - Light years of each jump, in order
+ * @param {Object} carrier
+ * @param {number} carrier.cargo - Tons aboard other than tritium, including installed services
+ * @param {number} carrier.tank - Tritium in the tank
+ * @param {number} [carrier.hold] - Tritium in the hold, for top-ups
+ * @param {number} [departure] - When the first countdown starts, in ms since the epoch
+ * @returns {Object} { jumps: [{ distance, tritium, topUp, tankAfter, countdownStarts, jumpsAt }],
+ *   totalTritium, topUps, holdLeft, shortfall, departure, arrival }
+ */
+export function planCarrierJumps(distances, { cargo, tank, hold = 0 }, departure = Date.now()) {
+    let countdownStarts = departure;
+    let shortfall = 0;
+    const jumps = distances.map(distance => {
+        const tritium = carrierJumpTritium(distance, cargo + tank + hold);
+        let topUp = 0;
+        if (tritium > tank) {
+            topUp = Math.min(CARRIER_TANK_CAPACITY - tank, hold);
+            tank += topUp;
+            hold -= topUp;
+        }
+        if (tritium > tank) {
+            shortfall += tritium - tank;
+        }
+        tank = Math.max(0, tank - tritium);
+
+        const jump = { distance, tritium, topUp, tankAfter: tank, countdownStarts, jumpsAt: countdownStarts + JUMP_COUNTDOWN_MS };
+        countdownStarts = jump.jumpsAt + JUMP_COOLDOWN_MS;
+        return jump;
+    });
+
+    return {
+        jumps,
+        totalTritium: jumps.reduce((total, jump) => total + jump.tritium, 0),
+        topUps: jumps.filter(jump => jump.topUp > 0).length,
+        holdLeft: hold,
+        shortfall,
+        departure,
+        arrival: jumps.length > 0 ? jumps[jumps.length - 1].jumpsAt : departure
+    };
+}
+
+/**
+ * Where a carrier lands flying a straight line in equal jumps of at most maxJump
+ * Each point stands for the star nearest to it, which the carrier's galaxy map will find.
+ *
+ * @param {Object} from - { x, y, z } in light years
+ * @param {Object} to - { x, y, z } in light years
+ * @param {number} [maxJump] - Light years
+ * @returns {Object[]} The point reached by each jump, ending with to; none when from is to
+ */
+export function carrierJumpPoints(from, to, maxJump = CARRIER_JUMP_RANGE) {
+    const distance = Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+    const jumps = Math.ceil(distance / maxJump - JUMP_COUNT_EPSILON);
+    return Array.from({ length: jumps }, (_, i) => {
+        if (i === jumps - 1) return { x: to.x, y: to.y, z: to.z };
+        const t = (i + 1) / jumps;
+        return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t, z: from.z + (to.z - from.z) * t };
+    });
+}
+
+/**
+ * The known system closest to an open-space point, where a carrier route joins (or leaves) the database
+ *
+ * @param {SpatialIndex} index
+ * @param {Object} point - { x, y, z } in light years
+ * @param {Uint8Array} [blocked] - 1 for each system the route may not use (see createAvoidMask)
+ * @returns {number} Index into index.systems, or -1 when every system is blocked
+ */
+export function findEntrySystem(index, point, blocked = null) {
+    let closest = -1;
+    let closestDistanceSquared = Infinity;
+    for (let i = 0; i < index.size; i++) {
+        if (blocked?.[i]) continue;
+        const dx = index.coords[i * 3] - point.x;
+        const dy = index.coords[i * 3 + 1] - point.y;
+        const dz = index.coords[i * 3 + 2] - point.z;
+        const distanceSquared = dx * dx + dy * dy + dz * dz;
+        if (distanceSquared < closestDistanceSquared) {
+            closest = i;
+            closestDistanceSquared = distanceSquared;
+        }
+    }
+    return closest;
+}
+
+/**
+ * A carrier route with open-space ends: straight-line jumps from startPoint to
+ * the first known system, the known systems, then straight on to goalPoint
+ * Open-space stops are named by their coordinates and flagged openSpace.
+ *
+ * @param {Object[]} systems - Known systems on the route; none for a route entirely in open space
+ * @param {Object} ends
+ * @param {Object} [ends.startPoint] - { x, y, z } the route starts at instead of systems[0]
+ * @param {Object} [ends.goalPoint] - { x, y, z } the route ends at after the last system
+ * @returns {Object} { route, offset } - The stops, and the position of systems[0] in them
+ */
+export function addOpenSpaceEnds(systems, { startPoint = null, goalPoint = null }) {
+    if (systems.length === 0) {
+        return { route: [startPoint, ...carrierJumpPoints(startPoint, goalPoint)].map(openSpaceStop), offset: 0 };
+    }
+
+    const first = systems[0].coords;
+    const last = systems[systems.length - 1].coords;
+    const toFirst = startPoint ? carrierJumpPoints(startPoint, first) : [];
+    const before = toFirst.length > 0 ? [startPoint, ...toFirst.slice(0, -1)].map(openSpaceStop) : [];
+    const after = goalPoint ? carrierJumpPoints(last, goalPoint).map(openSpaceStop) : [];
+    return { route: [...before, ...systems, ...after], offset: before.length };
+}
+
+function openSpaceStop(point) {
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+        name: `${round(point.x)}, ${round(point.y)}, ${round(point.z)}`,
+        coords: { x: point.x, y: point.y, z: point.z },
+        openSpace: true
+    };
+}
@@ -2,6 +2,7 @@ import { SceneManager } from './sceneManager.js';
 import { DataManager } from './dataManager.js';
 import { RoutePlanner } from './routePlanner.js';
 import { RoutePlannerUI } from './routePlannerUI.js';
+import { UIController } from './uiController.js';
 
 /**
  * Main Application Class
@@ -13,6 +14,7 @@ class OASISCommunityMap {
         this.sceneManager = new SceneManager('scene-canvas');
         this.routePlanner = new RoutePlanner(this.sceneManager);
         this.routePlannerUI = null; // Initialize later after DOM is ready
+        this.uiController = new UIController();
         
         this.isInitialized = false;
         this.loadingScreen = document.getElementById('loading-screen');
@@ -48,6 +50,15 @@ class OASISCommunityMap {
             this.routePlannerUI = new RoutePlannerUI(this.routePlanner, this.sceneManager);
             await this.routePlannerUI.initialize();
             
+            // Apply sheet changes as they happen instead of waiting for a reload
+            this.dataManager.subscribeToLiveUpdates(
+                (changes) => this.handleLiveChanges(changes),
+                (reload) => this.handleDataReloaded(reload)
+            );
+            
+            // Show when the map is running on cached data
+            await this.setupConnectionStatus();
+            
             // Hide loading screen
             this.hideLoadingScreen();
             
@@ -64,6 +75,8 @@ class OASISCommunityMap {
         // System interaction events
         this.sceneManager.onSystemClick = (systemData) => {
             console.log('🖱️ System clicked:', systemData);
+            // While the route planner is picking stops, a click adds a stop instead of opening the info panel
+            if (this.routePlannerUI?.handleSystemClick(systemData)) return;
             this.showSystemInfo(systemData);
         };
 
@@ -189,7 +202,8 @@ class OASISCommunityMap {
             'filter-fleetCarriers': 'fleetCarriers',
             'filter-unclaimedStars': 'unclaimedStars',
             'filter-regionLabels': 'regionLabels',
-            'filter-populationScale': 'populationScale'
+            'filter-populationScale': 'populationScale',
+            'filter-datasetChanges': 'datasetChanges'
         };
 
         // Setup filter event listeners
@@ -201,9 +215,194 @@ class OASISCommunityMap {
                 });
             }
         });
+
+        // The dataset changes overlay is fetched the first time it is switched on
+        const datasetChanges = document.getElementById('filter-datasetChanges');
+        if (datasetChanges) {
+            datasetChanges.addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.loadDatasetChanges(e.target);
+                }
+            });
+        }
     }
 
+    async loadDatasetChanges(checkbox) {
+        if (this.datasetChangesLoaded) return;
 
+        const diff = await this.dataManager.loadVisualizationDiff();
+        if (diff.error) {
+            this.uiController.showNotification(`Dataset changes unavailable: ${diff.error}`, 'warning', 6000);
+            checkbox.checked = false;
+            this.sceneManager.toggleFilter('datasetChanges', false);
+            return;
+        }
+
+        this.sceneManager.setDatasetChanges(diff);
+        this.datasetChangesLoaded = true;
+
+        const since = diff.from.last_updated ? new Date(diff.from.last_updated).toLocaleDateString() : diff.from.source;
+        const { summary } = diff;
+        this.uiController.showNotification(
+            `Since ${since}: ${summary.added} added (green), ${summary.removed} removed (red), ` +
+            `${summary.changed} changed (amber: ${summary.coords} coordinates, ${summary.population} population, ${summary.primaryStar} star)`,
+            'info', 10000
+        );
+    }
+
+    /**
+     * Handle a batch of live sheet changes from the server
+     */
+    handleLiveChanges({ events }) {
+        const applied = this.sceneManager.applySheetChanges(events);
+        if (applied.length === 0) return;
+
+        this.updateStatistics();
+
+        // Toast the first few changes; a big sheet edit would otherwise bury the map
+        const maxToasts = 4;
+        applied.forEach((event, index) => {
+            const notification = this.describeLiveChange(event);
+            if (!notification) return;
+
+            const duration = index < maxToasts ? 6000 : 0;
+            const onClick = () => this.focusLiveChange(event);
+            if (duration > 0) {
+                this.uiController.showNotification(notification.message, notification.type, duration, { onClick });
+            } else {
+                this.uiController.addToHistory(notification.message, notification.type, onClick);
+            }
+        });
+
+        if (applied.length > maxToasts) {
+            this.uiController.showNotification(
+                `${applied.length - maxToasts} more updates in notification history`, 'info', 6000,
+                { onClick: () => this.uiController.toggleHistoryDrawer(true) }
+            );
+        }
+    }
+
+    /**
+     * Turn a live change event into notification text
+     * @returns {{message: string, type: string}|null}
+     */
+    describeLiveChange(event) {
+        const architect = event.row?.['architect?_'];
+        const by = architect ? ` by ${architect}` : '';
+        const carrier = event.carrier || event.previous;
+        const carrierName = carrier?.name ? `${event.callsign} (${carrier.name})` : event.callsign;
+
+        switch (event.type) {
+            case 'systemCompleted':
+                return { message: `${event.system} completed${by}`, type: 'success' };
+            case 'systemClaimed':
+                return { message: `${event.system} claimed${by}`, type: 'info' };
+            case 'systemAdded':
+                return { message: `${event.system} added to the route`, type: 'info' };
+            case 'systemStatusChanged': {
+                const status = event.row['completed?_'] === true ? 'completed'
+                    : event.row['claimed?_'] === true ? 'in progress' : 'planned';
+                return { message: `${event.system} is now ${status}`, type: 'warning' };
+            }
+            case 'systemRemoved':
+                return { message: `${event.system} removed from the route`, type: 'warning' };
+            case 'carrierAdded':
+                return { message: `${carrierName} joined the fleet at ${event.carrier.location}`, type: 'info' };
+            case 'carrierMoved':
+                return { message: `${carrierName} jumped to ${event.carrier.location}`, type: 'info' };
+            case 'carrierStatusChanged':
+                return { message: `${carrierName} status: ${event.carrier.status || 'unknown'}`, type: 'info' };
+            case 'carrierRemoved':
+                return { message: `${carrierName} left the fleet manifest`, type: 'warning' };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Fly the camera to the system or carrier a notification refers to
+     */
+    focusLiveChange(event) {
+        const target = this.sceneManager.getLiveChangeTarget(event);
+        if (!target) {
+            this.uiController.showNotification(`${event.system || event.callsign} is no longer on the map`, 'warning');
+            return;
+        }
+
+        this.sceneManager.focusOnSystem(target);
+        // Entries that are still drawn have full system data for the info panel
+        if (target.category || target.type) {
+            this.showSystemInfo(target);
+        }
+    }
+
+    /**
+     * The server picked up an edited data file; the scene is built once, so offer a reload
+     */
+    handleDataReloaded({ dataset }) {
+        const labels = {
+            systems: 'System database',
+            anchors: 'Anchor regions',
+            specialSystems: 'Key systems',
+            customRoutes: 'Custom routes'
+        };
+        this.uiController.showNotification(
+            `${labels[dataset] || 'Map data'} updated — click to refresh the map`, 'info', 15000,
+            { onClick: () => window.location.reload() }
+        );
+    }
+
+    /**
+     * Track whether the map is running on the service worker's cached data
+     */
+    async setupConnectionStatus() {
+        this.offlineBanner = document.getElementById('offline-banner');
+        this.reconnectTimer = null;
+
+        const sheetsData = await this.dataManager.loadSheetsData();
+        this.dataTimestamp = sheetsData?.lastUpdated || null;
+        this.setOffline(!navigator.onLine || this.dataManager.isOffline);
+
+        window.addEventListener('offline', () => this.setOffline(true));
+        window.addEventListener('online', () => this.handleReconnect());
+    }
+
+    setOffline(offline) {
+        if (this.offlineBanner) {
+            const time = this.dataTimestamp ? new Date(this.dataTimestamp).toLocaleString() : 'an earlier visit';
+            this.offlineBanner.textContent = `offline — data from ${time}`;
+            this.offlineBanner.hidden = !offline;
+        }
+
+        // A flaky connection may never fire 'online', so keep checking while offline
+        if (offline && !this.reconnectTimer) {
+            this.reconnectTimer = setInterval(() => this.handleReconnect(), 60 * 1000);
+        } else if (!offline && this.reconnectTimer) {
+            clearInterval(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    /**
+     * Once the server answers again, refresh the offline copies in the background
+     * and offer a reload if the sheet changed while we were away
+     */
+    async handleReconnect() {
+        const previousEtag = this.dataManager.etags.get('sheets-data')?.etag;
+        this.dataManager.cache.delete('sheets-data');
+        await this.dataManager.loadSheetsData();
+        if (this.dataManager.isOffline || !navigator.onLine) return;
+
+        this.setOffline(false);
+        navigator.serviceWorker?.controller?.postMessage({ type: 'refresh' });
+        console.log('📡 Connection restored');
+
+        if (this.dataManager.etags.get('sheets-data')?.etag !== previousEtag) {
+            this.uiController.showNotification('Back online — the map has newer data, click to reload', 'info', 10000, {
+                onClick: () => window.location.reload()
+            });
+        }
+    }
 
     async updateStatistics() {
         try {
@@ -425,9 +624,9 @@ class OASISCommunityMap {
         if (systemData.routeInfo) {
             routeInfo.style.display = 'block';
             let status = 'Planned';
-            if (systemData.routeInfo['completed?_'] === 'TRUE') {
+            if (systemData.routeInfo['completed?_'] === true) {
                 status = 'Completed';
-            } else if (systemData.routeInfo['claimed?_'] === 'TRUE') {
+            } else if (systemData.routeInfo['claimed?_'] === true) {
                 status = 'In Progress';
             }
             
@@ -649,10 +848,11 @@ document.addEventListener('DOMContentLoaded', () => {
     new OASISCommunityMap();
 });
 
-// Handle service worker registration for PWA capabilities
+// Register the service worker so the map keeps working offline
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        // Register service worker when available
-        // navigator.serviceWorker.register('/sw.js');
+        navigator.serviceWorker.register('/sw.js').catch((error) => {
+            console.warn('⚠️ Service worker registration failed:', error);
+        });
     });
 } 
\ No newline at end of file
@@ -0,0 +1,738 @@
+/**
+ * OASIS Community Map - Pathfinder
+ * A* over the systems in a SpatialIndex, where an edge is any jump no longer
+ * than the jump range. Plain data in, plain data out (no Three.js), so the same
+ * code can run on the main thread or in a worker.
+ *
+ * With fuel options the search also tracks the fuel in the tank: a jump is only
+ * taken if it leaves at least the reserve, and arriving at a scoopable star
+ * fills the tank. With boost on, jumps leaving a neutron star or white dwarf
+ * get their supercharged range and the search minimises jumps instead of distance.
+ * A route with stops is searched one leg at a time. Avoided systems and zones
+ * are never jumped through; a route may still start or end at an avoided
+ * system, but from inside a zone it has to jump straight out of it.
+ */
+import { jumpRangeFor, jumpFuelFor } from './shipLoadout.js';
+
+const DEFAULT_TIME_BUDGET_MS = 2000; // Per search
+const DEFAULT_WAYPOINT_BUDGET_MS = 5000; // Stop trying waypoints after this much searching
+const CLOCK_CHECK_INTERVAL = 256; // Expansions between time budget checks
+const CELLS_PER_JUMP = 4; // Long-range searches query a coarser grid with about this many cells per jump radius
+const FSD_FUEL_POWER = 2.45; // Fuel grows with distance to this power (class 5 A-rated drive)
+const FUEL_EPSILON = 1e-9;
+const JUMP_COUNT_EPSILON = 1e-9; // Keeps rounding from adding a whole jump to the heuristic
+const TOUR_EPSILON = 1e-9; // Light years; 2-opt ignores smaller gains so rounding can't make it cycle
+
+// Boost mode costs: mostly jumps, then distance, then a little for each supercharge
+const JUMP_COST = 1;
+const DISTANCE_COST = 0.001; // Per light year
+const SUPERCHARGE_COST = 0.25; // Flying into the jet cone or the white dwarf's
+
+/**
+ * Stars whose jet cones supercharge the frame shift drive: the jump leaving
+ * them has its range multiplied
+ */
+export const STAR_BOOSTS = [
+    { pattern: /^neutron/i, multiplier: 4, label: 'Neutron star' },
+    { pattern: /^white dwarf/i, multiplier: 1.5, label: 'White dwarf' }
+];
+const MAX_BOOST_MULTIPLIER = Math.max(...STAR_BOOSTS.map(boost => boost.multiplier));
+
+/**
+ * Binary min-heap of integer ids ordered by a numeric priority
+ */
+export class MinHeap {
+    constructor() {
+        this.ids = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.ids.length;
+    }
+
+    push(id, priority) {
+        const ids = this.ids;
+        const priorities = this.priorities;
+        let i = ids.length;
+        ids.push(id);
+        priorities.push(priority);
+
+        // Sift up
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (priorities[parent] <= priority) break;
+            ids[i] = ids[parent];
+            priorities[i] = priorities[parent];
+            i = parent;
+        }
+        ids[i] = id;
+        priorities[i] = priority;
+    }
+
+    /**
+     * Remove the lowest-priority entry
+     * @returns {number} Its id (undefined when empty)
+     */
+    pop() {
+        const ids = this.ids;
+        const priorities = this.priorities;
+        const top = ids[0];
+        const lastId = ids.pop();
+        const lastPriority = priorities.pop();
+        const length = ids.length;
+        if (length === 0) return top;
+
+        // Sift the last entry down from the root
+        let i = 0;
+        while (true) {
+            const left = 2 * i + 1;
+            if (left >= length) break;
+            const right = left + 1;
+            const child = right < length && priorities[right] < priorities[left] ? right : left;
+            if (priorities[child] >= lastPriority) break;
+            ids[i] = ids[child];
+            priorities[i] = priorities[child];
+            i = child;
+        }
+        ids[i] = lastId;
+        priorities[i] = lastPriority;
+        return top;
+    }
+}
+
+/**
+ * Shortest route by distance where no single jump exceeds maxJumpRange
+ *
+ * A generator so a caller can pause between slices of work: it yields a progress
+ * report every few hundred expansions and returns the result. Use findPath to
+ * run it to completion in one go.
+ *
+ * @param {SpatialIndex} index - Systems to route through
+ * @param {number} start - Index of the start system in index.systems
+ * @param {number} goal - Index of the destination system
+ * @param {Object} options
+ * @param {number} options.maxJumpRange - Light years
+ * @param {boolean} [options.boost] - Use neutron star and white dwarf supercharges, minimising jumps
+ * @param {boolean} [options.fewestJumps] - Minimise jumps rather than distance, as boost does without the supercharges
+ * @param {Object} [options.avoid] - Systems and zones to route around; see createAvoidMask
+ * @param {number} [options.timeBudgetMs] - Give up after this long instead of after a fixed iteration count
+ * @yields {Object} { nodesExpanded, elapsedMs, travelled, remaining } where travelled and remaining
+ *   describe the expanded system closest to the goal so far
+ * @returns {Object} { path: number[]|null, distance, nodesExpanded, elapsedMs, timedOut },
+ *   plus supercharges (positions in path) with boost on
+ */
+export function* searchPath(index, start, goal, { maxJumpRange, boost = false, fewestJumps = false, avoid = null, timeBudgetMs = DEFAULT_TIME_BUDGET_MS }) {
+    const startedAt = now();
+    const count = index.size;
+    const coords = index.coords;
+    const grid = index.withCellSize(Math.max(index.cellSize, maxJumpRange / CELLS_PER_JUMP));
+    const jumps = createJumpModel(index, goal, { maxJumpRange, boost, fewestJumps });
+    const blocked = createAvoidMask(index, avoid, [start, goal]);
+    const gScore = new Float64Array(count).fill(Infinity);
+    const travelled = new Float64Array(count); // Light years, which differs from gScore with boost on
+    const cameFrom = new Int32Array(count).fill(-1);
+    const closed = new Uint8Array(count);
+    const open = new MinHeap();
+
+    gScore[start] = 0;
+    open.push(start, jumps.heuristic(start));
+
+    let nodesExpanded = 0;
+    let closest = start;
+    let closestRemaining = distanceBetween(index, start, goal);
+    const center = { x: 0, y: 0, z: 0 };
+    const result = (path, timedOut) => ({
+        path,
+        distance: path ? travelled[goal] : null,
+        nodesExpanded,
+        elapsedMs: now() - startedAt,
+        timedOut,
+        ...(path && boost && { supercharges: findSupercharges(index, path, maxJumpRange) })
+    });
+
+    while (open.size > 0) {
+        const current = open.pop();
+        // The heap keeps stale entries for nodes that were later reached more cheaply
+        if (closed[current]) continue;
+        if (current === goal) {
+            return result(reconstructPath(cameFrom, goal), false);
+        }
+
+        closed[current] = 1;
+        nodesExpanded++;
+        const remaining = distanceBetween(index, current, goal);
+        if (remaining < closestRemaining) {
+            closest = current;
+            closestRemaining = remaining;
+        }
+
+        if (nodesExpanded % CLOCK_CHECK_INTERVAL === 0) {
+            const elapsedMs = now() - startedAt;
+            if (elapsedMs > timeBudgetMs) {
+                return result(null, true);
+            }
+            yield { nodesExpanded, elapsedMs, travelled: travelled[closest], remaining: closestRemaining };
+        }
+
+        const currentScore = gScore[current];
+        center.x = coords[current * 3];
+        center.y = coords[current * 3 + 1];
+        center.z = coords[current * 3 + 2];
+        grid.forEachWithin(center, maxJumpRange * jumps.multiplier(current), (neighbor, distanceSquared) => {
+            if (closed[neighbor] || blocked[neighbor]) return;
+
+            const distance = Math.sqrt(distanceSquared);
+            const tentative = currentScore + jumps.cost(distance, distance > maxJumpRange);
+            if (tentative < gScore[neighbor]) {
+                gScore[neighbor] = tentative;
+                travelled[neighbor] = travelled[current] + distance;
+                cameFrom[neighbor] = current;
+                open.push(neighbor, tentative + jumps.heuristic(neighbor));
+            }
+        });
+    }
+
+    return result(null, false);
+}
+
+/**
+ * Shortest route, falling back to waypoints when the direct search runs out of time
+ * A* already finds the shortest route, so waypoints are never tried after a
+ * direct search that finished: two shorter searches via the waypoint with the
+ * smallest detour often complete where one long search didn't.
+ *
+ * @param {SpatialIndex} index
+ * @param {number} start
+ * @param {number} goal
+ * @param {Object} options - As for searchPath, plus:
+ * @param {Object} [options.fuel] - Plan with fuel (see searchFuelPath)
+ * @param {number[]} [options.waypoints] - Indices of systems to try as intermediate stops
+ * @param {number} [options.waypointBudgetMs] - Stop trying waypoints once this much time has been spent
+ * @param {number[]} [options.stops] - Systems to visit in this order on the way; see searchStops
+ * @yields {Object} Progress reports from the underlying searches, with totals for nodesExpanded and elapsedMs
+ * @returns {Object} As searchPath, plus waypoint (index or null) and, with fuel options, fuel
+ */
+export function* searchRoute(index, start, goal, { stops = [], waypoints = [], waypointBudgetMs = DEFAULT_WAYPOINT_BUDGET_MS, ...options }) {
+    if (stops.length > 0) {
+        return yield* searchStops(index, [start, ...stops, goal], { waypoints, waypointBudgetMs, ...options });
+    }
+
+    let nodesExpanded = 0;
+    let elapsedMs = 0;
+    // Run one search, adding its work to the totals so progress and results cover the whole route
+    function* leg(from, to, legOptions = options) {
+        const search = legOptions.fuel ? searchFuelPath(index, from, to, legOptions) : searchPath(index, from, to, legOptions);
+        let step;
+        while (!(step = search.next()).done) {
+            yield { ...step.value, nodesExpanded: nodesExpanded + step.value.nodesExpanded, elapsedMs: elapsedMs + step.value.elapsedMs };
+        }
+        nodesExpanded += step.value.nodesExpanded;
+        elapsedMs += step.value.elapsedMs;
+        return step.value;
+    }
+
+    const direct = yield* leg(start, goal);
+    if (direct.path || !direct.timedOut) {
+        return { ...direct, waypoint: null };
+    }
+
+    const detour = (waypoint) => distanceBetween(index, start, waypoint) + distanceBetween(index, waypoint, goal);
+    const blocked = createAvoidMask(index, options.avoid, [start, goal]);
+    const candidates = waypoints
+        .filter(waypoint => waypoint !== start && waypoint !== goal && !blocked[waypoint])
+        .sort((a, b) => detour(a) - detour(b));
+
+    for (const waypoint of candidates) {
+        if (elapsedMs > waypointBudgetMs) break;
+
+        const toWaypoint = yield* leg(start, waypoint);
+        if (!toWaypoint.path) continue;
+        // The second leg starts with whatever fuel the first one arrives with
+        const fromWaypoint = yield* leg(waypoint, goal, toWaypoint.fuel
+            ? { ...options, fuel: { ...options.fuel, startFuel: toWaypoint.fuel.levels[toWaypoint.fuel.levels.length - 1] } }
+            : options);
+        if (!fromWaypoint.path) continue;
+
+        return {
+            path: [...toWaypoint.path, ...fromWaypoint.path.slice(1)],
+            distance: toWaypoint.distance + fromWaypoint.distance,
+            nodesExpanded,
+            elapsedMs,
+            timedOut: false,
+            waypoint,
+            ...(toWaypoint.fuel && { fuel: joinFuelPlans(toWaypoint.fuel, fromWaypoint.fuel, toWaypoint.path.length - 1) }),
+            ...(toWaypoint.supercharges && {
+                supercharges: [...toWaypoint.supercharges, ...fromWaypoint.supercharges.map(stop => stop + toWaypoint.path.length - 1)]
+            })
+        };
+    }
+
+    return { path: null, distance: null, nodesExpanded, elapsedMs, timedOut: true, waypoint: null };
+}
+
+/**
+ * Route visiting systems in the given order, one searchRoute per leg
+ * Each leg starts with the fuel the previous one arrived with.
+ *
+ * @param {SpatialIndex} index
+ * @param {number[]} stops - Start, the systems to visit, then the destination
+ * @param {Object} options - As for searchRoute
+ * @yields {Object} Progress as searchRoute, plus leg and legCount (leg counts from 1)
+ * @returns {Object} As searchRoute with waypoint null, plus legs: [{ from, to, startPosition, endPosition,
+ *   distance, waypoint, fuelUsed? }] where positions are into path; with no route, failedLeg instead
+ */
+export function* searchStops(index, stops, options) {
+    let nodesExpanded = 0;
+    let elapsedMs = 0;
+    let route = null;
+    const legs = [];
+
+    for (let i = 0; i < stops.length - 1; i++) {
+        const legOptions = route?.fuel
+            ? { ...options, fuel: { ...options.fuel, startFuel: route.fuel.levels[route.fuel.levels.length - 1] } }
+            : options;
+        const search = searchRoute(index, stops[i], stops[i + 1], legOptions);
+        let step;
+        while (!(step = search.next()).done) {
+            yield {
+                ...step.value,
+                nodesExpanded: nodesExpanded + step.value.nodesExpanded,
+                elapsedMs: elapsedMs + step.value.elapsedMs,
+                leg: i + 1,
+                legCount: stops.length - 1
+            };
+        }
+        const result = step.value;
+        nodesExpanded += result.nodesExpanded;
+        elapsedMs += result.elapsedMs;
+
+        if (!result.path) {
+            return { path: null, distance: null, nodesExpanded, elapsedMs, timedOut: result.timedOut, waypoint: null, failedLeg: i };
+        }
+
+        const offset = route ? route.path.length - 1 : 0;
+        legs.push({
+            from: stops[i],
+            to: stops[i + 1],
+            startPosition: offset,
+            endPosition: offset + result.path.length - 1,
+            distance: result.distance,
+            waypoint: result.waypoint,
+            ...(result.fuel && { fuelUsed: result.fuel.used })
+        });
+        route = route
+            ? {
+                path: [...route.path, ...result.path.slice(1)],
+                distance: route.distance + result.distance,
+                ...(route.fuel && { fuel: joinFuelPlans(route.fuel, result.fuel, offset) }),
+                ...(route.supercharges && { supercharges: [...route.supercharges, ...result.supercharges.map(stop => stop + offset)] })
+            }
+            : { path: result.path, distance: result.distance, fuel: result.fuel, supercharges: result.supercharges };
+    }
+
+    return {
+        path: route.path,
+        distance: route.distance,
+        nodesExpanded,
+        elapsedMs,
+        timedOut: false,
+        waypoint: null,
+        legs,
+        ...(route.fuel && { fuel: route.fuel }),
+        ...(route.supercharges && { supercharges: route.supercharges })
+    };
+}
+
+/**
+ * Order in which to visit stops between a fixed start and destination
+ * A travelling salesman heuristic on straight-line distances: nearest
+ * neighbour to build a tour, then 2-opt to uncross it. Not always the
+ * shortest order, but close, and instant for the handful of stops a trip has.
+ *
+ * @param {SpatialIndex} index
+ * @param {number} start
+ * @param {number} goal
+ * @param {number[]} stops - Systems to visit, in any order
+ * @returns {number[]} The same stops, reordered
+ */
+export function orderStops(index, start, goal, stops) {
+    const remaining = [...stops];
+    const order = [];
+    let current = start;
+    while (remaining.length > 0) {
+        let nearest = 0;
+        for (let i = 1; i < remaining.length; i++) {
+            if (distanceBetween(index, current, remaining[i]) < distanceBetween(index, current, remaining[nearest])) {
+                nearest = i;
+            }
+        }
+        current = remaining.splice(nearest, 1)[0];
+        order.push(current);
+    }
+
+    // Reverse order[i..j] whenever that shortens the tour, until no reversal helps
+    const tour = [start, ...order, goal];
+    const length = (a, b) => distanceBetween(index, tour[a], tour[b]);
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 1; i < tour.length - 2; i++) {
+            for (let j = i + 1; j < tour.length - 1; j++) {
+                const change = length(i - 1, j) + length(i, j + 1) - length(i - 1, i) - length(j, j + 1);
+                if (change < -TOUR_EPSILON) {
+                    reverseRange(tour, i, j);
+                    improved = true;
+                }
+            }
+        }
+    }
+    return tour.slice(1, -1);
+}
+
+function reverseRange(array, from, to) {
+    for (let i = from, j = to; i < j; i++, j--) {
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+}
+
+/**
+ * Fuel burned by one jump, scaled so a jump of the full range burns maxFuelPerJump
+ *
+ * @param {number} distance - Light years
+ * @param {number} maxJumpRange - Light years
+ * @param {Object} fuel - { maxFuelPerJump, fuelPower? }
+ * @returns {number} Tons
+ */
+export function jumpFuel(distance, maxJumpRange, { maxFuelPerJump, fuelPower = FSD_FUEL_POWER }) {
+    return maxFuelPerJump * Math.pow(distance / maxJumpRange, fuelPower);
+}
+
+/**
+ * Shortest route the ship can fly on its fuel
+ *
+ * Like searchPath, but the state is a system plus the fuel left on arrival.
+ * A system can be reached more than once: a longer way in with more fuel is
+ * kept as long as no other way in is both shorter and leaves more fuel.
+ * Scoopable stars refill the tank, so each of those keeps a single best label.
+ *
+ * @param {SpatialIndex} index - Systems to route through; scoopable means primaryStar.isScoopable
+ * @param {number} start
+ * @param {number} goal
+ * @param {Object} options - As for searchPath, plus:
+ * @param {Object} options.fuel - { tankSize, maxFuelPerJump, reserve, fuelPower?, startFuel?, ship? } in tons;
+ *   startFuel defaults to a full tank. With ship ({ fsd, guardianBonus, unladenMass, cargo }, see
+ *   shipLoadout.js) each jump's range and fuel follow from the ship's mass at that point, which
+ *   drops as fuel burns, and maxJumpRange is ignored.
+ * @yields {Object} As searchPath
+ * @returns {Object} As searchPath, plus fuel: see planRefuels
+ */
+export function* searchFuelPath(index, start, goal, { maxJumpRange, boost = false, avoid = null, timeBudgetMs = DEFAULT_TIME_BUDGET_MS, fuel }) {
+    const startedAt = now();
+    const coords = index.coords;
+    const { tankSize, reserve = 0 } = fuel;
+    const isScoopable = (i) => index.systems[i].primaryStar?.isScoopable === true;
+    const jumps = createJumpModel(index, goal, { maxJumpRange, boost, fuel });
+    const blocked = createAvoidMask(index, avoid, [start, goal]);
+
+    // Labels are (system, cost so far, fuel on arrival) states, stored column-wise
+    const labelNode = [];
+    const labelScore = [];
+    const labelTravelled = [];
+    const labelFuel = [];
+    const labelSupercharged = []; // Whether the jump in was supercharged
+    const labelParent = [];
+    const labelDead = [];
+    const labelsAt = new Map(); // System index -> live label ids
+    const open = new MinHeap();
+
+    const addLabel = (node, score, travelled, fuelLeft, supercharged, parent) => {
+        const existing = labelsAt.get(node) || [];
+        if (existing.some(id => labelScore[id] <= score + FUEL_EPSILON && labelFuel[id] >= fuelLeft - FUEL_EPSILON)) {
+            return;
+        }
+
+        const id = labelNode.length;
+        labelNode.push(node);
+        labelScore.push(score);
+        labelTravelled.push(travelled);
+        labelFuel.push(fuelLeft);
+        labelSupercharged.push(supercharged);
+        labelParent.push(parent);
+        labelDead.push(false);
+        // Drop the labels this one beats on both counts
+        const kept = existing.filter(other => {
+            const dominated = labelScore[other] >= score && labelFuel[other] <= fuelLeft;
+            if (dominated) labelDead[other] = true;
+            return !dominated;
+        });
+        kept.push(id);
+        labelsAt.set(node, kept);
+        open.push(id, score + jumps.heuristic(node));
+    };
+
+    const startFuel = fuel.startFuel ?? tankSize;
+    addLabel(start, 0, 0, isScoopable(start) ? tankSize : startFuel, false, -1);
+
+    let nodesExpanded = 0;
+    let closestRemaining = distanceBetween(index, start, goal);
+    let closestTravelled = 0;
+    const center = { x: 0, y: 0, z: 0 };
+    const result = (path, distance, supercharges, timedOut) => ({
+        path,
+        distance,
+        nodesExpanded,
+        elapsedMs: now() - startedAt,
+        timedOut,
+        ...(path && { fuel: planRefuels(index, path, maxJumpRange, { ...fuel, startFuel }, supercharges) }),
+        ...(path && boost && { supercharges })
+    });
+
+    while (open.size > 0) {
+        const label = open.pop();
+        if (labelDead[label]) continue;
+
+        const current = labelNode[label];
+        const currentScore = labelScore[label];
+        if (current === goal) {
+            const labels = [];
+            for (let id = label; id !== -1; id = labelParent[id]) {
+                labels.unshift(id);
+            }
+            // A supercharged jump in means the supercharge happened one stop earlier
+            const supercharges = labels.flatMap((id, position) => labelSupercharged[id] ? [position - 1] : []);
+            return result(labels.map(id => labelNode[id]), labelTravelled[label], supercharges, false);
+        }
+
+        // Expanded labels stay in labelsAt so later, worse arrivals are still pruned
+        nodesExpanded++;
+        const remaining = distanceBetween(index, current, goal);
+        if (remaining < closestRemaining) {
+            closestRemaining = remaining;
+            closestTravelled = labelTravelled[label];
+        }
+
+        if (nodesExpanded % CLOCK_CHECK_INTERVAL === 0) {
+            const elapsedMs = now() - startedAt;
+            if (elapsedMs > timeBudgetMs) {
+                return result(null, null, [], true);
+            }
+            yield { nodesExpanded, elapsedMs, travelled: closestTravelled, remaining: closestRemaining };
+        }
+
+        const fuelLeft = labelFuel[label];
+        const currentTravelled = labelTravelled[label];
+        center.x = coords[current * 3];
+        center.y = coords[current * 3 + 1];
+        center.z = coords[current * 3 + 2];
+        const baseRange = jumps.baseRange(fuelLeft);
+        index.forEachWithin(center, baseRange * jumps.multiplier(current), (neighbor, distanceSquared) => {
+            if (neighbor === current || blocked[neighbor]) return;
+
+            const distance = Math.sqrt(distanceSquared);
+            const supercharged = distance > baseRange;
+            const arrivalFuel = fuelLeft - jumps.fuel(current, distance, fuelLeft, supercharged);
+            if (arrivalFuel < reserve - FUEL_EPSILON) return;
+
+            addLabel(neighbor, currentScore + jumps.cost(distance, supercharged), currentTravelled + distance,
+                isScoopable(neighbor) ? tankSize : arrivalFuel, supercharged, label);
+        });
+    }
+
+    return result(null, null, [], false);
+}
+
+/**
+ * Where to scoop along a route, refuelling as late as possible
+ * At each scoopable star the tank is filled only if the fuel left would not
+ * reach the next scoopable star (or the destination) with the reserve intact.
+ *
+ * @param {SpatialIndex} index
+ * @param {number[]} path - System indices
+ * @param {number} maxJumpRange
+ * @param {Object} fuel - As for searchFuelPath
+ * @param {number[]} [supercharges] - Positions in path whose jump out is supercharged
+ * @returns {Object} { used, levels, refuelStops } - Tons burned in total, fuel left on arrival
+ *   at each stop (before scooping), and the positions in path where the tank is filled
+ */
+export function planRefuels(index, path, maxJumpRange, fuel, supercharges = []) {
+    const { tankSize, reserve = 0 } = fuel;
+    const isScoopable = (i) => index.systems[i].primaryStar?.isScoopable === true;
+    const jumps = createJumpModel(index, path[path.length - 1], { maxJumpRange, boost: supercharges.length > 0, fuel });
+    const boosted = new Set(supercharges);
+    const distances = path.slice(1).map((node, i) => distanceBetween(index, path[i], node));
+    const burn = (i, level) => jumps.fuel(path[i], distances[i], level, boosted.has(i));
+
+    // Fuel left on reaching the next scoopable star (or the destination) from position i without scooping
+    const fuelAtNextScoop = (i, level) => {
+        for (let j = i; j < distances.length; j++) {
+            level -= burn(j, level);
+            if (j + 1 === distances.length || isScoopable(path[j + 1])) break;
+        }
+        return level;
+    };
+
+    let level = fuel.startFuel ?? tankSize;
+    let used = 0;
+    const levels = [level];
+    const refuelStops = [];
+    distances.forEach((distance, i) => {
+        if (isScoopable(path[i]) && level < tankSize && fuelAtNextScoop(i, level) < reserve - FUEL_EPSILON) {
+            level = tankSize;
+            refuelStops.push(i);
+        }
+        const burned = burn(i, level);
+        used += burned;
+        level -= burned;
+        levels.push(level);
+    });
+
+    return { used, levels, refuelStops };
+}
+
+/**
+ * Systems a search may not pass through, as a flag per system
+ * The endpoints themselves are never blocked, but the rest of a zone around one
+ * is: the route's first (or last) jump has to clear the zone.
+ *
+ * @param {SpatialIndex} index
+ * @param {Object|null} avoid
+ * @param {number[]} [avoid.systems] - Indices of systems to avoid, such as permit-locked ones
+ * @param {Object[]} [avoid.zones] - Spheres to avoid: { x, y, z, radius } in light years
+ * @param {number[]} [endpoints] - Indices of the route's start and destination
+ * @returns {Uint8Array} 1 for each blocked system
+ */
+export function createAvoidMask(index, avoid, endpoints = []) {
+    const { systems = [], zones = [] } = avoid || {};
+    const blocked = new Uint8Array(index.size);
+
+    systems.forEach(i => { blocked[i] = 1; });
+    zones.forEach(zone => index.forEachWithin(zone, zone.radius, (i) => { blocked[i] = 1; }));
+    endpoints.forEach(i => { blocked[i] = 0; });
+    return blocked;
+}
+
+/**
+ * How far a jump can go from a system: the STAR_BOOSTS multiplier for its primary star, or 1
+ */
+export function boostMultiplier(system) {
+    const type = system.primaryStar?.type || '';
+    return STAR_BOOSTS.find(boost => boost.pattern.test(type))?.multiplier ?? 1;
+}
+
+/**
+ * Jump range, cost, fuel and heuristic for one search
+ * Plain searches cost a jump by its length. Boost and fewest-jumps searches
+ * cost mostly by jump count, so a detour to a neutron star pays off when it
+ * saves jumps; the heuristic assumes every remaining jump is a full (neutron)
+ * jump, which keeps it a lower bound.
+ */
+function createJumpModel(index, goal, { maxJumpRange, boost = false, fewestJumps = false, fuel = null }) {
+    const remaining = (i) => distanceBetween(index, i, goal);
+    const reserve = fuel?.reserve ?? 0;
+    const ship = fuel?.ship;
+    const mass = (fuelLeft) => ship.unladenMass + (ship.cargo || 0) + fuelLeft;
+
+    // Unboosted range with this much fuel on board; a ship gets lighter, so reaches further, as it burns fuel
+    const baseRange = ship
+        ? (fuelLeft) => jumpRangeFor(ship.fsd, mass(fuelLeft), fuelLeft - reserve, ship.guardianBonus)
+        : () => maxJumpRange;
+    // Lightest ship that can still spend the full max fuel per jump
+    const longestBaseJump = ship
+        ? baseRange(Math.min(fuel.tankSize, reserve + ship.fsd.maxFuelPerJump))
+        : maxJumpRange;
+
+    const multipliers = new Float64Array(index.size); // Looked up on first use
+    const multiplier = boost
+        ? (i) => multipliers[i] || (multipliers[i] = boostMultiplier(index.systems[i]))
+        : () => 1;
+
+    // A supercharged jump burns the fuel of an unboosted jump of distance / multiplier
+    const jumpFuelModel = (from, distance, fuelLeft, supercharged) => {
+        const driven = supercharged ? distance / multiplier(from) : distance;
+        return ship
+            ? jumpFuelFor(ship.fsd, mass(fuelLeft), driven, ship.guardianBonus)
+            : jumpFuel(driven, maxJumpRange, fuel);
+    };
+
+    if (!boost && !fewestJumps) {
+        return {
+            baseRange,
+            multiplier,
+            fuel: jumpFuelModel,
+            cost: (distance) => distance,
+            // Straight-line distance never overestimates, so the first route found is the shortest
+            heuristic: remaining
+        };
+    }
+
+    const longestJump = longestBaseJump * (boost ? MAX_BOOST_MULTIPLIER : 1);
+    return {
+        baseRange,
+        multiplier,
+        fuel: jumpFuelModel,
+        cost: (distance, supercharged) => JUMP_COST + distance * DISTANCE_COST + (supercharged ? SUPERCHARGE_COST : 0),
+        heuristic: (i) => {
+            // Whole jumps: partial ones leave long plateaus of equal estimates for A* to search
+            const distance = remaining(i);
+            return Math.ceil(distance / longestJump - JUMP_COUNT_EPSILON) * JUMP_COST + distance * DISTANCE_COST;
+        }
+    };
+}
+
+// Positions in path whose outgoing jump is beyond the normal range, so needs a supercharge
+function findSupercharges(index, path, maxJumpRange) {
+    return path.slice(0, -1)
+        .map((node, i) => i)
+        .filter(i => distanceBetween(index, path[i], path[i + 1]) > maxJumpRange);
+}
+
+// Fuel plans for two consecutive legs; the second starts at position offset of the joined route
+function joinFuelPlans(first, second, offset) {
+    return {
+        used: first.used + second.used,
+        levels: [...first.levels, ...second.levels.slice(1)],
+        refuelStops: [...first.refuelStops, ...second.refuelStops.map(stop => stop + offset)]
+    };
+}
+
+/**
+ * Run a searchPath, searchFuelPath or searchRoute generator to completion
+ *
+ * @param {Generator} search
+ * @param {Function} [onProgress] - Called with each progress report
+ * @returns {Object} The search result
+ */
+export function runSearch(search, onProgress = null) {
+    let step;
+    while (!(step = search.next()).done) {
+        onProgress?.(step.value);
+    }
+    return step.value;
+}
+
+/**
+ * searchPath run to completion
+ */
+export function findPath(index, start, goal, options) {
+    return runSearch(searchPath(index, start, goal, options));
+}
+
+function reconstructPath(cameFrom, goal) {
+    const path = [goal];
+    for (let node = cameFrom[goal]; node !== -1; node = cameFrom[node]) {
+        path.push(node);
+    }
+    return path.reverse();
+}
+
+function distanceBetween(index, a, b) {
+    const dx = index.coords[a * 3] - index.coords[b * 3];
+    const dy = index.coords[a * 3 + 1] - index.coords[b * 3 + 1];
+    const dz = index.coords[a * 3 + 2] - index.coords[b * 3 + 2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
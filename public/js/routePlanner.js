@@ -1,26 +1,50 @@
 import * as THREE from 'three';
+import { formatCSV } from './csv.js';
+import { SpatialIndex, parseCoordinates } from './spatialIndex.js';
+import { findPath, searchRoute, runSearch, orderStops, createAvoidMask } from './pathfinder.js';
+import { shipJumpRanges } from './shipLoadout.js';
+import { CARRIER_JUMP_RANGE, planCarrierJumps, findEntrySystem, addOpenSpaceEnds } from './fleetCarrier.js';
+
+// Search result for a carrier route with both ends in open space, which needs no search
+const OPEN_SPACE_SEARCH = { path: [], distance: 0, nodesExpanded: 0, elapsedMs: 0, timedOut: false };
 
 /**
  * OASIS Route Planner - Advanced pathfinding for Elite Dangerous systems
- * Uses A* algorithm with jump range constraints and fuel considerations
+ * Uses A* (see pathfinder.js) with jump range constraints and fuel considerations
  */
 export class RoutePlanner {
     constructor(sceneManager) {
         console.log('🗺️ Route Planner constructor called');
         this.sceneManager = sceneManager;
         this.allSystems = new Map(); // All available systems with coordinates
+        this.spatialIndex = null; // Grid over allSystems for range queries
         this.anchors = new Map(); // Anchor systems for waypoint routing
         this.currentRoute = null;
+        this.lastSearch = null; // { nodesExpanded, searchMs, timedOut, failedLeg, cancelled } of the last search
+        this.worker = null; // Runs computeRoute off the main thread
+        this.pendingRoute = null; // { id, search, endpoints, onProgress, resolve } of the route the worker is calculating
+        this.routeRequestId = 0;
         this.routeVisualization = null;
         
         // Route visualization group
         this.routeGroup = new THREE.Group();
         this.sceneManager.scene.add(this.routeGroup);
         
+        // Avoided zones, shown while the planner is open
+        this.avoidZoneGroup = new THREE.Group();
+        this.avoidZoneGroup.visible = false;
+        this.sceneManager.scene.add(this.avoidZoneGroup);
+        
         // Default jump range (can be customized by user)
         this.maxJumpRange = 50; // Light years
         this.fuelCapacity = 32; // Tons (typical for exploration ships)
         this.fuelPerJump = 2; // Tons per jump (conservative estimate)
+        this.fuelSettings = null; // { tankSize, maxFuelPerJump, reserve } when fuel simulation is on
+        this.useBoosts = false; // Supercharge at neutron stars and white dwarfs
+        this.ship = null; // Imported ship (see shipLoadout.js) plus the cargo carried
+        this.carrier = null; // { cargo, tank, hold, departure } when planning fleet carrier jumps
+        this.avoidance = { permitLocked: true, systems: [], zones: [] }; // See setAvoidance
+        this.permitLocked = []; // Spatial index positions of systems that need a permit
         
         console.log('🗺️ Route Planner initialized');
     }
@@ -32,6 +56,11 @@ export class RoutePlanner {
         try {
             // Get all systems from the scene manager
             this.allSystems = new Map(this.sceneManager.allSystems);
+            this.spatialIndex = new SpatialIndex([...this.allSystems.values()]);
+            this.permitLocked = this.spatialIndex.systems
+                .map((system, index) => system.requirePermit ? index : -1)
+                .filter(index => index !== -1);
+            this.startWorker();
             
             // Load anchor systems for waypoint routing
             const response = await fetch('/api/anchor-systems');
@@ -72,210 +101,383 @@ export class RoutePlanner {
      * Find systems within jump range of a given system
      */
     findSystemsInRange(centerSystem, range = this.maxJumpRange) {
-        const systemsInRange = [];
+        return this.spatialIndex.within(centerSystem.coords, range, { exclude: centerSystem.name });
+    }
+
+    /**
+     * A* pathfinding for route calculation
+     * Returns the shortest route by distance, or null. Search statistics for the
+     * last call (including whether it ran out of time) are kept in this.lastSearch.
+     */
+    findRoute(startSystemName, endSystemName, maxJumpRange = this.maxJumpRange) {
+        const endpoints = this.resolveEndpoints(startSystemName, endSystemName);
+        if (!endpoints) return null;
+        if (endpoints.start === -1) return this.toRoute(OPEN_SPACE_SEARCH, endpoints);
         
-        for (const [name, system] of this.allSystems) {
-            if (name === centerSystem.name) continue;
-            
-            const distance = this.calculateDistance(centerSystem, system);
-            if (distance <= range) {
-                systemsInRange.push({
-                    system,
-                    distance
-                });
-            }
+        return this.toRoute(findPath(this.spatialIndex, endpoints.start, endpoints.goal, { maxJumpRange }), endpoints);
+    }
+
+    /**
+     * Route finding with an anchor waypoint fallback, on the main thread
+     * Anchors are only tried when the direct search runs out of time (see searchRoute).
+     */
+    findOptimizedRoute(startSystemName, endSystemName, maxJumpRange = this.maxJumpRange) {
+        const endpoints = this.resolveEndpoints(startSystemName, endSystemName);
+        if (!endpoints) return null;
+        if (endpoints.start === -1) return this.toRoute(OPEN_SPACE_SEARCH, endpoints);
+        
+        return this.toRoute(runSearch(searchRoute(this.spatialIndex, endpoints.start, endpoints.goal, this.routeSearchOptions(maxJumpRange))), endpoints);
+    }
+
+    /**
+     * findOptimizedRoute in the route worker, so the map keeps rendering
+     * Only one calculation runs at a time; starting another cancels the first.
+     *
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with { nodesExpanded, elapsedMs, travelled, remaining },
+     *   plus { leg, legCount } on a route with stops
+     * @param {string[]} [options.stops] - Systems to visit between start and destination, in order
+     * @param {boolean} [options.optimizeOrder] - Visit the stops in the shortest order found instead
+     * @returns {Promise<Object|null>} The route, or null when there is none or it was cancelled
+     *   (this.lastSearch.cancelled tells which)
+     */
+    computeRoute(startSystemName, endSystemName, { maxJumpRange = this.maxJumpRange, onProgress = null, stops = [], optimizeOrder = false } = {}) {
+        this.cancelRoute();
+        const endpoints = this.resolveEndpoints(startSystemName, endSystemName, stops);
+        if (!endpoints) return Promise.resolve(null);
+        if (endpoints.start === -1) return Promise.resolve(this.toRoute(OPEN_SPACE_SEARCH, endpoints));
+        
+        const { startPoint, goalPoint, ...indices } = endpoints;
+        if (optimizeOrder && indices.stops.length > 1) {
+            indices.stops = orderStops(this.spatialIndex, indices.start, indices.goal, indices.stops);
         }
         
-        return systemsInRange.sort((a, b) => a.distance - b.distance);
+        const search = { ...indices, ...this.routeSearchOptions(maxJumpRange) };
+        if (!this.worker) {
+            return Promise.resolve(this.runSearchOnMainThread(search, onProgress, endpoints));
+        }
+        
+        const id = ++this.routeRequestId;
+        return new Promise(resolve => {
+            this.pendingRoute = { id, search, endpoints, onProgress, resolve };
+            this.worker.postMessage({ type: 'route', id, ...search });
+        });
     }
 
     /**
-     * A* pathfinding algorithm for route calculation
+     * Stop the calculation started by computeRoute, resolving it with null
+     * @returns {boolean} Whether there was one to cancel
      */
-    findRoute(startSystemName, endSystemName, maxJumpRange = this.maxJumpRange) {
-        const startSystem = this.sceneManager.getSystem(startSystemName);
-        const endSystem = this.sceneManager.getSystem(endSystemName);
+    cancelRoute() {
+        if (!this.pendingRoute) return false;
+        
+        const { id, resolve } = this.pendingRoute;
+        this.pendingRoute = null;
+        this.worker?.postMessage({ type: 'cancel', id });
+        this.lastSearch = { nodesExpanded: 0, searchMs: 0, timedOut: false, failedLeg: null, cancelled: true };
+        console.log('🛑 Route calculation cancelled');
+        resolve(null);
+        return true;
+    }
+
+    /**
+     * Start the route worker (or refresh its systems) with the coordinates from the spatial index
+     * Coordinates are sent once per load; route requests only carry system indices.
+     */
+    startWorker() {
+        if (typeof Worker === 'undefined') return;
+        
+        if (!this.worker) {
+            try {
+                // Module workers don't see the page's importmap, which is why the worker only imports plain modules
+                this.worker = new Worker(new URL('./routeWorker.js', import.meta.url), { type: 'module' });
+            } catch (error) {
+                console.warn('⚠️ Route worker unavailable, routes will be planned on the main thread:', error.message);
+                return;
+            }
+            this.worker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+            this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+        }
         
-        if (!startSystem || !endSystem) {
+        // Indices refer to the old systems, so an in-flight route can't be used
+        this.cancelRoute();
+        const names = this.spatialIndex.systems.map(system => system.name);
+        const coords = this.spatialIndex.coords.slice(); // The copy is transferred, the index keeps its own
+        const stars = this.spatialIndex.systems.map(({ primaryStar }) => ({
+            type: primaryStar?.type || null,
+            isScoopable: primaryStar?.isScoopable === true
+        }));
+        this.worker.postMessage({ type: 'init', names, coords, stars }, [coords.buffer]);
+    }
+
+    handleWorkerMessage(message) {
+        const pending = this.pendingRoute;
+        if (!pending || message.id !== pending.id) return; // Cancelled or superseded
+        
+        if (message.type === 'progress') {
+            pending.onProgress?.(message.progress);
+        } else if (message.type === 'result') {
+            this.pendingRoute = null;
+            pending.resolve(this.toRoute(message.result, pending.endpoints));
+        }
+    }
+
+    handleWorkerError(event) {
+        console.warn('⚠️ Route worker failed, planning routes on the main thread:', event.message);
+        this.worker.terminate();
+        this.worker = null;
+        
+        const pending = this.pendingRoute;
+        if (pending) {
+            this.pendingRoute = null;
+            pending.resolve(this.runSearchOnMainThread(pending.search, pending.onProgress, pending.endpoints));
+        }
+    }
+
+    runSearchOnMainThread({ start, goal, ...options }, onProgress, endpoints) {
+        return this.toRoute(runSearch(searchRoute(this.spatialIndex, start, goal, options), onProgress), endpoints);
+    }
+
+    routeSearchOptions(maxJumpRange) {
+        const waypoints = [...this.anchors.keys()]
+            .map(name => this.spatialIndex.indexOf(name))
+            .filter(index => index !== -1);
+        const avoid = this.avoidOptions();
+        if (this.carrier) {
+            // Carriers jump a fixed range on tritium, which doesn't limit where they can go
+            return { maxJumpRange: CARRIER_JUMP_RANGE, waypoints, avoid, fewestJumps: true };
+        }
+        return {
+            maxJumpRange,
+            waypoints,
+            avoid,
+            boost: this.useBoosts,
+            ...(this.fuelSettings && { fuel: { ...this.fuelSettings, ...(this.ship && { ship: this.ship }) } })
+        };
+    }
+
+    // Avoided systems as spatial index positions, for the pathfinder's avoid option
+    avoidOptions() {
+        const { permitLocked, systems, zones } = this.avoidance;
+        const avoided = systems
+            .map(name => this.spatialIndex.indexOf(name))
+            .filter(index => index !== -1);
+        return {
+            systems: permitLocked ? [...this.permitLocked, ...avoided] : avoided,
+            zones: zones.map(({ x, y, z, radius }) => ({ x, y, z, radius }))
+        };
+    }
+
+    /**
+     * Spatial index positions of the start, end and stop systems, or null if any is unknown
+     * A fleet carrier can also start or end at "x, y, z" coordinates outside the
+     * database: startPoint or goalPoint is then set, and start or goal is the known
+     * system nearest to it (see addOpenSpaceEnds). With both ends in open space and
+     * no stops there is nothing to search, and start and goal are -1.
+     */
+    resolveEndpoints(startSystemName, endSystemName, stopNames = []) {
+        this.lastSearch = null;
+        let start = this.spatialIndex.indexOf(startSystemName);
+        let goal = this.spatialIndex.indexOf(endSystemName);
+        const stops = stopNames.map(name => this.spatialIndex.indexOf(name));
+        const startPoint = this.carrier && start === -1 ? parseCoordinates(startSystemName) : null;
+        const goalPoint = this.carrier && goal === -1 ? parseCoordinates(endSystemName) : null;
+        
+        if ((start === -1 && !startPoint) || (goal === -1 && !goalPoint)) {
             console.error('❌ Start or end system not found');
             return null;
         }
-        
-        if (!startSystem.coords || !endSystem.coords) {
-            console.error('❌ System coordinates not available');
+        if (stops.includes(-1)) {
+            console.error(`❌ Stop not found: ${stopNames[stops.indexOf(-1)]}`);
             return null;
         }
         
-        console.log(`🎯 Planning route from ${startSystemName} to ${endSystemName}`);
+        const startSystem = startPoint ? { name: startSystemName, coords: startPoint } : this.spatialIndex.systems[start];
+        const endSystem = goalPoint ? { name: endSystemName, coords: goalPoint } : this.spatialIndex.systems[goal];
+        console.log(`🎯 Planning route from ${startSystem.name} to ${endSystem.name}`);
         console.log(`📏 Direct distance: ${this.calculateDistance(startSystem, endSystem).toFixed(2)} LY`);
-        
-        // Check if direct jump is possible
-        const directDistance = this.calculateDistance(startSystem, endSystem);
-        if (directDistance <= maxJumpRange) {
-            console.log('✅ Direct jump possible');
-            return {
-                route: [startSystem, endSystem],
-                totalDistance: directDistance,
-                jumps: 1,
-                fuelRequired: this.fuelPerJump
-            };
+        if (stops.length > 0) {
+            console.log(`📌 Visiting ${stops.length} stop${stops.length === 1 ? '' : 's'} on the way`);
         }
         
-        // A* algorithm implementation
-        const openSet = new Set([startSystemName]);
-        const closedSet = new Set();
-        const gScore = new Map(); // Cost from start to current node
-        const fScore = new Map(); // gScore + heuristic
-        const cameFrom = new Map(); // For path reconstruction
-        
-        gScore.set(startSystemName, 0);
-        fScore.set(startSystemName, this.calculateDistance(startSystem, endSystem));
-        
-        let iterations = 0;
-        const maxIterations = 1000; // Prevent infinite loops
-        
-        while (openSet.size > 0 && iterations < maxIterations) {
-            iterations++;
-            
-            // Find node with lowest fScore
-            let current = null;
-            let lowestFScore = Infinity;
-            
-            for (const systemName of openSet) {
-                const score = fScore.get(systemName) || Infinity;
-                if (score < lowestFScore) {
-                    lowestFScore = score;
-                    current = systemName;
-                }
-            }
-            
-            if (!current) break;
-            
-            // Check if we reached the destination
-            if (current === endSystemName) {
-                console.log(`✅ Route found in ${iterations} iterations`);
-                return this.reconstructPath(cameFrom, current, gScore);
-            }
-            
-            openSet.delete(current);
-            closedSet.add(current);
-            
-            const currentSystem = this.sceneManager.getSystem(current);
-            if (!currentSystem) continue;
-            
-            // Find neighbors within jump range
-            const neighbors = this.findSystemsInRange(currentSystem, maxJumpRange);
-            
-            for (const { system: neighbor, distance } of neighbors) {
-                if (closedSet.has(neighbor.name)) continue;
-                
-                const tentativeGScore = (gScore.get(current) || 0) + distance;
-                
-                if (!openSet.has(neighbor.name)) {
-                    openSet.add(neighbor.name);
-                } else if (tentativeGScore >= (gScore.get(neighbor.name) || Infinity)) {
-                    continue;
-                }
-                
-                // This path is the best so far
-                cameFrom.set(neighbor.name, current);
-                gScore.set(neighbor.name, tentativeGScore);
-                
-                const heuristic = this.calculateDistance(neighbor, endSystem);
-                fScore.set(neighbor.name, tentativeGScore + heuristic);
+        if ((startPoint || goalPoint) && (start !== -1 || goal !== -1 || stops.length > 0)) {
+            const blocked = createAvoidMask(this.spatialIndex, this.avoidOptions());
+            if (startPoint) start = findEntrySystem(this.spatialIndex, startPoint, blocked);
+            if (goalPoint) goal = findEntrySystem(this.spatialIndex, goalPoint, blocked);
+            if (start === -1 || goal === -1) {
+                console.error('❌ No known system to fly open-space jumps to or from');
+                return null;
             }
+            if (startPoint) console.log(`🌌 Open-space jumps from ${startSystemName} to ${this.spatialIndex.systems[start].name}`);
+            if (goalPoint) console.log(`🌌 Open-space jumps from ${this.spatialIndex.systems[goal].name} to ${endSystemName}`);
         }
-        
-        console.log(`❌ No route found after ${iterations} iterations`);
-        return null;
+        return { start, goal, stops, startPoint, goalPoint };
     }
 
     /**
-     * Reconstruct the path from A* algorithm results
+     * Route result from a pathfinder result, recording its statistics in this.lastSearch
+     * With the endpoints from resolveEndpoints, open-space jumps are added at either end.
      */
-    reconstructPath(cameFrom, current, gScore) {
-        const path = [current];
-        let totalDistance = 0;
+    toRoute(search, { startPoint = null, goalPoint = null } = {}) {
+        this.lastSearch = {
+            nodesExpanded: search.nodesExpanded,
+            searchMs: search.elapsedMs,
+            timedOut: search.timedOut,
+            failedLeg: search.failedLeg ?? null,
+            cancelled: false
+        };
         
-        while (cameFrom.has(current)) {
-            const previous = cameFrom.get(current);
-            path.unshift(previous);
-            
-            const prevSystem = this.sceneManager.getSystem(previous);
-            const currSystem = this.sceneManager.getSystem(current);
-            if (prevSystem && currSystem) {
-                totalDistance += this.calculateDistance(prevSystem, currSystem);
-            }
-            
-            current = previous;
+        if (!search.path) {
+            const reason = search.timedOut ? 'ran out of time' : 'no systems left to explore';
+            const leg = search.failedLeg !== undefined ? ` on leg ${search.failedLeg + 1}` : '';
+            console.log(`❌ No route found${leg} after ${search.nodesExpanded} nodes: ${reason}`);
+            return null;
         }
         
-        const route = path.map(systemName => this.sceneManager.getSystem(systemName)).filter(s => s);
-        const jumps = route.length - 1;
-        const fuelRequired = jumps * this.fuelPerJump;
+        console.log(`✅ Route found in ${search.elapsedMs.toFixed(0)}ms, ${search.nodesExpanded} nodes expanded`);
+        let systems = search.path.map(i => this.spatialIndex.systems[i]);
+        let distance = search.distance;
+        let offset = 0;
+        if (startPoint || goalPoint) {
+            ({ route: systems, offset } = addOpenSpaceEnds(systems, { startPoint, goalPoint }));
+            distance = systems.slice(1).reduce((total, system, i) => total + this.calculateDistance(systems[i], system), 0);
+        }
         
+        const route = this.buildRoute(systems, distance, search.fuel, search.supercharges);
+        if (search.waypoint !== null && search.waypoint !== undefined) {
+            route.waypoint = this.spatialIndex.systems[search.waypoint].name;
+            console.log(`✅ Route found via waypoint: ${route.waypoint}`);
+        }
+        if (search.legs) {
+            // Open-space jumps belong to the first and last legs
+            const lastLeg = search.legs.length - 1;
+            route.legs = search.legs.map((leg, i) => this.toLeg({
+                ...leg,
+                startPosition: i === 0 ? 0 : leg.startPosition + offset,
+                endPosition: i === lastLeg ? systems.length - 1 : leg.endPosition + offset
+            }, route));
+        }
+        return route;
+    }
+
+    /**
+     * One leg of a route with stops, by system name
+     * Positions are into route.route; a carrier leg's distance and tritium come
+     * from the route itself, so they include any open-space jumps.
+     */
+    toLeg({ startPosition, endPosition, distance, waypoint, fuelUsed }, route) {
+        const systems = route.route.slice(startPosition, endPosition + 1);
+        const jumps = endPosition - startPosition;
+        if (route.carrierPlan) {
+            distance = systems.slice(1).reduce((total, system, i) => total + this.calculateDistance(systems[i], system), 0);
+            fuelUsed = route.carrierPlan.jumps.slice(startPosition, endPosition).reduce((total, jump) => total + jump.tritium, 0);
+        }
+        return {
+            from: systems[0].name,
+            to: systems[systems.length - 1].name,
+            startPosition,
+            endPosition,
+            distance,
+            jumps,
+            fuelRequired: fuelUsed ?? jumps * this.fuelPerJump,
+            waypoint: waypoint !== null ? this.spatialIndex.systems[waypoint].name : null
+        };
+    }
+
+    /**
+     * Route result for an ordered list of systems
+     * With a fuel plan (fuel simulation mode) fuelRequired is the fuel actually burned
+     * and refuelStops lists the route positions where the tank is scooped full.
+     * supercharges lists the positions whose jump out needs a neutron or white dwarf boost.
+     * legs is filled in by toRoute for a route with stops.
+     * For a fleet carrier, fuelRequired is tritium and carrierPlan has each jump's
+     * tritium and schedule (see planCarrierJumps) plus the carrier settings it was planned with.
+     */
+    buildRoute(route, totalDistance, fuelPlan = null, supercharges = []) {
+        const jumps = route.length - 1;
+        const carrierPlan = this.carrier && {
+            carrier: this.carrier,
+            ...planCarrierJumps(route.slice(1).map((system, i) => this.calculateDistance(route[i], system)), this.carrier, this.carrier.departure ?? Date.now())
+        };
         return {
             route,
             totalDistance,
             jumps,
-            fuelRequired,
-            pathNames: path
+            fuelRequired: carrierPlan ? carrierPlan.totalTritium : fuelPlan ? fuelPlan.used : jumps * this.fuelPerJump,
+            fuelLevels: fuelPlan?.levels ?? null,
+            refuelStops: fuelPlan?.refuelStops ?? [],
+            supercharges,
+            carrierPlan,
+            legs: [],
+            pathNames: route.map(system => system.name),
+            nodesExpanded: this.lastSearch?.nodesExpanded ?? 0,
+            searchMs: this.lastSearch?.searchMs ?? 0
         };
     }
 
     /**
-     * Enhanced route finding with waypoint optimization
-     * Uses anchor systems as intermediate waypoints for better routes
+     * Plan for an imported ship carrying this much cargo, or null for a manual jump range
+     * The jump range becomes the ship's full-tank range; in fuel simulation each
+     * jump's range and fuel follow the ship's mass as fuel burns.
      */
-    findOptimizedRoute(startSystemName, endSystemName, maxJumpRange = this.maxJumpRange) {
-        // First try direct A* route
-        const directRoute = this.findRoute(startSystemName, endSystemName, maxJumpRange);
-        
-        if (directRoute && directRoute.jumps <= 10) {
-            // Direct route is reasonable, return it
-            return directRoute;
+    setShip(ship, cargo = 0) {
+        this.ship = ship ? { ...ship, cargo } : null;
+        if (ship) {
+            this.maxJumpRange = shipJumpRanges(ship, cargo).current;
+            console.log(`🚀 Planning for ${ship.name}: ${this.maxJumpRange.toFixed(2)} LY with ${cargo}T cargo`);
         }
-        
-        console.log('🔄 Attempting waypoint-optimized routing...');
-        
-        // Try routing through anchor systems as waypoints
-        const startSystem = this.sceneManager.getSystem(startSystemName);
-        const endSystem = this.sceneManager.getSystem(endSystemName);
-        
-        if (!startSystem || !endSystem) return directRoute;
-        
-        let bestRoute = directRoute;
-        let bestDistance = directRoute ? directRoute.totalDistance : Infinity;
-        
-        // Try each anchor as an intermediate waypoint
-        for (const [anchorName, anchorSystem] of this.anchors) {
-            if (anchorName === startSystemName || anchorName === endSystemName) continue;
-            
-            const routeToAnchor = this.findRoute(startSystemName, anchorName, maxJumpRange);
-            const routeFromAnchor = this.findRoute(anchorName, endSystemName, maxJumpRange);
-            
-            if (routeToAnchor && routeFromAnchor) {
-                const combinedDistance = routeToAnchor.totalDistance + routeFromAnchor.totalDistance;
-                const combinedJumps = routeToAnchor.jumps + routeFromAnchor.jumps;
-                
-                if (combinedDistance < bestDistance) {
-                    bestDistance = combinedDistance;
-                    bestRoute = {
-                        route: [...routeToAnchor.route, ...routeFromAnchor.route.slice(1)],
-                        totalDistance: combinedDistance,
-                        jumps: combinedJumps,
-                        fuelRequired: combinedJumps * this.fuelPerJump,
-                        waypoint: anchorName
-                    };
-                }
-            }
+    }
+
+    /**
+     * Plan fleet carrier jumps with { cargo, tank, hold } in tons and an optional
+     * departure time (ms since the epoch, default when the route is calculated), or ship jumps with null
+     * Carrier routes ignore the ship, boost and fuel simulation settings.
+     */
+    setCarrier(carrier) {
+        this.carrier = carrier;
+        if (carrier) {
+            console.log(`🛸 Fleet carrier mode: ${carrier.cargo}T cargo, ${carrier.tank}T tritium in the tank, ${carrier.hold}T in the hold`);
+        } else {
+            console.log('🛸 Fleet carrier mode off');
         }
-        
-        if (bestRoute && bestRoute.waypoint) {
-            console.log(`✅ Optimized route found via waypoint: ${bestRoute.waypoint}`);
+    }
+
+    /**
+     * Systems and zones for routes to go around
+     * Routes can still start, stop or end in them, but only jump straight out of
+     * (or into) a zone: no other system inside it is used.
+     *
+     * @param {Object} avoidance
+     * @param {boolean} avoidance.permitLocked - Avoid systems that need a permit
+     * @param {string[]} avoidance.systems - Names of systems to avoid
+     * @param {Object[]} avoidance.zones - Spheres to avoid: { name, x, y, z, radius } in light years
+     */
+    setAvoidance(avoidance) {
+        this.avoidance = avoidance;
+        this.visualizeAvoidZones();
+        console.log(`🚫 Avoiding ${avoidance.systems.length} systems and ${avoidance.zones.length} zones` +
+            (avoidance.permitLocked ? `, plus ${this.permitLocked.length} permit-locked systems` : ''));
+    }
+
+    /**
+     * Route with neutron star and white dwarf supercharges (fewest jumps) or without (shortest distance)
+     */
+    setUseBoosts(useBoosts) {
+        this.useBoosts = useBoosts;
+        console.log(`⚡ Boost routing ${useBoosts ? 'on' : 'off'}`);
+    }
+
+    /**
+     * Turn fuel simulation on with { tankSize, maxFuelPerJump, reserve } in tons, or off with null
+     */
+    setFuelSettings(settings) {
+        this.fuelSettings = settings;
+        if (settings) {
+            this.fuelCapacity = settings.tankSize;
+            console.log(`⛽ Fuel simulation on: ${settings.tankSize}T tank, ${settings.maxFuelPerJump}T max per jump, ${settings.reserve}T reserve`);
+        } else {
+            console.log('⛽ Fuel simulation off');
         }
-        
-        return bestRoute;
     }
 
     /**
@@ -290,6 +492,8 @@ export class RoutePlanner {
         }
         
         const { route } = routeData;
+        const refuelStops = new Set(routeData.refuelStops || []);
+        const supercharges = new Set(routeData.supercharges || []);
         
         // Create route line
         const points = [];
@@ -330,6 +534,12 @@ export class RoutePlanner {
             } else if (isEnd) {
                 color = 0xFF0000; // Red for end
                 size = 1.2;
+            } else if (supercharges.has(index)) {
+                color = 0xFF00FF; // Magenta for supercharge stops
+                size = 0.9;
+            } else if (refuelStops.has(index)) {
+                color = 0xFFA500; // Orange for refuel stops
+                size = 0.9;
             } else {
                 color = 0x00FFFF; // Cyan for waypoints
                 size = 0.6;
@@ -363,6 +573,38 @@ export class RoutePlanner {
         console.log('✅ Route visualization created');
     }
 
+    /**
+     * Draw the avoided zones as translucent red spheres
+     */
+    visualizeAvoidZones() {
+        // Each sphere has its own geometry and material, so free them before dropping the meshes
+        this.avoidZoneGroup.children.forEach(sphere => {
+            sphere.geometry.dispose();
+            sphere.material.dispose();
+        });
+        this.avoidZoneGroup.clear();
+        
+        this.avoidance.zones.forEach(zone => {
+            const center = this.sceneManager.scaleCoordinatesForScene(zone);
+            const edge = this.sceneManager.scaleCoordinatesForScene({ x: zone.x + zone.radius, y: zone.y, z: zone.z });
+            const geometry = new THREE.SphereGeometry(edge.x - center.x, 24, 16);
+            const material = new THREE.MeshBasicMaterial({
+                color: 0xFF0000, // Red for no-go
+                transparent: true,
+                opacity: 0.15,
+                depthWrite: false
+            });
+            
+            const sphere = new THREE.Mesh(geometry, material);
+            sphere.position.set(center.x, center.y, center.z);
+            this.avoidZoneGroup.add(sphere);
+        });
+    }
+
+    setAvoidZonesVisible(visible) {
+        this.avoidZoneGroup.visible = visible;
+    }
+
     /**
      * Clear current route visualization
      */
@@ -386,6 +628,9 @@ export class RoutePlanner {
             jumps,
             fuelRequired: fuelRequired.toFixed(1),
             waypoint: waypoint || null,
+            refuelStops: routeData.refuelStops?.length ?? 0,
+            supercharges: routeData.supercharges?.length ?? 0,
+            legs: routeData.legs?.length ?? 0,
             systemCount: route.length
         };
     }
@@ -396,6 +641,9 @@ export class RoutePlanner {
     exportRoute(routeData, format = 'json') {
         if (!routeData) return null;
         
+        const legs = routeData.legs || [];
+        // Leg (from 1) each system is reached on; the start counts as leg 1
+        const legOf = (index) => Math.max(1, legs.findIndex(leg => index <= leg.endPosition) + 1);
         const routeExport = {
             timestamp: new Date().toISOString(),
             startSystem: routeData.route[0]?.name,
@@ -403,21 +651,44 @@ export class RoutePlanner {
             totalDistance: routeData.totalDistance,
             jumps: routeData.jumps,
             fuelRequired: routeData.fuelRequired,
-            maxJumpRange: this.maxJumpRange,
+            maxJumpRange: routeData.carrierPlan ? CARRIER_JUMP_RANGE : this.maxJumpRange,
+            ship: this.ship && !routeData.carrierPlan ? { name: this.ship.name, cargo: this.ship.cargo } : null,
+            carrier: routeData.carrierPlan ? {
+                cargo: routeData.carrierPlan.carrier.cargo,
+                tank: routeData.carrierPlan.carrier.tank,
+                hold: routeData.carrierPlan.carrier.hold,
+                totalTritium: routeData.carrierPlan.totalTritium,
+                topUps: routeData.carrierPlan.topUps,
+                shortfall: routeData.carrierPlan.shortfall,
+                departure: new Date(routeData.carrierPlan.departure).toISOString(),
+                arrival: new Date(routeData.carrierPlan.arrival).toISOString()
+            } : null,
             waypoint: routeData.waypoint || null,
-            systems: routeData.route.map(system => ({
+            avoid: {
+                permitLocked: this.avoidance.permitLocked,
+                systems: this.avoidance.systems,
+                zones: this.avoidance.zones
+            },
+            stops: legs.slice(0, -1).map(leg => leg.to),
+            legs: legs.map(({ from, to, distance, jumps, fuelRequired, waypoint }) => ({ from, to, distance, jumps, fuelRequired, waypoint })),
+            fuelSettings: routeData.fuelLevels ? this.fuelSettings : null,
+            systems: routeData.route.map((system, index) => ({
                 name: system.name,
-                coordinates: system.coords
+                coordinates: system.coords,
+                supercharge: routeData.supercharges.includes(index),
+                ...(legs.length > 0 && { leg: legOf(index) }),
+                ...(routeData.carrierPlan && index > 0 && this.carrierJumpExport(routeData.carrierPlan.jumps[index - 1])),
+                ...(routeData.fuelLevels && {
+                    fuelOnArrival: routeData.fuelLevels[index],
+                    refuel: routeData.refuelStops.includes(index)
+                })
             }))
         };
         
         if (format === 'json') {
             return JSON.stringify(routeExport, null, 2);
         } else if (format === 'csv') {
-            const header = 'System Name,X,Y,Z,Distance from Previous\n';
-            let csv = header;
-            
-            routeExport.systems.forEach((system, index) => {
+            const rows = routeExport.systems.map((system, index) => {
                 let distanceFromPrevious = 0;
                 if (index > 0) {
                     const prev = routeExport.systems[index - 1];
@@ -427,62 +698,48 @@ export class RoutePlanner {
                     distanceFromPrevious = Math.sqrt(dx * dx + dy * dy + dz * dz);
                 }
                 
-                csv += `"${system.name}",${system.coordinates.x},${system.coordinates.y},${system.coordinates.z},${distanceFromPrevious.toFixed(2)}\n`;
+                const row = [system.name, system.coordinates.x, system.coordinates.y, system.coordinates.z, distanceFromPrevious.toFixed(2), system.supercharge ? 'Yes' : ''];
+                const fuelColumns = routeData.fuelLevels ? [system.fuelOnArrival.toFixed(2), system.refuel ? 'Yes' : ''] : [];
+                const carrierColumns = !routeData.carrierPlan ? []
+                    : index > 0 ? [system.tritium, system.topUp || '', system.tankOnArrival, system.countdownStarts, system.jumpsAt]
+                    : ['', '', routeData.carrierPlan.carrier.tank, '', ''];
+                const legColumns = legs.length > 0 ? [system.leg] : [];
+                return [...row, ...fuelColumns, ...carrierColumns, ...legColumns];
             });
             
-            return csv;
+            const header = ['System Name', 'X', 'Y', 'Z', 'Distance from Previous', 'Supercharge',
+                ...(routeData.fuelLevels ? ['Fuel on Arrival', 'Refuel'] : []),
+                ...(routeData.carrierPlan ? ['Tritium', 'Top-up Before Jump', 'Tank on Arrival', 'Countdown Starts', 'Jumps At'] : []),
+                ...(legs.length > 0 ? ['Leg'] : [])];
+            return formatCSV([header, ...rows]);
         }
         
         return routeExport;
     }
 
+    // Export fields for the carrier jump arriving at a system
+    carrierJumpExport(jump) {
+        return {
+            tritium: jump.tritium,
+            topUp: jump.topUp,
+            tankOnArrival: jump.tankAfter,
+            countdownStarts: new Date(jump.countdownStarts).toISOString(),
+            jumpsAt: new Date(jump.jumpsAt).toISOString()
+        };
+    }
+
     /**
-     * Update jump range and recalculate current route if exists
+     * Update jump range for the next route calculation
      */
     updateJumpRange(newRange) {
         this.maxJumpRange = newRange;
         console.log(`🚀 Jump range updated to ${newRange} LY`);
-        
-        // If there's a current route, recalculate it with new range
-        if (this.currentRoute && this.currentRoute.route.length >= 2) {
-            const startSystem = this.currentRoute.route[0].name;
-            const endSystem = this.currentRoute.route[this.currentRoute.route.length - 1].name;
-            
-            console.log('🔄 Recalculating route with new jump range...');
-            const newRoute = this.findOptimizedRoute(startSystem, endSystem, newRange);
-            if (newRoute) {
-                this.visualizeRoute(newRoute);
-                return newRoute;
-            }
-        }
-        
-        return null;
     }
 
     /**
      * Find nearest systems to a given coordinate
      */
     findNearestSystems(targetCoords, count = 10, maxDistance = 100) {
-        const nearestSystems = [];
-        
-        for (const [name, system] of this.allSystems) {
-            if (!system.coords) continue;
-            
-            const dx = system.coords.x - targetCoords.x;
-            const dy = system.coords.y - targetCoords.y;
-            const dz = system.coords.z - targetCoords.z;
-            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-            
-            if (distance <= maxDistance) {
-                nearestSystems.push({
-                    system,
-                    distance
-                });
-            }
-        }
-        
-        return nearestSystems
-            .sort((a, b) => a.distance - b.distance)
-            .slice(0, count);
+        return this.spatialIndex.nearest(targetCoords, count, maxDistance);
     }
 } 
\ No newline at end of file
@@ -1,3 +1,8 @@
+import { STAR_BOOSTS } from './pathfinder.js';
+import { parseShip, shipJumpRanges, loadSavedShips, saveShip, deleteShip } from './shipLoadout.js';
+import { CARRIER_JUMP_RANGE, CARRIER_TANK_CAPACITY, CARRIER_CAPACITY } from './fleetCarrier.js';
+import { parseCoordinates } from './spatialIndex.js';
+
 /**
  * OASIS Route Planner UI - Sleek interface for route planning
  */
@@ -8,6 +13,11 @@ export class RoutePlannerUI {
         this.sceneManager = sceneManager;
         this.isVisible = false;
         this.currentRoute = null;
+        this.routeRequest = 0; // Increments per calculation so stale results are ignored
+        this.stops = []; // System names to visit between start and destination, in order
+        this.pickingStops = false; // Clicking a system on the map adds it as a stop
+        this.avoidSystems = []; // System names for routes to go around
+        this.avoidZones = []; // { name, x, y, z, radius } spheres for routes to go around
         
         this.createUI();
         this.setupEventListeners();
@@ -49,7 +59,66 @@ export class RoutePlannerUI {
                         </div>
                     </div>
                     
-                    <div class="input-group">
+                    <div class="input-group route-stops">
+                        <label for="stop-system">Stops:</label>
+                        <div class="stop-row">
+                            <div class="system-input-container">
+                                <input type="text" id="stop-system" placeholder="Add a stop..." autocomplete="off">
+                                <div class="system-suggestions" id="stop-suggestions"></div>
+                            </div>
+                            <button class="btn btn-secondary btn-small" id="add-stop">Add</button>
+                            <button class="btn btn-secondary btn-small" id="pick-stops" title="Click systems on the map to add them as stops">📍 Pick</button>
+                        </div>
+                        <ol class="route-stop-list" id="route-stop-list"></ol>
+                        <label class="fuel-toggle" title="Visit the stops in the shortest order found instead of the order listed">
+                            <input type="checkbox" id="optimize-stops"> Optimize order
+                        </label>
+                    </div>
+                    
+                    <div class="input-group avoid-settings">
+                        <label class="fuel-toggle" title="Route around systems that need a permit to enter">
+                            <input type="checkbox" id="avoid-permit" checked> Avoid permit-locked systems
+                        </label>
+                        <details class="avoid-details">
+                            <summary>Avoid systems &amp; zones <span id="avoid-count"></span></summary>
+                            <div class="stop-row">
+                                <div class="system-input-container">
+                                    <input type="text" id="avoid-system" placeholder="System to avoid..." autocomplete="off">
+                                    <div class="system-suggestions" id="avoid-suggestions"></div>
+                                </div>
+                                <button class="btn btn-secondary btn-small" id="add-avoid-system">Avoid</button>
+                            </div>
+                            <div class="stop-row">
+                                <select id="avoid-region">
+                                    <option value="">Anchor region...</option>
+                                </select>
+                                <button class="btn btn-secondary btn-small" id="add-avoid-region">Avoid</button>
+                            </div>
+                            <div class="stop-row">
+                                <div class="system-input-container">
+                                    <input type="text" id="avoid-zone-center" placeholder="Zone centre: system or x, y, z" autocomplete="off">
+                                    <div class="system-suggestions" id="avoid-zone-suggestions"></div>
+                                </div>
+                                <input type="number" class="avoid-radius" id="avoid-zone-radius" min="1" step="1" value="100" title="Zone radius (LY)">
+                                <button class="btn btn-secondary btn-small" id="add-avoid-zone">Avoid</button>
+                            </div>
+                            <ul class="route-stop-list avoid-list" id="avoid-list"></ul>
+                        </details>
+                    </div>
+                    
+                    <div class="input-group carrier-settings">
+                        <label class="fuel-toggle" title="Plan ${CARRIER_JUMP_RANGE} LY fleet carrier jumps with tritium use and a jump schedule">
+                            <input type="checkbox" id="carrier-mode"> Fleet carrier
+                        </label>
+                        <div class="fuel-inputs" id="carrier-inputs" style="display: none;">
+                            <label>Cargo (T) <input type="number" id="carrier-cargo" min="0" max="${CARRIER_CAPACITY}" step="1" value="0"></label>
+                            <label>Tank (T) <input type="number" id="carrier-tank" min="0" max="${CARRIER_TANK_CAPACITY}" step="1" value="${CARRIER_TANK_CAPACITY}"></label>
+                            <label>Hold tritium (T) <input type="number" id="carrier-hold" min="0" max="${CARRIER_CAPACITY}" step="1" value="0"></label>
+                            <label class="carrier-departure">Depart at <input type="datetime-local" id="carrier-departure"></label>
+                        </div>
+                    </div>
+                    
+                    <div class="input-group ship-mode-only">
                         <label for="jump-range">Jump Range: <span id="jump-range-value">50</span> LY</label>
                         <input type="range" id="jump-range" min="10" max="80" value="50" step="1">
                         <div class="range-labels">
@@ -58,6 +127,42 @@ export class RoutePlannerUI {
                         </div>
                     </div>
                     
+                    <div class="input-group ship-settings ship-mode-only">
+                        <label for="ship-select">Ship:</label>
+                        <div class="ship-row">
+                            <select id="ship-select">
+                                <option value="">Manual jump range</option>
+                            </select>
+                            <button class="btn btn-secondary btn-small" id="ship-delete" title="Forget this ship">Delete</button>
+                        </div>
+                        <div class="ship-ranges" id="ship-ranges"></div>
+                        <label class="ship-cargo" id="ship-cargo-row" style="display: none;">
+                            Cargo (T) <input type="number" id="ship-cargo" min="0" step="1" value="0">
+                        </label>
+                        <details class="ship-import">
+                            <summary>Import ship</summary>
+                            <textarea id="ship-loadout" rows="4" placeholder="Paste a journal Loadout event or build JSON..."></textarea>
+                            <button class="btn btn-secondary btn-small" id="ship-import">Import &amp; Save</button>
+                        </details>
+                    </div>
+                    
+                    <div class="input-group ship-mode-only">
+                        <label class="fuel-toggle" title="Supercharge at neutron stars (4x range) and white dwarfs (1.5x) for the fewest jumps">
+                            <input type="checkbox" id="use-boosts"> Neutron / white dwarf boosts
+                        </label>
+                    </div>
+                    
+                    <div class="input-group fuel-settings ship-mode-only">
+                        <label class="fuel-toggle">
+                            <input type="checkbox" id="fuel-simulation"> Fuel simulation
+                        </label>
+                        <div class="fuel-inputs" id="fuel-inputs" style="display: none;">
+                            <label>Tank (T) <input type="number" id="fuel-tank-size" min="1" max="1024" step="0.5" value="32"></label>
+                            <label>Max per jump (T) <input type="number" id="fuel-max-per-jump" min="0.1" max="16" step="0.1" value="5"></label>
+                            <label>Reserve (T) <input type="number" id="fuel-reserve" min="0" max="1024" step="0.5" value="1"></label>
+                        </div>
+                    </div>
+                    
                     <div class="route-buttons">
                         <button class="btn btn-primary" id="calculate-route">Calculate Route</button>
                         <button class="btn btn-secondary" id="clear-route">Clear Route</button>
@@ -77,15 +182,41 @@ export class RoutePlannerUI {
                             <span class="stat-value" id="route-jumps">0</span>
                         </div>
                         <div class="stat-row">
-                            <span class="stat-label">Fuel Required:</span>
+                            <span class="stat-label" id="route-fuel-label">Fuel Required:</span>
                             <span class="stat-value" id="route-fuel">0 T</span>
                         </div>
+                        <div class="stat-row" id="supercharge-info" style="display: none;">
+                            <span class="stat-label">Supercharges:</span>
+                            <span class="stat-value" id="route-supercharges">0</span>
+                        </div>
+                        <div class="stat-row" id="refuel-info" style="display: none;">
+                            <span class="stat-label">Refuel Stops:</span>
+                            <span class="stat-value" id="route-refuels">0</span>
+                        </div>
+                        <div class="stat-row" id="carrier-eta-info" style="display: none;">
+                            <span class="stat-label">Carrier ETA:</span>
+                            <span class="stat-value" id="route-carrier-eta">-</span>
+                        </div>
+                        <div class="stat-row" id="carrier-topup-info" style="display: none;">
+                            <span class="stat-label">Tank Top-ups:</span>
+                            <span class="stat-value" id="route-carrier-topups">0</span>
+                        </div>
+                        <div class="stat-row" id="carrier-shortfall-info" style="display: none;">
+                            <span class="stat-label">Tritium Short:</span>
+                            <span class="stat-value" id="route-carrier-shortfall">0 T</span>
+                        </div>
                         <div class="stat-row" id="waypoint-info" style="display: none;">
                             <span class="stat-label">Via Waypoint:</span>
                             <span class="stat-value" id="route-waypoint">-</span>
                         </div>
                     </div>
                     
+                    <!-- Per-leg breakdown for routes with stops -->
+                    <div class="route-legs-section" id="route-legs-section" style="display: none;">
+                        <h4>Legs</h4>
+                        <div class="route-legs-list" id="route-legs-list"></div>
+                    </div>
+                    
                     <!-- Route Systems List -->
                     <div class="route-systems-section" id="route-systems-section">
                         <h4>Route Systems</h4>
@@ -103,7 +234,11 @@ export class RoutePlannerUI {
                 <!-- Loading Indicator -->
                 <div class="route-loading" id="route-loading" style="display: none;">
                     <div class="loading-spinner"></div>
-                    <span>Calculating optimal route...</span>
+                    <div class="route-loading-status">
+                        <span>Calculating optimal route...</span>
+                        <span class="route-progress" id="route-progress"></span>
+                    </div>
+                    <button class="btn btn-secondary" id="cancel-route">Cancel</button>
                 </div>
             </div>
         `;
@@ -182,6 +317,21 @@ export class RoutePlannerUI {
             // System input with autocomplete
             this.setupSystemAutocomplete('start-system', 'start-suggestions');
             this.setupSystemAutocomplete('end-system', 'end-suggestions');
+            this.setupSystemAutocomplete('stop-system', 'stop-suggestions');
+            this.setupSystemAutocomplete('avoid-system', 'avoid-suggestions');
+            this.setupSystemAutocomplete('avoid-zone-center', 'avoid-zone-suggestions');
+            
+            // Stops: Enter (after autocomplete fills in the selection) or Add appends the typed system
+            const stopInput = document.getElementById('stop-system');
+            stopInput?.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.addStop(stopInput.value);
+            });
+            document.getElementById('add-stop')?.addEventListener('click', () => this.addStop(stopInput.value));
+            document.getElementById('pick-stops')?.addEventListener('click', () => this.setPickingStops(!this.pickingStops));
+            document.getElementById('route-stop-list')?.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (button) this.editStop(button.dataset.action, parseInt(button.dataset.index));
+            });
             
             // Jump range slider
             const jumpRangeSlider = document.getElementById('jump-range');
@@ -193,11 +343,56 @@ export class RoutePlannerUI {
                 this.routePlanner.updateJumpRange(parseInt(value));
             });
             
+            // Recalculate the shown route once the slider is released
+            jumpRangeSlider?.addEventListener('change', () => {
+                if (this.currentRoute) {
+                    this.calculateRoute();
+                }
+            });
+            
             // Route calculation
             document.getElementById('calculate-route')?.addEventListener('click', () => {
                 this.calculateRoute();
             });
             
+            document.getElementById('cancel-route')?.addEventListener('click', () => {
+                this.routePlanner.cancelRoute();
+            });
+            
+            // Ships
+            this.refreshShipList();
+            document.getElementById('ship-select')?.addEventListener('change', () => this.applyShip());
+            document.getElementById('ship-cargo')?.addEventListener('change', () => this.applyShip());
+            document.getElementById('ship-import')?.addEventListener('click', () => this.importShip());
+            document.getElementById('ship-delete')?.addEventListener('click', () => this.deleteSelectedShip());
+            
+            document.getElementById('use-boosts')?.addEventListener('change', (e) => {
+                this.routePlanner.setUseBoosts(e.target.checked);
+            });
+            
+            // Avoid lists
+            document.getElementById('avoid-permit')?.addEventListener('change', () => this.updateAvoidance());
+            document.getElementById('add-avoid-system')?.addEventListener('click', () => this.addAvoidSystem());
+            document.getElementById('add-avoid-region')?.addEventListener('click', () => this.addAvoidRegion());
+            document.getElementById('add-avoid-zone')?.addEventListener('click', () => this.addAvoidZone());
+            document.getElementById('avoid-list')?.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-kind]');
+                if (!button) return;
+                const list = button.dataset.kind === 'zone' ? this.avoidZones : this.avoidSystems;
+                list.splice(parseInt(button.dataset.index), 1);
+                this.updateAvoidance();
+            });
+            
+            // Fleet carrier
+            ['carrier-mode', 'carrier-cargo', 'carrier-tank', 'carrier-hold', 'carrier-departure'].forEach(id => {
+                document.getElementById(id)?.addEventListener('change', () => this.updateCarrierSettings());
+            });
+            
+            // Fuel simulation
+            ['fuel-simulation', 'fuel-tank-size', 'fuel-max-per-jump', 'fuel-reserve'].forEach(id => {
+                document.getElementById(id)?.addEventListener('change', () => this.updateFuelSettings());
+            });
+            
             // Clear route
             document.getElementById('clear-route')?.addEventListener('click', () => {
                 this.clearRoute();
@@ -217,8 +412,7 @@ export class RoutePlannerUI {
             // Close suggestions on outside click
             document.addEventListener('click', (e) => {
                 if (!e.target.closest('.system-input-container')) {
-                    this.hideSuggestions('start-suggestions');
-                    this.hideSuggestions('end-suggestions');
+                    this.hideAllSuggestions();
                 }
             });
             
@@ -340,6 +534,11 @@ export class RoutePlannerUI {
         items[newIndex].scrollIntoView({ block: 'nearest' });
     }
 
+    hideAllSuggestions() {
+        ['start-suggestions', 'end-suggestions', 'stop-suggestions', 'avoid-suggestions', 'avoid-zone-suggestions']
+            .forEach(id => this.hideSuggestions(id));
+    }
+
     hideSuggestions(suggestionsId) {
         const suggestions = document.getElementById(suggestionsId);
         if (suggestions) {
@@ -356,38 +555,426 @@ export class RoutePlannerUI {
             return;
         }
         
-        if (startSystem === endSystem) {
+        // With stops, the same start and destination is a round trip
+        if (startSystem === endSystem && this.stops.length === 0) {
             this.showError('Start and destination systems cannot be the same');
             return;
         }
         
+        // Fuel settings don't apply to a carrier
+        if (!this.updateCarrierSettings()) return;
+        if (!this.routePlanner.carrier && !this.updateFuelSettings()) return;
+        
+        const optimizeOrder = document.getElementById('optimize-stops').checked;
+        
         // Show loading
         this.showLoading(true);
         this.hideResults();
+        const request = ++this.routeRequest;
         
         try {
-            // Small delay to show loading animation
-            await new Promise(resolve => setTimeout(resolve, 100));
-            
-            const route = this.routePlanner.findOptimizedRoute(startSystem, endSystem);
+            const route = await this.routePlanner.computeRoute(startSystem, endSystem, {
+                onProgress: (progress) => this.showProgress(progress),
+                stops: this.stops,
+                optimizeOrder
+            });
             
-            if (route) {
+            if (request !== this.routeRequest) {
+                // Replaced by a newer calculation, which owns the loading indicator now
+                return;
+            } else if (this.routePlanner.lastSearch?.cancelled) {
+                this.showSuccess('Route calculation cancelled');
+            } else if (route) {
                 this.currentRoute = route;
+                if (optimizeOrder && route.legs.length > 0) {
+                    // Show the stops in the order the route visits them
+                    this.stops = route.legs.slice(0, -1).map(leg => leg.to);
+                    this.renderStops();
+                }
                 this.routePlanner.visualizeRoute(route);
                 this.showResults(route);
-                this.showSuccess(`Route calculated: ${route.jumps} jumps, ${route.totalDistance.toFixed(2)} LY`);
+                this.showSuccess(`Route calculated: ${route.jumps} jumps, ${route.totalDistance.toFixed(2)} LY ` +
+                    `(${route.nodesExpanded.toLocaleString()} systems searched in ${Math.round(route.searchMs)}ms)`);
+            } else if (this.routePlanner.lastSearch?.failedLeg !== null && this.routePlanner.lastSearch?.failedLeg !== undefined) {
+                const { failedLeg, timedOut } = this.routePlanner.lastSearch;
+                this.showError(`No route for leg ${failedLeg + 1} of ${this.stops.length + 1}` +
+                    (timedOut ? ': the search gave up. Try a larger jump range or closer stops.' : ` within ${this.jumpRange()} LY jumps.`));
+            } else if (this.routePlanner.lastSearch?.timedOut) {
+                this.showError(`Route search gave up after ${this.routePlanner.lastSearch.nodesExpanded.toLocaleString()} systems. Try a larger jump range or a closer destination.`);
+            } else if (this.routePlanner.lastSearch && this.endpointZones([startSystem, endSystem]).length > 0) {
+                const zones = this.endpointZones([startSystem, endSystem]).map(zone => zone.name).join(', ');
+                this.showError(`No route out of the avoided zone ${zones}: the start or destination is inside it and no jump clears it. Make the zone smaller or remove it.`);
+            } else if (this.routePlanner.lastSearch && this.routePlanner.carrier) {
+                this.showError(`No carrier route within ${CARRIER_JUMP_RANGE} LY jumps between known systems.`);
+            } else if (this.routePlanner.lastSearch) {
+                this.showError(`No route within ${this.routePlanner.maxJumpRange} LY jumps. Try increasing jump range.`);
+            } else if (this.routePlanner.carrier) {
+                this.showError('No route found. Check the system names, or enter x, y, z coordinates.');
             } else {
-                this.showError('No route found. Try increasing jump range or check system names.');
+                this.showError('No route found. Check the system names.');
             }
         } catch (error) {
             console.error('Route calculation error:', error);
             this.showError('Error calculating route. Please try again.');
         } finally {
-            this.showLoading(false);
+            if (request === this.routeRequest) {
+                this.showLoading(false);
+            }
+        }
+    }
+
+    /**
+     * Append a system to the stops, by name as typed or clicked
+     */
+    addStop(name) {
+        const index = this.routePlanner.spatialIndex?.indexOf(name.trim()) ?? -1;
+        if (index === -1) {
+            this.showError(name.trim() ? `Unknown system: ${name.trim()}` : 'Enter a system to add as a stop');
+            return false;
+        }
+        
+        const systemName = this.routePlanner.spatialIndex.systems[index].name;
+        if (this.stops.includes(systemName)) {
+            this.showError(`${systemName} is already a stop`);
+            return false;
+        }
+        
+        this.stops.push(systemName);
+        this.renderStops();
+        document.getElementById('stop-system').value = '';
+        this.hideSuggestions('stop-suggestions');
+        this.showSuccess(`Added stop ${this.stops.length}: ${systemName}`);
+        return true;
+    }
+
+    // Move a stop up or down the list, or remove it
+    editStop(action, index) {
+        const target = action === 'up' ? index - 1 : index + 1;
+        if (action === 'remove') {
+            this.stops.splice(index, 1);
+        } else if (target >= 0 && target < this.stops.length) {
+            [this.stops[index], this.stops[target]] = [this.stops[target], this.stops[index]];
+        }
+        this.renderStops();
+    }
+
+    renderStops() {
+        const list = document.getElementById('route-stop-list');
+        if (!list) return;
+        
+        // Stop names come from user input and the map, so build nodes rather than HTML
+        const button = (action, index, title, label, disabled = false) => {
+            const element = document.createElement('button');
+            element.className = 'route-stop-button';
+            element.dataset.action = action;
+            element.dataset.index = index;
+            element.title = title;
+            element.textContent = label;
+            element.disabled = disabled;
+            return element;
+        };
+        
+        list.replaceChildren(...this.stops.map((name, index) => {
+            const item = document.createElement('li');
+            item.className = 'route-stop-item';
+            const label = document.createElement('span');
+            label.className = 'route-stop-name';
+            label.textContent = name;
+            item.append(
+                label,
+                button('up', index, 'Visit earlier', '▲', index === 0),
+                button('down', index, 'Visit later', '▼', index === this.stops.length - 1),
+                button('remove', index, 'Remove stop', '×')
+            );
+            return item;
+        }));
+    }
+
+    setPickingStops(picking) {
+        this.pickingStops = picking;
+        document.getElementById('pick-stops')?.classList.toggle('active', picking);
+        if (picking) {
+            this.showSuccess('Click systems on the map to add them as stops');
+        }
+    }
+
+    /**
+     * Scene click hook: while picking stops, add the clicked system (or the
+     * system a fleet carrier is parked at) as a stop
+     * @returns {boolean} Whether the click was used
+     */
+    handleSystemClick(systemData) {
+        if (!this.isVisible || !this.pickingStops || systemData.type === 'region') return false;
+        
+        this.addStop(systemData.type === 'fleetCarrier' ? systemData.location || '' : systemData.name);
+        return true;
+    }
+
+    // Anchor regions that can be avoided as a whole
+    refreshAvoidRegions() {
+        const select = document.getElementById('avoid-region');
+        if (!select) return;
+        
+        const options = [...this.routePlanner.anchors.entries()].map(([name, anchor]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${anchor.description || name} (${anchor.radius} LY)`;
+            return option;
+        });
+        select.replaceChildren(select.options[0], ...options);
+    }
+
+    addAvoidSystem() {
+        const input = document.getElementById('avoid-system');
+        const index = this.routePlanner.spatialIndex?.indexOf(input.value.trim()) ?? -1;
+        if (index === -1) {
+            this.showError(input.value.trim() ? `Unknown system: ${input.value.trim()}` : 'Enter a system to avoid');
+            return;
+        }
+        
+        const name = this.routePlanner.spatialIndex.systems[index].name;
+        if (!this.avoidSystems.includes(name)) {
+            this.avoidSystems.push(name);
+        }
+        input.value = '';
+        this.updateAvoidance();
+    }
+
+    addAvoidRegion() {
+        const select = document.getElementById('avoid-region');
+        const anchor = this.routePlanner.anchors.get(select.value);
+        if (!anchor) {
+            this.showError('Choose an anchor region to avoid');
+            return;
+        }
+        
+        this.avoidZones.push({ name: anchor.description || anchor.name, ...anchor.coords, radius: anchor.radius });
+        select.value = '';
+        this.updateAvoidance();
+    }
+
+    // Avoided zones containing any of these systems (or "x, y, z" coordinates), which a route can only jump straight out of
+    endpointZones(names) {
+        const index = this.routePlanner.spatialIndex;
+        const points = names
+            .map(name => index?.systems[index.indexOf(name)]?.coords ?? parseCoordinates(name))
+            .filter(Boolean);
+        return this.avoidZones.filter(zone => points.some(point =>
+            Math.hypot(point.x - zone.x, point.y - zone.y, point.z - zone.z) <= zone.radius));
+    }
+
+    // An ad-hoc zone around a system or "x, y, z" coordinates
+    addAvoidZone() {
+        const input = document.getElementById('avoid-zone-center');
+        const radius = parseFloat(document.getElementById('avoid-zone-radius').value);
+        const text = input.value.trim();
+        if (!(radius > 0)) {
+            this.showError('Zone radius must be positive');
+            return;
+        }
+        
+        const coordinates = parseCoordinates(text);
+        let zone;
+        if (coordinates) {
+            const { x, y, z } = coordinates;
+            zone = { name: `${x}, ${y}, ${z}`, x, y, z, radius };
+        } else {
+            const index = this.routePlanner.spatialIndex?.indexOf(text) ?? -1;
+            if (index === -1) {
+                this.showError(text ? `Unknown system: ${text}` : 'Enter a system or x, y, z for the zone centre');
+                return;
+            }
+            const system = this.routePlanner.spatialIndex.systems[index];
+            zone = { name: system.name, ...system.coords, radius };
+        }
+        
+        this.avoidZones.push(zone);
+        input.value = '';
+        this.updateAvoidance();
+    }
+
+    updateAvoidance() {
+        this.routePlanner.setAvoidance({
+            permitLocked: document.getElementById('avoid-permit').checked,
+            systems: this.avoidSystems,
+            zones: this.avoidZones
+        });
+        
+        const count = this.avoidSystems.length + this.avoidZones.length;
+        document.getElementById('avoid-count').textContent = count > 0 ? `(${count})` : '';
+        // Names come from user input, so build nodes rather than HTML
+        const item = (label, kind, index) => {
+            const element = document.createElement('li');
+            element.className = 'route-stop-item';
+            const name = document.createElement('span');
+            name.className = 'route-stop-name';
+            name.textContent = label;
+            const button = document.createElement('button');
+            button.className = 'route-stop-button';
+            button.dataset.kind = kind;
+            button.dataset.index = index;
+            button.title = 'Stop avoiding';
+            button.textContent = '×';
+            element.append(name, button);
+            return element;
+        };
+        document.getElementById('avoid-list').replaceChildren(
+            ...this.avoidSystems.map((name, index) => item(`🚫 ${name}`, 'system', index)),
+            ...this.avoidZones.map((zone, index) => item(`⭕ ${zone.name} · ${zone.radius} LY`, 'zone', index))
+        );
+    }
+
+    refreshShipList(selectedName = '') {
+        const select = document.getElementById('ship-select');
+        if (!select) return;
+        
+        const options = loadSavedShips().map(ship => {
+            const option = document.createElement('option');
+            option.value = ship.name;
+            option.textContent = `${ship.name} (${ship.fsd.class}${ship.fsd.rating} FSD)`;
+            return option;
+        });
+        select.replaceChildren(select.options[0], ...options);
+        select.value = selectedName;
+    }
+
+    importShip() {
+        const textarea = document.getElementById('ship-loadout');
+        let ship;
+        try {
+            ship = parseShip(textarea.value);
+        } catch (error) {
+            this.showError(`Could not import ship: ${error.message}`);
+            return;
+        }
+        
+        saveShip(ship);
+        textarea.value = '';
+        this.refreshShipList(ship.name);
+        this.applyShip();
+        this.showSuccess(`Saved ${ship.name}`);
+    }
+
+    deleteSelectedShip() {
+        const select = document.getElementById('ship-select');
+        if (!select.value) return;
+        
+        const name = select.value;
+        deleteShip(name);
+        this.refreshShipList();
+        this.applyShip();
+        this.showSuccess(`Deleted ${name}`);
+    }
+
+    // Use the selected ship's range (and tank, for fuel simulation) in the planner
+    applyShip() {
+        const name = document.getElementById('ship-select').value;
+        const ship = loadSavedShips().find(saved => saved.name === name) || null;
+        const cargoInput = document.getElementById('ship-cargo');
+        const rangesLabel = document.getElementById('ship-ranges');
+        document.getElementById('ship-cargo-row').style.display = ship ? 'block' : 'none';
+        
+        if (!ship) {
+            this.routePlanner.setShip(null);
+            rangesLabel.textContent = '';
+            this.routePlanner.updateJumpRange(parseInt(document.getElementById('jump-range').value));
+            return;
         }
+        
+        const cargo = Math.min(Math.max(parseFloat(cargoInput.value) || 0, 0), ship.cargoCapacity);
+        cargoInput.value = cargo;
+        cargoInput.max = ship.cargoCapacity;
+        this.routePlanner.setShip(ship, cargo);
+        
+        const ranges = shipJumpRanges(ship, cargo);
+        rangesLabel.textContent = `Laden ${ranges.laden.toFixed(2)} LY · Unladen ${ranges.unladen.toFixed(2)} LY`;
+        
+        const slider = document.getElementById('jump-range');
+        slider.max = Math.max(80, Math.ceil(ranges.unladen));
+        slider.value = Math.round(ranges.current);
+        document.getElementById('jump-range-value').textContent = ranges.current.toFixed(2);
+        
+        document.getElementById('fuel-tank-size').value = ship.fuelCapacity;
+        document.getElementById('fuel-max-per-jump').value = ship.fsd.maxFuelPerJump;
+        this.updateFuelSettings();
+    }
+
+    // Jump range the planner is using: the ship's, or a fleet carrier's
+    jumpRange() {
+        return this.routePlanner.carrier ? CARRIER_JUMP_RANGE : this.routePlanner.maxJumpRange;
+    }
+
+    // Apply the carrier inputs to the planner; like updateFuelSettings, returns
+    // false (and turns carrier mode off) when they are invalid
+    updateCarrierSettings() {
+        const enabled = document.getElementById('carrier-mode').checked;
+        document.getElementById('carrier-inputs').style.display = enabled ? 'grid' : 'none';
+        // Ship range, boosts and fuel don't apply to a carrier
+        this.panel.querySelectorAll('.ship-mode-only').forEach(group => {
+            group.style.display = enabled ? 'none' : '';
+        });
+        // Carriers can also fly to and from coordinates outside the known systems
+        ['start-system', 'end-system'].forEach(id => {
+            document.getElementById(id).placeholder = enabled ? 'System name or x, y, z...' : 'Enter system name...';
+        });
+        
+        if (!enabled) {
+            this.routePlanner.setCarrier(null);
+            return true;
+        }
+        
+        const cargo = parseFloat(document.getElementById('carrier-cargo').value) || 0;
+        const tank = parseFloat(document.getElementById('carrier-tank').value) || 0;
+        const hold = parseFloat(document.getElementById('carrier-hold').value) || 0;
+        const departureValue = document.getElementById('carrier-departure').value;
+        
+        if (cargo < 0 || hold < 0 || tank < 0 || tank > CARRIER_TANK_CAPACITY) {
+            this.showError(`Tank must be 0 to ${CARRIER_TANK_CAPACITY} T, and cargo and hold tritium can't be negative`);
+            this.routePlanner.setCarrier(null);
+            return false;
+        }
+        if (cargo + hold > CARRIER_CAPACITY) {
+            this.showError(`Cargo plus hold tritium cannot exceed the carrier's ${CARRIER_CAPACITY.toLocaleString()} T`);
+            this.routePlanner.setCarrier(null);
+            return false;
+        }
+        
+        this.routePlanner.setCarrier({ cargo, tank, hold, departure: departureValue ? new Date(departureValue).getTime() : null });
+        return true;
+    }
+
+    // Apply the fuel inputs to the planner; returns false (and turns fuel
+    // simulation off) when they are invalid, so no route is planned with stale settings
+    updateFuelSettings() {
+        const enabled = document.getElementById('fuel-simulation').checked;
+        document.getElementById('fuel-inputs').style.display = enabled ? 'grid' : 'none';
+        
+        if (!enabled) {
+            this.routePlanner.setFuelSettings(null);
+            return true;
+        }
+        
+        const tankSize = parseFloat(document.getElementById('fuel-tank-size').value);
+        const maxFuelPerJump = parseFloat(document.getElementById('fuel-max-per-jump').value);
+        const reserve = parseFloat(document.getElementById('fuel-reserve').value) || 0;
+        
+        if (!(tankSize > 0) || !(maxFuelPerJump > 0)) {
+            this.showError('Tank size and max fuel per jump must be positive');
+            this.routePlanner.setFuelSettings(null);
+            return false;
+        }
+        if (maxFuelPerJump + reserve > tankSize) {
+            this.showError('Max fuel per jump plus reserve cannot exceed the tank size');
+            this.routePlanner.setFuelSettings(null);
+            return false;
+        }
+        
+        this.routePlanner.setFuelSettings({ tankSize, maxFuelPerJump, reserve });
+        return true;
     }
 
     clearRoute() {
+        this.routePlanner.cancelRoute();
         this.routePlanner.clearRouteVisualization();
         this.currentRoute = null;
         this.hideResults();
@@ -395,6 +982,9 @@ export class RoutePlannerUI {
         // Clear input fields
         document.getElementById('start-system').value = '';
         document.getElementById('end-system').value = '';
+        this.stops = [];
+        this.renderStops();
+        this.setPickingStops(false);
         
         this.showSuccess('Route cleared');
     }
@@ -408,6 +998,13 @@ export class RoutePlannerUI {
         document.getElementById('route-distance').textContent = `${summary.totalDistance} LY`;
         document.getElementById('route-jumps').textContent = summary.jumps;
         document.getElementById('route-fuel').textContent = `${summary.fuelRequired} T`;
+        document.getElementById('route-fuel-label').textContent = routeData.carrierPlan ? 'Tritium:' : routeData.fuelLevels ? 'Fuel Used:' : 'Fuel Required:';
+        document.getElementById('route-refuels').textContent = summary.refuelStops;
+        document.getElementById('refuel-info').style.display = routeData.fuelLevels ? 'block' : 'none';
+        document.getElementById('route-supercharges').textContent = summary.supercharges;
+        document.getElementById('supercharge-info').style.display = summary.supercharges > 0 ? 'block' : 'none';
+        
+        this.showCarrierPlan(routeData.carrierPlan);
         
         const waypointInfo = document.getElementById('waypoint-info');
         const waypointValue = document.getElementById('route-waypoint');
@@ -419,6 +1016,8 @@ export class RoutePlannerUI {
             waypointInfo.style.display = 'none';
         }
         
+        this.populateLegsList(routeData);
+        
         // Populate systems list
         this.populateSystemsList(routeData);
         
@@ -454,6 +1053,7 @@ export class RoutePlannerUI {
         }
         
         let totalDistance = 0;
+        const stopPositions = new Set((routeData.legs || []).slice(0, -1).map(leg => leg.endPosition));
         
         const systemsHTML = systems.map((system, index) => {
             let distanceFromPrevious = 0;
@@ -462,10 +1062,26 @@ export class RoutePlannerUI {
                 totalDistance += distanceFromPrevious;
             }
             
+            const refuel = routeData.refuelStops?.includes(index);
+            const boost = routeData.supercharges?.includes(index)
+                ? STAR_BOOSTS.find(({ pattern }) => pattern.test(system.primaryStar?.type || ''))
+                : null;
+            const fuelLeft = routeData.fuelLevels ? `<span class="route-system-fuel" title="Fuel on arrival">${routeData.fuelLevels[index].toFixed(1)} T</span>` : '';
+            // The carrier jump arriving here, and the one leaving (which may need a tank top-up first)
+            const carrierJump = index > 0 ? routeData.carrierPlan?.jumps[index - 1] : null;
+            const topUp = routeData.carrierPlan?.jumps[index]?.topUp ?? 0;
+            const jumpTime = carrierJump ? new Date(carrierJump.jumpsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+            
             return `
-                <div class="route-system-item">
+                <div class="route-system-item${refuel ? ' refuel-stop' : ''}${boost ? ' supercharge-stop' : ''}">
                     <span class="system-number">${index + 1}.</span>
                     <span class="system-name clickable-system-name" data-system-name="${system.name || 'Unknown System'}" title="Click to copy system name">${system.name || 'Unknown System'}</span>
+                    ${boost ? `<span class="supercharge-badge" title="Supercharge here before jumping">⚡ ${boost.label} ×${boost.multiplier}</span>` : ''}
+                    ${stopPositions.has(index) ? '<span class="stop-badge" title="One of your stops">📌 Stop</span>' : ''}
+                    ${refuel ? '<span class="refuel-badge" title="Scoop fuel here">⛽ Refuel</span>' : ''}
+                    ${topUp > 0 ? `<span class="refuel-badge" title="Move tritium from the hold to the tank before jumping on">⛽ Top up ${topUp} T</span>` : ''}
+                    ${carrierJump ? `<span class="route-system-fuel" title="Tritium burned jumping here, and when the jump happens">${carrierJump.tritium} T · ${jumpTime}</span>` : ''}
+                    ${fuelLeft}
                 </div>
             `;
         }).join('');
@@ -484,6 +1100,45 @@ export class RoutePlannerUI {
     
 
     
+    showCarrierPlan(plan) {
+        document.getElementById('carrier-eta-info').style.display = plan ? 'block' : 'none';
+        document.getElementById('carrier-topup-info').style.display = plan?.topUps > 0 ? 'block' : 'none';
+        document.getElementById('carrier-shortfall-info').style.display = plan?.shortfall > 0 ? 'block' : 'none';
+        if (!plan) return;
+        
+        const minutes = Math.round((plan.arrival - plan.departure) / 60000);
+        document.getElementById('route-carrier-eta').textContent =
+            `${new Date(plan.arrival).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })} (${Math.floor(minutes / 60)}h ${minutes % 60}m)`;
+        document.getElementById('route-carrier-topups').textContent = plan.topUps;
+        document.getElementById('route-carrier-shortfall').textContent = `${plan.shortfall} T`;
+    }
+
+    // Distance, jumps and fuel for each leg of a route with stops
+    populateLegsList(routeData) {
+        const section = document.getElementById('route-legs-section');
+        const list = document.getElementById('route-legs-list');
+        if (!section || !list) return;
+        
+        const legs = routeData.legs || [];
+        section.style.display = legs.length > 0 ? 'block' : 'none';
+        list.replaceChildren(...legs.map((leg, index) => {
+            const item = document.createElement('div');
+            item.className = 'route-leg-item';
+            const parts = [
+                ['system-number', `${index + 1}.`],
+                ['route-leg-systems', `${leg.from} → ${leg.to}`],
+                ['route-leg-stats', `${leg.distance.toFixed(2)} LY · ${leg.jumps} jump${leg.jumps === 1 ? '' : 's'} · ${leg.fuelRequired.toFixed(1)} T${leg.waypoint ? ` · via ${leg.waypoint}` : ''}`]
+            ];
+            item.append(...parts.map(([className, text]) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = text;
+                return span;
+            }));
+            return item;
+        }));
+    }
+
     calculateDistance(system1, system2) {
         if (!system1.coords || !system2.coords) return 0;
         
@@ -529,7 +1184,21 @@ export class RoutePlannerUI {
     showLoading(show) {
         const loadingSection = document.getElementById('route-loading');
         if (loadingSection) {
-            loadingSection.style.display = show ? 'block' : 'none';
+            loadingSection.style.display = show ? 'flex' : 'none';
+        }
+        
+        const progress = document.getElementById('route-progress');
+        if (progress) {
+            progress.textContent = '';
+        }
+    }
+
+    showProgress({ nodesExpanded, travelled, remaining, leg, legCount }) {
+        const progress = document.getElementById('route-progress');
+        if (progress) {
+            progress.textContent = (leg ? `Leg ${leg}/${legCount} · ` : '') +
+                `${nodesExpanded.toLocaleString()} systems explored · ` +
+                `best so far ${travelled.toFixed(1)} LY travelled, ${remaining.toFixed(1)} LY to go`;
         }
     }
 
@@ -635,6 +1304,7 @@ export class RoutePlannerUI {
         console.log('👁️ Showing draggable route planner');
         this.panel.style.display = 'block';
         this.isVisible = true;
+        this.routePlanner.setAvoidZonesVisible(true);
         
         // Center the panel when showing
         setTimeout(() => {
@@ -649,8 +1319,9 @@ export class RoutePlannerUI {
         this.isVisible = false;
         
         // Hide suggestions
-        this.hideSuggestions('start-suggestions');
-        this.hideSuggestions('end-suggestions');
+        this.hideAllSuggestions();
+        this.setPickingStops(false);
+        this.routePlanner.setAvoidZonesVisible(false);
     }
 
     toggle() {
@@ -724,6 +1395,7 @@ export class RoutePlannerUI {
         }
         
         await this.routePlanner.loadSystemData();
+        this.refreshAvoidRegions();
         
         console.log('✅ Route Planner UI ready');
     }
@@ -0,0 +1,75 @@
+/**
+ * OASIS Community Map - Route worker
+ * Runs route searches off the main thread so the map keeps rendering.
+ *
+ * Messages in:
+ *   { type: 'init', names, coords, stars } - System names, a flat Float64Array of x, y, z and
+ *                                     primary stars as { type, isScoopable }; sent once per data load
+ *   { type: 'route', id, start, goal, stops, maxJumpRange, waypoints, fuel, boost } - Indices into names
+ *   { type: 'cancel', id }
+ * Messages out:
+ *   { type: 'progress', id, progress } - See searchPath
+ *   { type: 'result', id, result }     - See searchRoute
+ *
+ * Loaded as a module worker, which doesn't get the page's importmap: only
+ * modules without a Three.js import can be used here.
+ */
+import { SpatialIndex } from './spatialIndex.js';
+import { searchRoute } from './pathfinder.js';
+
+const SLICE_MS = 50; // Search time between pauses to report progress and read cancel messages
+
+let index = null;
+let activeRoute = null; // { id, cancelled }
+
+self.addEventListener('message', ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            if (activeRoute) activeRoute.cancelled = true;
+            index = createIndex(data.names, data.coords, data.stars);
+            break;
+        case 'route':
+            runRoute(data);
+            break;
+        case 'cancel':
+            if (activeRoute?.id === data.id) activeRoute.cancelled = true;
+            break;
+    }
+});
+
+// Just the fields the pathfinder reads
+function createIndex(names, coords, stars) {
+    const systems = names.map((name, i) => ({
+        name,
+        coords: { x: coords[i * 3], y: coords[i * 3 + 1], z: coords[i * 3 + 2] },
+        primaryStar: stars[i]
+    }));
+    return new SpatialIndex(systems);
+}
+
+async function runRoute({ id, start, goal, ...options }) {
+    // One route at a time: a new request replaces the one in progress
+    if (activeRoute) activeRoute.cancelled = true;
+    const route = { id, cancelled: false };
+    activeRoute = route;
+
+    const search = searchRoute(index, start, goal, options);
+    let sliceStarted = performance.now();
+    while (true) {
+        const step = search.next();
+        if (step.done) {
+            self.postMessage({ type: 'result', id, result: step.value });
+            break;
+        }
+
+        if (performance.now() - sliceStarted > SLICE_MS) {
+            self.postMessage({ type: 'progress', id, progress: step.value });
+            // Let queued messages (cancel, a newer route) run before continuing
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (route.cancelled) break;
+            sliceStarted = performance.now();
+        }
+    }
+
+    if (activeRoute === route) activeRoute = null;
+}
@@ -15,6 +15,17 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
  * - Unclaimed stars (smooth particle system)
  * - Sci-fi neon lighting and effects
  */
+
+// Scene units per light year
+const SCENE_SCALE_FACTOR = 0.2;
+
+// Dataset changes overlay colors
+const DATASET_CHANGE_COLORS = {
+    added: 0x00FF7F,   // Green - new in this version
+    removed: 0xFF3B3B, // Red - no longer in the database (drawn at the old position)
+    changed: 0xFFB000  // Amber - coordinates, population or primary star changed
+};
+
 export class SceneManager {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
@@ -28,6 +39,7 @@ export class SceneManager {
         // Memorial system coordinates (scene center)
         this.memorialSystem = "2MASS J05405172-0226489";
         this.memorialCoords = null;
+        this.packedSystems = null; // Decoded typed arrays when loaded from the packed database
         
         // Object groups for different system types
         this.groups = {
@@ -46,7 +58,10 @@ export class SceneManager {
             fleetCarriers: new THREE.Group(),     // Cyan - Mobile bases
             
             // Background particle systems
-            unclaimedStars: new THREE.Group()     // White particles - All other systems
+            unclaimedStars: new THREE.Group(),    // White particles - All other systems
+            
+            // Overlays
+            datasetChanges: new THREE.Group()     // Systems changed since the previous database version
         };
         
         // Interactive objects and data storage
@@ -65,6 +80,11 @@ export class SceneManager {
         // Route tracking for show/hide functionality
         this.routeObjects = new Map(); // Map of route names to their 3D objects
         
+        // Live update lookups for in-place changes
+        this.routeMeshes = new Map(); // Normalized system name -> { sphere, glow }
+        this.fleetCarrierMeshes = new Map(); // Callsign -> { mesh, glow, labelInfo }
+        this.specialSystemNames = new Set(); // Normalized names rendered as key systems
+        
         // Population scaling
         this.populationScaling = {
             enabled: false,
@@ -101,6 +121,7 @@ export class SceneManager {
         
         // Set initial visibility for filters that are off by default
         this.groups.unclaimedStars.visible = false;  // Unclaimed stars off by default
+        this.groups.datasetChanges.visible = false;  // Loaded on demand from the diff endpoint
         
         this.startAnimation();
         console.log('🎬 OASIS Sci-Fi Scene initialized');
@@ -282,6 +303,7 @@ export class SceneManager {
             }
 
             console.log(`📊 Loading ${vizData.systems.length} systems into lookup table...`);
+            this.packedSystems = vizData.packed || null;
 
             // Store all systems for lookup with case-insensitive mapping
             vizData.systems.forEach(system => {
@@ -471,6 +493,7 @@ export class SceneManager {
      */
     async processSpecialSystems(specialSystems, specialData) {
         for (const system of specialSystems) {
+            this.specialSystemNames.add(this.normalizeSystemName(system.name));
             const specialInfo = specialData.find(s => 
                 this.normalizeSystemName(s.system_name || s.name) === this.normalizeSystemName(system.name)
             );
@@ -631,59 +654,67 @@ export class SceneManager {
         // }
 
         for (const { system, routeInfo } of routeSystems) {
-            const coords = this.scaleCoordinatesForScene(system.coords);
-            let color, category, isPulsing = false;
-
-            // Determine status and appearance - colors match legend exactly
-            if (routeInfo['completed?_'] === 'TRUE') {
-                color = 0x8000FF; // Purple (#8000FF) - same as populated systems
-                category = 'populated'; // Group with populated systems
-            } else if (routeInfo['claimed?_'] === 'TRUE') {
-                color = 0xFF8000; // Orange (#FF8000) - matches legend
-                category = 'routeInProgress';
-                isPulsing = true;
-            } else {
-                color = 0xFFFF00; // Yellow (#FFFF00) - matches legend
-                category = 'routePlanned';
-            }
+            this.createRouteSystem(system, routeInfo);
+        }
+    }
 
-            // Create neon-style system with glow effect
-            const geometry = new THREE.SphereGeometry(0.8, 12, 12);
-            const material = new THREE.MeshBasicMaterial({
-                color: color,
-                transparent: true,
-                opacity: 0.9
-            });
+    /**
+     * Determine route system appearance from its sheet status - colors match legend exactly
+     */
+    getRouteAppearance(routeInfo) {
+        if (routeInfo['completed?_'] === true) {
+            // Purple (#8000FF) - completed systems are grouped with populated systems
+            return { color: 0x8000FF, category: 'populated', isPulsing: false };
+        } else if (routeInfo['claimed?_'] === true) {
+            return { color: 0xFF8000, category: 'routeInProgress', isPulsing: true }; // Orange (#FF8000)
+        }
+        return { color: 0xFFFF00, category: 'routePlanned', isPulsing: false }; // Yellow (#FFFF00)
+    }
 
-            const sphere = new THREE.Mesh(geometry, material);
-            sphere.position.set(coords.x, coords.y, coords.z);
-            if (isPulsing) sphere.userData.isPulsing = true;
+    /**
+     * Create the sphere and glow for a single expedition route system
+     */
+    createRouteSystem(system, routeInfo) {
+        const coords = this.scaleCoordinatesForScene(system.coords);
+        const { color, category, isPulsing } = this.getRouteAppearance(routeInfo);
+
+        // Create neon-style system with glow effect
+        const geometry = new THREE.SphereGeometry(0.8, 12, 12);
+        const material = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.9
+        });
 
-            // Add glow effect
-            const glowGeometry = new THREE.SphereGeometry(2, 12, 12);
-            const glowMaterial = new THREE.MeshBasicMaterial({
-                color: color,
-                transparent: true,
-                opacity: 0.3
-            });
-            const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-            glow.position.copy(sphere.position);
+        const sphere = new THREE.Mesh(geometry, material);
+        sphere.position.set(coords.x, coords.y, coords.z);
+        if (isPulsing) sphere.userData.isPulsing = true;
 
-            // Store system data
-            this.systemData.set(sphere.id, {
-                name: system.name,
-                category: category,
-                coordinates: coords,
-                originalCoordinates: system.coords,
-                primaryStar: system.primaryStar,
-                information: system.information,
-                routeInfo: routeInfo
-            });
+        // Add glow effect
+        const glowGeometry = new THREE.SphereGeometry(2, 12, 12);
+        const glowMaterial = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.3
+        });
+        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        glow.position.copy(sphere.position);
+
+        // Store system data
+        this.systemData.set(sphere.id, {
+            name: system.name,
+            category: category,
+            coordinates: coords,
+            originalCoordinates: system.coords,
+            primaryStar: system.primaryStar,
+            information: system.information,
+            routeInfo: routeInfo
+        });
 
-            this.groups[category].add(sphere);
-            this.groups[category].add(glow);
-            this.interactiveObjects.push(sphere);
-        }
+        this.groups[category].add(sphere);
+        this.groups[category].add(glow);
+        this.interactiveObjects.push(sphere);
+        this.routeMeshes.set(this.normalizeSystemName(system.name), { sphere, glow });
     }
 
     /**
@@ -766,8 +797,8 @@ export class SceneManager {
                     primaryStar: system.primaryStar,
                     information: system.information,
                     routeInfo: {
-                        'claimed?_': 'FALSE',
-                        'completed?_': routeInfo.status?.toUpperCase() === 'DONE' ? 'TRUE' : 'FALSE',
+                        'claimed?_': false,
+                        'completed?_': routeInfo.status?.toUpperCase() === 'DONE',
                         'architect?_': '',
                         'assigned_fc': '',
                         system_name: system.name,
@@ -988,64 +1019,78 @@ export class SceneManager {
         if (!sheetsData?.fleetCarriers) return;
 
         for (const fc of sheetsData.fleetCarriers) {
-            const system = this.getSystem(fc.location);
-            if (!system?.coords) {
-                console.warn(`❌ Fleet carrier location "${fc.location}" not found`);
-                continue;
-            }
+            this.addFleetCarrier(fc);
+        }
+    }
 
-            const coords = this.scaleCoordinatesForScene(system.coords);
-            coords.y += 2; // Offset above system
+    /**
+     * Create the octahedron, glow and label for a single fleet carrier
+     */
+    addFleetCarrier(fc) {
+        const system = this.getSystem(fc.location);
+        if (!system?.coords) {
+            console.warn(`❌ Fleet carrier location "${fc.location}" not found`);
+            return false;
+        }
 
-            // Create FC octahedron with glow effect
-            const geometry = new THREE.OctahedronGeometry(1);
-            const material = new THREE.MeshBasicMaterial({
-                color: 0x00FFFF, // Cyan (#00FFFF) - matches legend
-                transparent: true,
-                opacity: 0.9
-            });
+        const coords = this.scaleCoordinatesForScene(system.coords);
+        coords.y += 2; // Offset above system
 
-            const fc3d = new THREE.Mesh(geometry, material);
-            fc3d.position.set(coords.x, coords.y, coords.z);
-            fc3d.userData.isRotating = true;
+        // Create FC octahedron with glow effect
+        const geometry = new THREE.OctahedronGeometry(1);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x00FFFF, // Cyan (#00FFFF) - matches legend
+            transparent: true,
+            opacity: 0.9
+        });
 
-            // Add glow effect
-            const glowGeometry = new THREE.OctahedronGeometry(2.5);
-            const glowMaterial = new THREE.MeshBasicMaterial({
-                color: 0x00FFFF,
-                transparent: true,
-                opacity: 0.2
-            });
-            const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-            glow.position.copy(fc3d.position);
-            glow.userData.isRotating = true;
-
-            // Create HTML text label for better visibility
-            const label = this.createFCLabel(fc);
-
-            // Store FC data
-            this.systemData.set(fc3d.id, {
-                name: fc.name,
-                callsign: fc.callsign,
-                owner: fc.owner_,
-                status: fc.status,
-                location: fc.location,
-                type: 'fleetCarrier',
-                coordinates: coords,
-                originalCoordinates: system.coords
-            });
+        const fc3d = new THREE.Mesh(geometry, material);
+        fc3d.position.set(coords.x, coords.y, coords.z);
+        fc3d.userData.isRotating = true;
 
-            this.groups.fleetCarriers.add(fc3d);
-            this.groups.fleetCarriers.add(glow);
-            this.interactiveObjects.push(fc3d);
-            
-            // Store label for screen-space updates
-            this.fcLabels.push({
-                element: label,
-                position: new THREE.Vector3(coords.x, coords.y + 5, coords.z), // Higher above FC
-                type: 'fc'
-            });
-        }
+        // Add glow effect
+        const glowGeometry = new THREE.OctahedronGeometry(2.5);
+        const glowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x00FFFF,
+            transparent: true,
+            opacity: 0.2
+        });
+        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        glow.position.copy(fc3d.position);
+        glow.userData.isRotating = true;
+
+        // Create HTML text label for better visibility
+        const label = this.createFCLabel(fc);
+
+        // Store FC data
+        this.systemData.set(fc3d.id, {
+            name: fc.name,
+            callsign: fc.callsign,
+            owner: fc.owner_,
+            status: fc.status,
+            location: fc.location,
+            type: 'fleetCarrier',
+            coordinates: coords,
+            originalCoordinates: system.coords
+        });
+
+        this.groups.fleetCarriers.add(fc3d);
+        this.groups.fleetCarriers.add(glow);
+        this.interactiveObjects.push(fc3d);
+        
+        // Store label for screen-space updates
+        const labelInfo = {
+            element: label,
+            position: new THREE.Vector3(coords.x, coords.y + 5, coords.z), // Higher above FC
+            type: 'fc'
+        };
+        this.fcLabels.push(labelInfo);
+        this.fleetCarrierMeshes.set(this.normalizeCallsign(fc.callsign), { mesh: fc3d, glow, labelInfo });
+        return true;
+    }
+
+    normalizeCallsign(callsign) {
+        return (callsign || '').trim().toUpperCase();
     }
 
     /**
@@ -1055,17 +1100,7 @@ export class SceneManager {
         const label = document.createElement('div');
         label.className = 'system-label fc-label';
         label.textContent = fc.callsign; // Just the short callsign
-        label.title = `Fleet Carrier: ${fc.name}\nOwner: ${fc.owner_}\nStatus: ${fc.status}\nLocation: ${fc.location}`;
-        
-        // Make clickable and add FC data
-        label.dataset.fcData = JSON.stringify({
-            name: fc.name,
-            callsign: fc.callsign,
-            owner: fc.owner_,
-            status: fc.status,
-            location: fc.location,
-            type: 'fleetCarrier'
-        });
+        this.setFCLabelData(label, fc);
         
         // Compact, ergonomic styling
         label.style.cssText = `
@@ -1101,40 +1136,256 @@ export class SceneManager {
         return label;
     }
 
+    /**
+     * Set FC label tooltip and click data
+     */
+    setFCLabelData(label, fc) {
+        label.title = `Fleet Carrier: ${fc.name}\nOwner: ${fc.owner_}\nStatus: ${fc.status}\nLocation: ${fc.location}`;
+        
+        // Make clickable and add FC data
+        label.dataset.fcData = JSON.stringify({
+            name: fc.name,
+            callsign: fc.callsign,
+            owner: fc.owner_,
+            status: fc.status,
+            location: fc.location,
+            type: 'fleetCarrier'
+        });
+    }
+
+    /**
+     * Apply live sheet change events in place instead of rebuilding the scene
+     * 
+     * @param {Array} events - Change events from the /api/live stream
+     * @returns {Array} The events that changed something in the scene
+     */
+    applySheetChanges(events) {
+        const applied = events.filter(event => {
+            switch (event.type) {
+                case 'systemAdded':
+                case 'systemClaimed':
+                case 'systemCompleted':
+                case 'systemStatusChanged':
+                    return this.updateRouteSystem(event.row);
+                case 'systemRemoved':
+                    return this.removeRouteSystem(event.system);
+                case 'carrierAdded':
+                case 'carrierMoved':
+                    return this.moveFleetCarrier(event.carrier);
+                case 'carrierStatusChanged':
+                    return this.updateFleetCarrierInfo(event.carrier);
+                case 'carrierRemoved':
+                    return this.removeFleetCarrier(event.callsign);
+                default:
+                    console.warn(`⚠️ Unknown live change type "${event.type}"`);
+                    return false;
+            }
+        });
+
+        console.log(`📡 Applied ${applied.length} of ${events.length} live changes`);
+        return applied;
+    }
+
+    /**
+     * Recolor and regroup a route system for its new status, creating it if new
+     */
+    updateRouteSystem(routeInfo) {
+        const key = this.normalizeSystemName(routeInfo.system_name);
+        const existing = this.routeMeshes.get(key);
+
+        if (!existing) {
+            const system = this.getSystem(routeInfo.system_name);
+            if (!system?.coords) {
+                console.warn(`❌ Route system "${routeInfo.system_name}" not found`);
+                return false;
+            }
+            // Key and populated systems keep their own styling, as on initial load
+            if (this.specialSystemNames.has(key) || system.information?.population > 0) {
+                return false;
+            }
+            this.createRouteSystem(system, routeInfo);
+            return true;
+        }
+
+        const { sphere, glow } = existing;
+        const data = this.systemData.get(sphere.id);
+        const { color, category, isPulsing } = this.getRouteAppearance(routeInfo);
+
+        if (data.category !== category) {
+            this.groups[data.category].remove(sphere, glow);
+            this.groups[category].add(sphere, glow);
+        }
+
+        sphere.material.color.setHex(color);
+        glow.material.color.setHex(color);
+        sphere.userData.isPulsing = isPulsing;
+        if (!isPulsing) sphere.scale.setScalar(1);
+
+        data.category = category;
+        data.routeInfo = routeInfo;
+        return true;
+    }
+
+    /**
+     * Remove a route system that was deleted from the sheet
+     */
+    removeRouteSystem(systemName) {
+        const key = this.normalizeSystemName(systemName);
+        const existing = this.routeMeshes.get(key);
+        if (!existing) return false;
+
+        const { sphere, glow } = existing;
+        const data = this.systemData.get(sphere.id);
+        this.groups[data.category].remove(sphere, glow);
+        this.removeInteractiveObject(sphere);
+        [sphere, glow].forEach(mesh => {
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.routeMeshes.delete(key);
+        return true;
+    }
+
+    /**
+     * Move a fleet carrier to its new location, creating it if new
+     */
+    moveFleetCarrier(fc) {
+        const existing = this.fleetCarrierMeshes.get(this.normalizeCallsign(fc.callsign));
+        if (!existing) {
+            return this.addFleetCarrier(fc);
+        }
+
+        const system = this.getSystem(fc.location);
+        if (!system?.coords) {
+            console.warn(`❌ Fleet carrier location "${fc.location}" not found`);
+            return false;
+        }
+
+        const coords = this.scaleCoordinatesForScene(system.coords);
+        coords.y += 2; // Offset above system
+
+        const { mesh, glow, labelInfo } = existing;
+        mesh.position.set(coords.x, coords.y, coords.z);
+        glow.position.copy(mesh.position);
+        labelInfo.position.set(coords.x, coords.y + 5, coords.z);
+
+        const data = this.systemData.get(mesh.id);
+        data.coordinates = coords;
+        data.originalCoordinates = system.coords;
+
+        return this.updateFleetCarrierInfo(fc);
+    }
+
+    /**
+     * Update a fleet carrier's details (status, owner, location) and label
+     */
+    updateFleetCarrierInfo(fc) {
+        const existing = this.fleetCarrierMeshes.get(this.normalizeCallsign(fc.callsign));
+        if (!existing) return false;
+
+        Object.assign(this.systemData.get(existing.mesh.id), {
+            name: fc.name,
+            callsign: fc.callsign,
+            owner: fc.owner_,
+            status: fc.status,
+            location: fc.location
+        });
+        this.setFCLabelData(existing.labelInfo.element, fc);
+        return true;
+    }
+
+    /**
+     * Remove a fleet carrier that was deleted from the manifest
+     */
+    removeFleetCarrier(callsign) {
+        const key = this.normalizeCallsign(callsign);
+        const existing = this.fleetCarrierMeshes.get(key);
+        if (!existing) return false;
+
+        const { mesh, glow, labelInfo } = existing;
+        this.groups.fleetCarriers.remove(mesh, glow);
+        this.removeInteractiveObject(mesh);
+        [mesh, glow].forEach(object => {
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        labelInfo.element.remove();
+        this.fcLabels.splice(this.fcLabels.indexOf(labelInfo), 1);
+        this.fleetCarrierMeshes.delete(key);
+        return true;
+    }
+
+    /**
+     * Look up the scene data a live change event refers to, for click-to-focus
+     * Falls back to the system's database coordinates when it is no longer drawn
+     */
+    getLiveChangeTarget(event) {
+        if (event.callsign) {
+            const carrier = this.fleetCarrierMeshes.get(this.normalizeCallsign(event.callsign));
+            return carrier ? this.systemData.get(carrier.mesh.id) : null;
+        }
+
+        const route = this.routeMeshes.get(this.normalizeSystemName(event.system));
+        if (route) {
+            return this.systemData.get(route.sphere.id);
+        }
+
+        const system = this.getSystem(event.system);
+        return system?.coords
+            ? { name: system.name, coordinates: this.scaleCoordinatesForScene(system.coords) }
+            : null;
+    }
+
+    removeInteractiveObject(object) {
+        const index = this.interactiveObjects.indexOf(object);
+        if (index > -1) {
+            this.interactiveObjects.splice(index, 1);
+        }
+        this.systemData.delete(object.id);
+    }
+
     /**
      * Create smooth particle system for unclaimed stars
      */
     createUnclaimedStarsParticles(unclaimedSystems) {
-        const positions = [];
-        const colors = [];
-        const sizes = [];
-
-        for (const system of unclaimedSystems) {
-            const coords = this.scaleCoordinatesForScene(system.coords);
-            positions.push(coords.x, coords.y, coords.z);
+        const count = unclaimedSystems.length;
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const packedCoords = this.packedSystems?.coords;
+        const goidWHColor = new THREE.Color(0x00ff41); // Bright neon green
+        const starColors = new Map(); // Star type -> softened color, parsed once per type
+
+        unclaimedSystems.forEach((system, i) => {
+            // Packed systems read coordinates straight from the decoded Float32Array
+            if (packedCoords && system.index !== undefined) {
+                const index = system.index * 3;
+                this.writeScenePosition(positions, i * 3, packedCoords[index], packedCoords[index + 1], packedCoords[index + 2]);
+            } else {
+                this.writeScenePosition(positions, i * 3, system.coords.x, system.coords.y, system.coords.z);
+            }
 
             // Check if this system belongs to Goid WH anchor - make it neon green
             if (system.anchor_description && system.anchor_description.includes("'Goid WH")) {
-                // Neon green color for Goid WH systems
-                const color = new THREE.Color(0x00ff41); // Bright neon green
-                colors.push(color.r, color.g, color.b);
+                goidWHColor.toArray(colors, i * 3);
             } else {
                 // Color by star type with softer tones for other systems
-                const starColor = this.getStarTypeColor(system.primaryStar?.type);
-                const color = new THREE.Color(starColor);
-                // Reduce intensity for easier viewing
-                color.multiplyScalar(0.7);
-                colors.push(color.r, color.g, color.b);
+                const starType = system.primaryStar?.type;
+                if (!starColors.has(starType)) {
+                    // Reduce intensity for easier viewing
+                    starColors.set(starType, new THREE.Color(this.getStarTypeColor(starType)).multiplyScalar(0.7));
+                }
+                starColors.get(starType).toArray(colors, i * 3);
             }
 
             // Smaller, more consistent sizes
-            sizes.push(0.3 + Math.random() * 0.2);
-        }
+            sizes[i] = 0.3 + Math.random() * 0.2;
+        });
 
         const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        geometry.setAttribute('size', new THREE.Float32BufferAttribute(sizes, 1));
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
 
         // Smoother particle material
         const material = new THREE.PointsMaterial({
@@ -1186,15 +1437,63 @@ export class SceneManager {
             this.memorialCoords = { x: 470, y: -380, z: -1100 };
         }
 
-        const SCALE_FACTOR = 0.2;
-
         return {
-            x: (coords.x - this.memorialCoords.x) * SCALE_FACTOR,
-            y: (coords.y - this.memorialCoords.y) * SCALE_FACTOR,
-            z: (coords.z - this.memorialCoords.z) * SCALE_FACTOR
+            x: (coords.x - this.memorialCoords.x) * SCENE_SCALE_FACTOR,
+            y: (coords.y - this.memorialCoords.y) * SCENE_SCALE_FACTOR,
+            z: (coords.z - this.memorialCoords.z) * SCENE_SCALE_FACTOR
         };
     }
 
+    /**
+     * Write scaled scene coordinates into a typed array, for building buffer attributes
+     * without allocating a coordinate object per system
+     */
+    writeScenePosition(target, offset, x, y, z) {
+        target[offset] = (x - this.memorialCoords.x) * SCENE_SCALE_FACTOR;
+        target[offset + 1] = (y - this.memorialCoords.y) * SCENE_SCALE_FACTOR;
+        target[offset + 2] = (z - this.memorialCoords.z) * SCENE_SCALE_FACTOR;
+    }
+
+    /**
+     * Highlight the systems in a database diff (see /api/visualization-data/diff)
+     * with one point cloud per kind of change
+     */
+    setDatasetChanges(diff) {
+        const group = this.groups.datasetChanges;
+        group.children.forEach(points => {
+            points.geometry.dispose();
+            points.material.dispose();
+        });
+        group.clear();
+
+        Object.entries(DATASET_CHANGE_COLORS).forEach(([kind, color]) => {
+            const entries = (diff[kind] || []).filter(entry => entry.coords);
+            if (entries.length === 0) return;
+
+            const positions = new Float32Array(entries.length * 3);
+            entries.forEach((entry, i) => {
+                this.writeScenePosition(positions, i * 3, entry.coords.x, entry.coords.y, entry.coords.z);
+            });
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            const material = new THREE.PointsMaterial({
+                color,
+                size: 3,
+                transparent: true,
+                opacity: 0.9,
+                sizeAttenuation: true,
+                depthWrite: false
+            });
+
+            const points = new THREE.Points(geometry, material);
+            points.name = `datasetChanges-${kind}`;
+            group.add(points);
+        });
+
+        console.log(`🔀 Dataset changes overlay: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+    }
+
     /**
      * Load special systems from CSV
      */
@@ -1418,6 +1717,9 @@ export class SceneManager {
         this.allSystems.clear();
         this.systemNameMap.clear();
         this.fcLabels.length = 0;
+        this.routeMeshes.clear();
+        this.fleetCarrierMeshes.clear();
+        this.specialSystemNames.clear();
     }
 
     /**
@@ -0,0 +1,133 @@
+/**
+ * OASIS Community Map - Sheets diff
+ * Compares two processed sheet responses and describes what changed on the
+ * route and fc-manifest tabs, so open maps can update in place. Shared by the
+ * server, which broadcasts the events, and the browser, which diffs a refetch
+ * after missing events (server.js loads it through lib/sharedModules.js).
+ */
+
+function normalizeName(name) {
+    return String(name ?? '').toLowerCase().trim();
+}
+
+function indexBy(rows, keyFn) {
+    const index = new Map();
+    (rows || []).forEach(row => {
+        const key = keyFn(row);
+        if (key) index.set(key, row);
+    });
+    return index;
+}
+
+/**
+ * Diff route rows keyed by system name
+ *
+ * @returns {Object[]} Events: systemAdded, systemRemoved, systemClaimed,
+ *   systemCompleted, systemStatusChanged (any other claimed/completed change)
+ */
+export function diffRoute(previousRows, currentRows) {
+    const events = [];
+    const previous = indexBy(previousRows, row => normalizeName(row.system_name));
+    const current = indexBy(currentRows, row => normalizeName(row.system_name));
+
+    for (const [key, row] of current) {
+        const before = previous.get(key);
+        const base = { system: row.system_name, row, previous: before || null };
+
+        if (!before) {
+            events.push({ type: 'systemAdded', ...base });
+        } else if (!before['completed?_'] && row['completed?_']) {
+            events.push({ type: 'systemCompleted', ...base });
+        } else if (!before['claimed?_'] && row['claimed?_'] && !row['completed?_']) {
+            events.push({ type: 'systemClaimed', ...base });
+        } else if (before['claimed?_'] !== row['claimed?_'] || before['completed?_'] !== row['completed?_']) {
+            events.push({ type: 'systemStatusChanged', ...base });
+        }
+    }
+
+    for (const [key, row] of previous) {
+        if (!current.has(key)) {
+            events.push({ type: 'systemRemoved', system: row.system_name, row: null, previous: row });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Diff fleet carrier rows keyed by callsign
+ *
+ * @returns {Object[]} Events: carrierAdded, carrierRemoved, carrierMoved,
+ *   carrierStatusChanged
+ */
+export function diffFleetCarriers(previousRows, currentRows) {
+    const events = [];
+    const previous = indexBy(previousRows, fc => fc.callsign?.trim().toUpperCase());
+    const current = indexBy(currentRows, fc => fc.callsign?.trim().toUpperCase());
+
+    for (const [key, fc] of current) {
+        const before = previous.get(key);
+        const base = { callsign: fc.callsign, carrier: fc, previous: before || null };
+
+        if (!before) {
+            events.push({ type: 'carrierAdded', ...base });
+            continue;
+        }
+        if (normalizeName(before.location) !== normalizeName(fc.location)) {
+            events.push({ type: 'carrierMoved', ...base });
+        }
+        if (before.status !== fc.status) {
+            events.push({ type: 'carrierStatusChanged', ...base });
+        }
+    }
+
+    for (const [key, fc] of previous) {
+        if (!current.has(key)) {
+            events.push({ type: 'carrierRemoved', callsign: fc.callsign, carrier: null, previous: fc });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Diff two processed sheet responses ({ route, fleetCarriers, ... })
+ *
+ * @returns {Object[]} Change events, route changes first
+ */
+export function diffSheetsData(previous, current) {
+    return [
+        ...diffRoute(previous?.route, current?.route),
+        ...diffFleetCarriers(previous?.fleetCarriers, current?.fleetCarriers)
+    ];
+}
+
+/**
+ * Apply change events to a processed sheet response, the inverse of
+ * diffSheetsData: applySheetsChanges(a, diffSheetsData(a, b)) has b's route
+ * and fleet carrier rows (in a different order).
+ *
+ * @returns {Object} A new response; the input is not modified
+ */
+export function applySheetsChanges(data, events) {
+    const route = indexBy(data?.route, row => normalizeName(row.system_name));
+    const fleetCarriers = indexBy(data?.fleetCarriers, fc => fc.callsign?.trim().toUpperCase());
+
+    events.forEach(event => {
+        if (event.type.startsWith('system')) {
+            const key = normalizeName(event.system);
+            if (event.row) route.set(key, event.row);
+            else route.delete(key);
+        } else if (event.type.startsWith('carrier')) {
+            const key = event.callsign?.trim().toUpperCase();
+            if (event.carrier) fleetCarriers.set(key, event.carrier);
+            else fleetCarriers.delete(key);
+        }
+    });
+
+    return {
+        ...data,
+        route: [...route.values()],
+        fleetCarriers: [...fleetCarriers.values()]
+    };
+}
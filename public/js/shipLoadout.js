@@ -0,0 +1,217 @@
+/**
+ * OASIS Community Map - Ship loadouts
+ * Reads a journal Loadout event or a simple build JSON into a ship model, and
+ * works out jump range and fuel use with the game's frame shift drive formula:
+ *
+ *   range = optimalMass / mass * (fuel / linearConstant) ^ (1 / powerConstant)
+ *
+ * where mass is the ship's current mass (hull and modules, fuel and cargo) and
+ * fuel is the fuel spent on the jump, at most the drive's max fuel per jump.
+ * A guardian FSD booster adds a fixed number of light years on top.
+ *
+ * No Three.js here: the route worker uses it for per-jump fuel.
+ */
+
+const SAVED_SHIPS_KEY = 'oasis-saved-ships';
+
+// Frame shift drive stats by class, then rating: [optimal mass (t), max fuel per jump (t)]
+const FSD_STATS = {
+    2: { E: [48, 0.6], D: [54, 0.6], C: [60, 0.6], B: [75, 0.8], A: [90, 0.9] },
+    3: { E: [80, 1.2], D: [90, 1.2], C: [100, 1.2], B: [125, 1.5], A: [150, 1.8] },
+    4: { E: [280, 2.0], D: [315, 2.0], C: [350, 2.0], B: [437.5, 2.5], A: [525, 3.0] },
+    5: { E: [560, 3.3], D: [630, 3.3], C: [700, 3.3], B: [875, 4.1], A: [1050, 5.0] },
+    6: { E: [960, 5.3], D: [1080, 5.3], C: [1200, 5.3], B: [1500, 6.6], A: [1800, 8.0] },
+    7: { E: [1440, 8.5], D: [1620, 8.5], C: [1800, 8.5], B: [2250, 10.6], A: [2700, 12.8] }
+};
+
+// Fuel multiplier by rating and exponent by class
+const LINEAR_CONSTANTS = { A: 0.012, B: 0.010, C: 0.008, D: 0.010, E: 0.011 };
+const POWER_CONSTANTS = { 2: 2.00, 3: 2.15, 4: 2.30, 5: 2.45, 6: 2.60, 7: 2.75 };
+
+// Guardian FSD booster range bonus in light years, by module class
+const GUARDIAN_BOOSTER_BONUS = { 1: 4.0, 2: 6.0, 3: 7.75, 4: 9.25, 5: 10.5 };
+
+// Journal module class 5..1 is rating A..E
+const JOURNAL_RATINGS = { 5: 'A', 4: 'B', 3: 'C', 2: 'D', 1: 'E' };
+
+/**
+ * Frame shift drive model for a class and rating, with optional engineered values
+ *
+ * @param {number} fsdClass - 2 to 7
+ * @param {string} rating - A to E
+ * @param {Object} [overrides] - { optimalMass, maxFuelPerJump } from engineering
+ * @returns {Object} { class, rating, optimalMass, maxFuelPerJump, linearConstant, powerConstant }
+ */
+export function createFsd(fsdClass, rating, overrides = {}) {
+    const stats = FSD_STATS[fsdClass]?.[rating];
+    if (!stats) {
+        throw new Error(`Unknown frame shift drive ${fsdClass}${rating}`);
+    }
+
+    return {
+        class: fsdClass,
+        rating,
+        optimalMass: overrides.optimalMass ?? stats[0],
+        maxFuelPerJump: overrides.maxFuelPerJump ?? stats[1],
+        linearConstant: LINEAR_CONSTANTS[rating],
+        powerConstant: POWER_CONSTANTS[fsdClass]
+    };
+}
+
+/**
+ * Read a pasted ship: a journal Loadout event or a build JSON of the form
+ * { name, fsd: { class, rating, optimalMass?, maxFuelPerJump? }, unladenMass,
+ *   fuelCapacity, cargoCapacity?, guardianBooster? (module class) }
+ *
+ * @param {string} text
+ * @returns {Object} Ship: { name, fsd, guardianBonus, unladenMass, fuelCapacity, cargoCapacity }
+ */
+export function parseShip(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object') {
+        throw new Error('Expected a JSON object');
+    }
+
+    return data.event === 'Loadout' || Array.isArray(data.Modules) ? parseLoadout(data) : parseBuild(data);
+}
+
+function parseLoadout(loadout) {
+    const modules = loadout.Modules || [];
+    const fsdModule = modules.find(module => module.Slot === 'FrameShiftDrive');
+    const item = fsdModule?.Item?.toLowerCase() || '';
+    // Supercruise overcharge drives have their own stats, which FSD_STATS doesn't cover
+    if (item.startsWith('int_hyperdrive_overcharge_')) {
+        throw new Error('Supercruise overcharge (SCO) frame shift drives are not supported yet; enter the drive as a build JSON with its optimalMass and maxFuelPerJump');
+    }
+    const match = item.match(/^int_hyperdrive_size(\d)_class(\d)/);
+    if (!match) {
+        throw new Error('Loadout has no frame shift drive');
+    }
+
+    // Engineering and experimental effects are already applied in the modifier values
+    const modifier = (label) => fsdModule.Engineering?.Modifiers?.find(entry => entry.Label === label)?.Value;
+    const fsd = createFsd(Number(match[1]), JOURNAL_RATINGS[match[2]], {
+        optimalMass: modifier('FSDOptimalMass'),
+        maxFuelPerJump: modifier('MaxFuelPerJump')
+    });
+
+    const booster = modules.map(module => module.Item?.toLowerCase().match(/^int_guardianfsdbooster_size(\d)/)).find(Boolean);
+    const ship = {
+        name: loadout.ShipName || loadout.Ship || 'Ship',
+        fsd,
+        guardianBonus: booster ? GUARDIAN_BOOSTER_BONUS[booster[1]] || 0 : 0,
+        unladenMass: Number(loadout.UnladenMass),
+        fuelCapacity: Number(loadout.FuelCapacity?.Main ?? loadout.FuelCapacity),
+        cargoCapacity: Number(loadout.CargoCapacity) || 0
+    };
+    return validateShip(ship);
+}
+
+function parseBuild(build) {
+    if (!build.fsd) {
+        throw new Error('Build needs an fsd: { class, rating }');
+    }
+
+    const fsd = createFsd(Number(build.fsd.class), String(build.fsd.rating || '').toUpperCase(), {
+        optimalMass: build.fsd.optimalMass,
+        maxFuelPerJump: build.fsd.maxFuelPerJump
+    });
+    const ship = {
+        name: build.name || 'Ship',
+        fsd,
+        guardianBonus: build.guardianBooster ? GUARDIAN_BOOSTER_BONUS[build.guardianBooster] || 0 : 0,
+        unladenMass: Number(build.unladenMass),
+        fuelCapacity: Number(build.fuelCapacity),
+        cargoCapacity: Number(build.cargoCapacity) || 0
+    };
+    return validateShip(ship);
+}
+
+function validateShip(ship) {
+    if (!(ship.unladenMass > 0)) throw new Error('Ship needs an unladen mass in tons');
+    if (!(ship.fuelCapacity > 0)) throw new Error('Ship needs a fuel capacity in tons');
+    return ship;
+}
+
+/**
+ * Jump range at a given total mass with a given amount of fuel available for the jump
+ *
+ * @param {Object} fsd - From createFsd
+ * @param {number} mass - Tons, including fuel and cargo
+ * @param {number} fuel - Tons available to spend; capped at the drive's max fuel per jump
+ * @param {number} [guardianBonus] - Light years
+ * @returns {number} Light years
+ */
+export function jumpRangeFor(fsd, mass, fuel, guardianBonus = 0) {
+    const spent = Math.min(fuel, fsd.maxFuelPerJump);
+    if (spent <= 0) return 0;
+    return fsd.optimalMass / mass * Math.pow(spent / fsd.linearConstant, 1 / fsd.powerConstant) + guardianBonus;
+}
+
+/**
+ * Fuel burned by a jump at a given total mass
+ * Without a booster this is the game formula; with one, the distance is scaled
+ * so that a full-range jump still burns the max fuel per jump.
+ *
+ * @returns {number} Tons
+ */
+export function jumpFuelFor(fsd, mass, distance, guardianBonus = 0) {
+    const unboosted = jumpRangeFor(fsd, mass, fsd.maxFuelPerJump);
+    const driven = guardianBonus > 0 ? distance * unboosted / (unboosted + guardianBonus) : distance;
+    return fsd.linearConstant * Math.pow(driven * mass / fsd.optimalMass, fsd.powerConstant);
+}
+
+/**
+ * Laden (full tank and hold) and unladen (full tank, empty hold) jump range
+ *
+ * @param {Object} ship - From parseShip
+ * @param {number} [cargo] - Tons carried for the "current" range; defaults to none
+ * @returns {Object} { laden, unladen, current } in light years
+ */
+export function shipJumpRanges(ship, cargo = 0) {
+    const range = (carried) => jumpRangeFor(ship.fsd, ship.unladenMass + ship.fuelCapacity + carried, ship.fuelCapacity, ship.guardianBonus);
+    return {
+        laden: range(ship.cargoCapacity),
+        unladen: range(0),
+        current: range(cargo)
+    };
+}
+
+/**
+ * Ships saved in this browser
+ * @returns {Object[]}
+ */
+export function loadSavedShips() {
+    try {
+        const ships = JSON.parse(localStorage.getItem(SAVED_SHIPS_KEY) || '[]');
+        return Array.isArray(ships) ? ships : [];
+    } catch (error) {
+        console.warn('⚠️ Ignoring unreadable saved ships:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Save a ship, replacing any saved ship with the same name
+ * @returns {Object[]} The saved ships
+ */
+export function saveShip(ship) {
+    const ships = loadSavedShips().filter(saved => saved.name !== ship.name);
+    ships.push(ship);
+    localStorage.setItem(SAVED_SHIPS_KEY, JSON.stringify(ships));
+    return ships;
+}
+
+/**
+ * @returns {Object[]} The saved ships
+ */
+export function deleteShip(name) {
+    const ships = loadSavedShips().filter(saved => saved.name !== name);
+    localStorage.setItem(SAVED_SHIPS_KEY, JSON.stringify(ships));
+    return ships;
+}
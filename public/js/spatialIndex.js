@@ -0,0 +1,204 @@
+/**
+ * OASIS Community Map - Spatial index
+ * Uniform grid over system coordinates for radius and nearest-neighbour queries,
+ * shared by the browser (route planner) and the server (/api/systems/nearby).
+ * Systems are bucketed into cubic cells once; a query only visits the cells
+ * its sphere overlaps instead of scanning every system.
+ */
+
+const DEFAULT_CELL_SIZE = 25; // Light years; close to typical jump ranges
+
+export class SpatialIndex {
+    /**
+     * @param {Object[]} systems - Systems with coords { x, y, z } in light years
+     * @param {Object} [options]
+     * @param {number} [options.cellSize] - Grid cell edge in light years
+     */
+    constructor(systems, { cellSize = DEFAULT_CELL_SIZE } = {}) {
+        this.systems = systems.filter(system => system?.coords);
+        this.cellSize = cellSize;
+        this.coords = new Float64Array(this.systems.length * 3);
+        this.cells = new Map(); // Cell key -> system indices
+        this.indexByName = new Map(); // Lowercase name -> system index
+
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        this.systems.forEach((system, i) => {
+            this.indexByName.set(system.name.toLowerCase(), i);
+            this.coords[i * 3] = system.coords.x;
+            this.coords[i * 3 + 1] = system.coords.y;
+            this.coords[i * 3 + 2] = system.coords.z;
+            min.x = Math.min(min.x, system.coords.x);
+            min.y = Math.min(min.y, system.coords.y);
+            min.z = Math.min(min.z, system.coords.z);
+        });
+        this.origin = this.systems.length > 0 ? min : { x: 0, y: 0, z: 0 };
+
+        const cells = this.systems.map((system, i) => this.cellOf(this.coords[i * 3], this.coords[i * 3 + 1], this.coords[i * 3 + 2]));
+        this.dims = cells.reduce((dims, [ix, iy, iz]) => [
+            Math.max(dims[0], ix + 1), Math.max(dims[1], iy + 1), Math.max(dims[2], iz + 1)
+        ], [1, 1, 1]);
+
+        cells.forEach(([ix, iy, iz], i) => {
+            const key = this.cellKey(ix, iy, iz);
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            this.cells.get(key).push(i);
+        });
+    }
+
+    get size() {
+        return this.systems.length;
+    }
+
+    // Position of a system in this.systems by name (case-insensitive), or -1
+    indexOf(name) {
+        return this.indexByName.get(String(name).toLowerCase()) ?? -1;
+    }
+
+    /**
+     * The same systems on a grid with another cell size, built on first use
+     * Systems keep their positions, so indices from either grid work in both.
+     * For queries whose radius spans many of this grid's cells.
+     */
+    withCellSize(cellSize) {
+        if (cellSize === this.cellSize) return this;
+        if (!this.grids) this.grids = new Map(); // Cell size -> SpatialIndex
+        if (!this.grids.has(cellSize)) {
+            this.grids.set(cellSize, new SpatialIndex(this.systems, { cellSize }));
+        }
+        return this.grids.get(cellSize);
+    }
+
+    cellOf(x, y, z) {
+        return [
+            Math.floor((x - this.origin.x) / this.cellSize),
+            Math.floor((y - this.origin.y) / this.cellSize),
+            Math.floor((z - this.origin.z) / this.cellSize)
+        ];
+    }
+
+    cellKey(ix, iy, iz) {
+        return ix + this.dims[0] * (iy + this.dims[1] * iz);
+    }
+
+    /**
+     * Call visit(index, distanceSquared) for every system within radius of a point
+     * Lowest-level query: no allocation per match, used by the pathfinder
+     */
+    forEachWithin(center, radius, visit) {
+        const [minX, minY, minZ] = this.cellOf(center.x - radius, center.y - radius, center.z - radius);
+        const [maxX, maxY, maxZ] = this.cellOf(center.x + radius, center.y + radius, center.z + radius);
+        const radiusSquared = radius * radius;
+        const coords = this.coords;
+
+        for (let iz = Math.max(0, minZ); iz <= Math.min(this.dims[2] - 1, maxZ); iz++) {
+            for (let iy = Math.max(0, minY); iy <= Math.min(this.dims[1] - 1, maxY); iy++) {
+                for (let ix = Math.max(0, minX); ix <= Math.min(this.dims[0] - 1, maxX); ix++) {
+                    const cell = this.cells.get(this.cellKey(ix, iy, iz));
+                    if (!cell) continue;
+
+                    for (const i of cell) {
+                        const dx = coords[i * 3] - center.x;
+                        const dy = coords[i * 3 + 1] - center.y;
+                        const dz = coords[i * 3 + 2] - center.z;
+                        const distanceSquared = dx * dx + dy * dy + dz * dz;
+                        if (distanceSquared <= radiusSquared) {
+                            visit(i, distanceSquared);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Systems within radius of a point, nearest first
+     *
+     * @param {Object} center - { x, y, z }
+     * @param {number} radius - Light years
+     * @param {Object} [options]
+     * @param {Function} [options.filter] - Keep systems for which filter(system) is true
+     * @param {string} [options.exclude] - Name to leave out (usually the center system)
+     * @param {number} [options.limit] - Maximum results
+     * @returns {Object[]} [{ system, distance }]
+     */
+    within(center, radius, { filter = null, exclude = null, limit = Infinity } = {}) {
+        const results = [];
+        this.forEachWithin(center, radius, (i, distanceSquared) => {
+            const system = this.systems[i];
+            if (system.name === exclude || (filter && !filter(system))) return;
+            results.push({ system, distance: Math.sqrt(distanceSquared) });
+        });
+
+        results.sort((a, b) => a.distance - b.distance);
+        return results.length > limit ? results.slice(0, limit) : results;
+    }
+
+    /**
+     * The closest systems to a point, searching outwards up to maxDistance
+     *
+     * @returns {Object[]} [{ system, distance }], at most count entries
+     */
+    nearest(center, count = 10, maxDistance = 100, options = {}) {
+        // Grow the search sphere until it holds enough systems; avoids visiting
+        // every cell out to maxDistance when neighbours are close
+        for (let radius = Math.min(this.cellSize, maxDistance); ; radius = Math.min(radius * 2, maxDistance)) {
+            const results = this.within(center, radius, { ...options, limit: count });
+            if (results.length >= count || radius >= maxDistance) {
+                return results;
+            }
+        }
+    }
+}
+
+/**
+ * Build a filter for SpatialIndex queries from optional criteria
+ *
+ * @param {Object} criteria
+ * @param {string[]} [criteria.starTypes] - Star type prefixes, e.g. ['K', 'M (Red dwarf)']; case-insensitive
+ * @param {number} [criteria.minPopulation]
+ * @param {number} [criteria.maxPopulation]
+ * @param {string} [criteria.anchor] - Anchor system name or region description; case-insensitive
+ * @param {boolean} [criteria.scoopable] - Only systems whose primary star can (true) or can't (false) be scooped
+ * @returns {Function|null} filter(system) or null when no criteria are set
+ */
+export function createSystemFilter({ starTypes = [], minPopulation = null, maxPopulation = null, anchor = null, scoopable = null } = {}) {
+    const prefixes = starTypes.map(type => type.trim().toLowerCase()).filter(Boolean);
+    const anchorName = anchor ? anchor.trim().toLowerCase() : null;
+    if (prefixes.length === 0 && minPopulation === null && maxPopulation === null && !anchorName && scoopable === null) {
+        return null;
+    }
+
+    return (system) => {
+        if (prefixes.length > 0) {
+            const type = (system.primaryStar?.type || '').toLowerCase();
+            if (!prefixes.some(prefix => type.startsWith(prefix))) return false;
+        }
+
+        const population = system.information?.population || 0;
+        if (minPopulation !== null && population < minPopulation) return false;
+        if (maxPopulation !== null && population > maxPopulation) return false;
+
+        if (anchorName &&
+            (system.anchor_system || '').toLowerCase() !== anchorName &&
+            (system.anchor_description || '').toLowerCase() !== anchorName) {
+            return false;
+        }
+
+        if (scoopable !== null && (system.primaryStar?.isScoopable === true) !== scoopable) return false;
+        return true;
+    };
+}
+
+/**
+ * Galactic coordinates typed as "x, y, z" (commas or spaces between), or null
+ *
+ * @param {string} text
+ * @returns {Object|null} { x, y, z } in light years
+ */
+export function parseCoordinates(text) {
+    const values = String(text).trim().match(/^(-?[\d.]+)[,\s]+(-?[\d.]+)[,\s]+(-?[\d.]+)$/)?.slice(1).map(Number);
+    if (!values?.every(Number.isFinite)) return null;
+
+    const [x, y, z] = values;
+    return { x, y, z };
+}
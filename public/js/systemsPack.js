@@ -0,0 +1,329 @@
+/**
+ * OASIS Community Map - Packed system database
+ * Binary encoding of combined_visualization_systems.json, shared by the server
+ * (encodes once at startup, see lib/sharedModules.js) and the browser (decodes).
+ *
+ * Layout, little-endian, every section starting on an 8-byte boundary:
+ *   header    "OSYS", u16 version, u16 reserved, u32 count, u32 metadata bytes
+ *   metadata  UTF-8 JSON { last_updated, starTypes, anchors, economies, permits }
+ *   coords    f32[count * 3]  Elite Dangerous x, y, z in light years
+ *   population, id, id64, distance f64[count]  NaN = not set
+ *   nameOffsets, starNameOffsets, extraOffsets u32[count + 1] into the blobs below
+ *   bodyCount u16[count]  NO_BODY_COUNT = not set
+ *   starType  u8[count]  index into starTypes, 0 = unknown
+ *   anchor    u8[count]  index into anchors, 0 = none
+ *   economy   u8[count]  index into economies, 0 = none
+ *   permit    u8[count]  index into permits, 0 = none
+ *   flags     u8[count]  SYSTEM_FLAGS bits
+ *   names     UTF-8 system names
+ *   starNames UTF-8 primary star names, without the system name when they start with it
+ *   extras    UTF-8 JSON of any fields not packed above (other information fields,
+ *             unknown keys), empty for most systems
+ *
+ * unpackSystems returns the same objects as the JSON database plus `index`.
+ */
+
+const MAGIC = 'OSYS';
+const VERSION = 2;
+const HEADER_BYTES = 16;
+const NO_BODY_COUNT = 0xffff;
+
+export const SYSTEM_FLAGS = {
+    scoopable: 1,
+    requirePermit: 2,
+    coordsLocked: 4,
+    starName: 8,         // primaryStar.name is set
+    starNameSuffix: 16   // starNames holds only what follows the system name
+};
+
+// Fields stored in their own sections; anything else goes to extras
+const PACKED_FIELDS = {
+    system: ['name', 'coords', 'bodyCount', 'coordsLocked', 'requirePermit', 'anchor_system',
+        'anchor_description', 'id', 'id64', 'distance', 'permitName', 'information', 'primaryStar'],
+    information: ['population', 'economy'],
+    primaryStar: ['type', 'name', 'isScoopable']
+};
+
+const align8 = offset => Math.ceil(offset / 8) * 8;
+
+// Section order and element sizes; the decoder walks the same list
+function sectionLayout(count, blobBytes) {
+    return [
+        ['coords', Float32Array, count * 3],
+        ['population', Float64Array, count],
+        ['id', Float64Array, count],
+        ['id64', Float64Array, count],
+        ['distance', Float64Array, count],
+        ['nameOffsets', Uint32Array, count + 1],
+        ['starNameOffsets', Uint32Array, count + 1],
+        ['extraOffsets', Uint32Array, count + 1],
+        ['bodyCount', Uint16Array, count],
+        ['starType', Uint8Array, count],
+        ['anchor', Uint8Array, count],
+        ['economy', Uint8Array, count],
+        ['permit', Uint8Array, count],
+        ['flags', Uint8Array, count],
+        ['names', Uint8Array, blobBytes.names],
+        ['starNames', Uint8Array, blobBytes.starNames],
+        ['extras', Uint8Array, blobBytes.extras]
+    ];
+}
+
+// Copy of obj without the given keys, or null if nothing is left
+function omitFields(obj, keys) {
+    const rest = {};
+    let empty = true;
+    for (const [key, value] of Object.entries(obj || {})) {
+        if (keys.includes(key) || value === undefined) continue;
+        rest[key] = value;
+        empty = false;
+    }
+    return empty ? null : rest;
+}
+
+// Fields of a system the dedicated sections can't hold, as a JSON string ('' if none)
+function extraFields(system) {
+    const extra = omitFields(system, PACKED_FIELDS.system) || {};
+    const information = omitFields(system.information, PACKED_FIELDS.information);
+    const primaryStar = omitFields(system.primaryStar, PACKED_FIELDS.primaryStar);
+    if (information) extra.information = information;
+    if (primaryStar) extra.primaryStar = primaryStar;
+    return Object.keys(extra).length > 0 ? JSON.stringify(extra) : '';
+}
+
+// Join strings into one UTF-8 blob with u32 offsets (offsets[i]..offsets[i + 1])
+function encodeBlob(encoder, strings) {
+    const encoded = strings.map(text => encoder.encode(text));
+    return { encoded, length: encoded.reduce((sum, bytes) => sum + bytes.length, 0) };
+}
+
+function writeBlob(blob, offsets, target) {
+    let offset = 0;
+    blob.encoded.forEach((bytes, i) => {
+        offsets[i] = offset;
+        target.set(bytes, offset);
+        offset += bytes.length;
+    });
+    offsets[blob.encoded.length] = offset;
+}
+
+function readBlob(decoder, bytes, offsets, count) {
+    return Array.from({ length: count }, (_, i) =>
+        decoder.decode(bytes.subarray(offsets[i], offsets[i + 1])));
+}
+
+const numberOrNaN = value => (typeof value === 'number' ? value : NaN);
+
+// Build a lookup table that maps values to 1-based indices (0 means "none")
+function createTable(name) {
+    const values = [''];
+    const indices = new Map();
+    return {
+        values,
+        indexOf(value) {
+            if (!value) return 0;
+            if (!indices.has(value)) {
+                if (values.length > 255) {
+                    throw new Error(`Too many distinct ${name} values to pack (max 255)`);
+                }
+                indices.set(value, values.length);
+                values.push(value);
+            }
+            return indices.get(value);
+        }
+    };
+}
+
+/**
+ * Encode the parsed system database
+ *
+ * @param {Object} data - { last_updated, systems: [...] } as in combined_visualization_systems.json
+ * @returns {Uint8Array} Packed bytes
+ */
+export function encodeSystems(data) {
+    const systems = data.systems || [];
+    const count = systems.length;
+    const encoder = new TextEncoder();
+
+    const starTypes = createTable('star type');
+    const anchors = createTable('anchor');
+    const economies = createTable('economy');
+    const permits = createTable('permit');
+    const anchorDescriptions = [''];
+
+    const starNames = systems.map(system => {
+        const starName = system.primaryStar?.name;
+        if (typeof starName !== 'string') return '';
+        return system.name && starName.startsWith(system.name) ? starName.slice(system.name.length) : starName;
+    });
+    const blobs = {
+        names: encodeBlob(encoder, systems.map(system => system.name || '')),
+        starNames: encodeBlob(encoder, starNames),
+        extras: encodeBlob(encoder, systems.map(extraFields))
+    };
+
+    const anchorIndices = systems.map(system => {
+        const index = anchors.indexOf(system.anchor_system);
+        if (index) anchorDescriptions[index] = system.anchor_description || '';
+        return index;
+    });
+    const starTypeIndices = systems.map(system => starTypes.indexOf(system.primaryStar?.type));
+    const economyIndices = systems.map(system => economies.indexOf(system.information?.economy));
+    const permitIndices = systems.map(system => permits.indexOf(system.permitName));
+
+    const metadata = encoder.encode(JSON.stringify({
+        last_updated: data.last_updated || null,
+        starTypes: starTypes.values,
+        anchors: anchors.values.map((name, i) => ({ name, description: anchorDescriptions[i] || '' })),
+        economies: economies.values,
+        permits: permits.values
+    }));
+
+    // Lay out the sections after the header and metadata
+    let offset = align8(HEADER_BYTES + metadata.length);
+    const blobBytes = Object.fromEntries(Object.entries(blobs).map(([name, blob]) => [name, blob.length]));
+    const layout = sectionLayout(count, blobBytes).map(([name, Type, length]) => {
+        const section = { name, Type, length, offset };
+        offset = align8(offset + length * Type.BYTES_PER_ELEMENT);
+        return section;
+    });
+
+    const buffer = new ArrayBuffer(offset);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    bytes.set(encoder.encode(MAGIC), 0);
+    view.setUint16(4, VERSION, true);
+    view.setUint32(8, count, true);
+    view.setUint32(12, metadata.length, true);
+    bytes.set(metadata, HEADER_BYTES);
+
+    const arrays = Object.fromEntries(layout.map(({ name, Type, length, offset }) =>
+        [name, new Type(buffer, offset, length)]));
+
+    systems.forEach((system, i) => {
+        const starName = system.primaryStar?.name;
+        arrays.coords[i * 3] = system.coords?.x ?? 0;
+        arrays.coords[i * 3 + 1] = system.coords?.y ?? 0;
+        arrays.coords[i * 3 + 2] = system.coords?.z ?? 0;
+        arrays.population[i] = numberOrNaN(system.information?.population);
+        arrays.id[i] = numberOrNaN(system.id);
+        arrays.id64[i] = numberOrNaN(system.id64);
+        arrays.distance[i] = numberOrNaN(system.distance);
+        arrays.bodyCount[i] = typeof system.bodyCount === 'number'
+            ? Math.min(system.bodyCount, NO_BODY_COUNT - 1)
+            : NO_BODY_COUNT;
+        arrays.starType[i] = starTypeIndices[i];
+        arrays.anchor[i] = anchorIndices[i];
+        arrays.economy[i] = economyIndices[i];
+        arrays.permit[i] = permitIndices[i];
+        arrays.flags[i] =
+            (system.primaryStar?.isScoopable ? SYSTEM_FLAGS.scoopable : 0) |
+            (system.requirePermit ? SYSTEM_FLAGS.requirePermit : 0) |
+            (system.coordsLocked ? SYSTEM_FLAGS.coordsLocked : 0) |
+            (typeof starName === 'string' ? SYSTEM_FLAGS.starName : 0) |
+            (typeof starName === 'string' && system.name && starName.startsWith(system.name)
+                ? SYSTEM_FLAGS.starNameSuffix : 0);
+    });
+    writeBlob(blobs.names, arrays.nameOffsets, arrays.names);
+    writeBlob(blobs.starNames, arrays.starNameOffsets, arrays.starNames);
+    writeBlob(blobs.extras, arrays.extraOffsets, arrays.extras);
+
+    return bytes;
+}
+
+/**
+ * Decode packed bytes into typed arrays plus lookup tables
+ *
+ * @param {ArrayBuffer} buffer - Response body from /api/visualization-data/packed
+ * @returns {Object} { last_updated, count, starTypes, anchors, economies, permits, names, coords, population, ... }
+ */
+export function decodeSystems(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    const magic = decoder.decode(new Uint8Array(buffer, 0, 4));
+    const version = view.getUint16(4, true);
+    if (magic !== MAGIC || version !== VERSION) {
+        throw new Error(`Unsupported packed systems format (${magic} v${version})`);
+    }
+
+    const count = view.getUint32(8, true);
+    const metadataLength = view.getUint32(12, true);
+    const metadata = JSON.parse(decoder.decode(new Uint8Array(buffer, HEADER_BYTES, metadataLength)));
+
+    // Blob lengths are only known once their offsets have been read
+    const packed = { ...metadata, count };
+    const blobOffsets = { names: 'nameOffsets', starNames: 'starNameOffsets', extras: 'extraOffsets' };
+    let offset = align8(HEADER_BYTES + metadataLength);
+    for (const [name, Type, length] of sectionLayout(count, {})) {
+        const size = blobOffsets[name] ? packed[blobOffsets[name]][count] : length;
+        packed[name] = new Type(buffer, offset, size);
+        offset = align8(offset + size * Type.BYTES_PER_ELEMENT);
+    }
+
+    for (const [name, offsets] of Object.entries(blobOffsets)) {
+        packed[name] = readBlob(decoder, packed[name], packed[offsets], count);
+    }
+
+    return packed;
+}
+
+/**
+ * Build system objects equal to the JSON database records, so scene code
+ * works with either source. Each system also carries its index into the packed arrays.
+ *
+ * @param {Object} packed - Result of decodeSystems
+ * @returns {Object[]} Systems
+ */
+export function unpackSystems(packed) {
+    const systems = new Array(packed.count);
+
+    for (let i = 0; i < packed.count; i++) {
+        const anchor = packed.anchors[packed.anchor[i]];
+        const population = packed.population[i];
+        const economy = packed.economies[packed.economy[i]];
+        const flags = packed.flags[i];
+        const extra = packed.extras[i] ? JSON.parse(packed.extras[i]) : {};
+        const { information: extraInformation, primaryStar: extraPrimaryStar, ...otherFields } = extra;
+
+        const information = { ...extraInformation };
+        if (!Number.isNaN(population)) information.population = population;
+        if (economy) information.economy = economy;
+
+        const primaryStar = {
+            ...extraPrimaryStar,
+            type: packed.starTypes[packed.starType[i]] || null,
+            isScoopable: (flags & SYSTEM_FLAGS.scoopable) !== 0
+        };
+        if (flags & SYSTEM_FLAGS.starName) {
+            primaryStar.name = (flags & SYSTEM_FLAGS.starNameSuffix ? packed.names[i] : '') + packed.starNames[i];
+        }
+
+        const system = {
+            ...otherFields,
+            index: i,
+            name: packed.names[i],
+            coords: {
+                x: packed.coords[i * 3],
+                y: packed.coords[i * 3 + 1],
+                z: packed.coords[i * 3 + 2]
+            },
+            coordsLocked: (flags & SYSTEM_FLAGS.coordsLocked) !== 0,
+            requirePermit: (flags & SYSTEM_FLAGS.requirePermit) !== 0,
+            information,
+            primaryStar,
+            anchor_system: anchor?.name || null,
+            anchor_description: anchor?.description || null,
+            permitName: packed.permits[packed.permit[i]] || null
+        };
+        if (packed.bodyCount[i] !== NO_BODY_COUNT) system.bodyCount = packed.bodyCount[i];
+        if (!Number.isNaN(packed.id[i])) system.id = packed.id[i];
+        if (!Number.isNaN(packed.id64[i])) system.id64 = packed.id64[i];
+        if (!Number.isNaN(packed.distance[i])) system.distance = packed.distance[i];
+
+        systems[i] = system;
+    }
+
+    return systems;
+}
@@ -0,0 +1,84 @@
+/**
+ * OASIS Community Map - Systems Store
+ * Keeps the downloaded system database in IndexedDB so returning visitors can
+ * start the map without re-downloading it. Entries are tagged with the
+ * dataset's last_updated version; DataManager compares that with the server.
+ */
+const DB_NAME = 'oasis-community-map';
+const DB_VERSION = 1;
+const STORE_NAME = 'systems';
+const ENTRY_KEY = 'visualization-data';
+
+export class SystemsStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    get isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @returns {Promise<Object|null>} { version, format, payload, storedAt } or null if nothing is stored
+     */
+    async get() {
+        if (!this.isSupported) return null;
+        try {
+            return (await this.transaction('readonly', store => store.get(ENTRY_KEY))) || null;
+        } catch (error) {
+            console.warn('⚠️ Could not read cached system data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store the database as downloaded
+     *
+     * @param {string} version - Dataset last_updated value
+     * @param {string} format - 'packed' (payload is an ArrayBuffer) or 'json' (payload is the parsed object)
+     * @param {ArrayBuffer|Object} payload - Data to store
+     */
+    async put(version, format, payload) {
+        if (!this.isSupported || !version) return;
+        try {
+            await this.transaction('readwrite', store =>
+                store.put({ version, format, payload, storedAt: new Date().toISOString() }, ENTRY_KEY));
+            console.log(`💾 Cached system data version ${version} in IndexedDB`);
+        } catch (error) {
+            // Quota or private browsing - the map still works, just without the cache
+            console.warn('⚠️ Could not cache system data:', error);
+        }
+    }
+
+    async clear() {
+        if (!this.isSupported) return;
+        try {
+            await this.transaction('readwrite', store => store.delete(ENTRY_KEY));
+        } catch (error) {
+            console.warn('⚠️ Could not clear cached system data:', error);
+        }
+    }
+}
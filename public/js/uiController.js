@@ -7,11 +7,19 @@ export class UIController {
         this.notifications = [];
         this.notificationContainer = null;
         
+        // Notification history drawer
+        this.history = [];
+        this.maxHistory = 50;
+        this.unreadCount = 0;
+        this.historyToggle = null;
+        this.historyDrawer = null;
+        
         this.init();
     }
 
     init() {
         this.setupNotifications();
+        this.setupHistoryDrawer();
         console.log('🎛️ UI Controller initialized');
     }
 
@@ -32,7 +40,17 @@ export class UIController {
         }
     }
 
-    showNotification(message, type = 'info', duration = 3000) {
+    /**
+     * Show a toast notification and record it in the history drawer
+     *
+     * @param {string} message - Notification text
+     * @param {string} type - info, success, warning or error
+     * @param {number} duration - Milliseconds before auto-dismiss (0 to keep)
+     * @param {Object} options - { onClick } action run when the toast or its history entry is clicked
+     */
+    showNotification(message, type = 'info', duration = 3000, options = {}) {
+        this.addToHistory(message, type, options.onClick);
+
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.style.cssText = `
@@ -54,9 +72,13 @@ export class UIController {
         `;
         
         notification.textContent = message;
+        if (options.onClick) {
+            notification.title = 'Click to focus';
+        }
         
-        // Add click to dismiss
+        // Add click to dismiss (running the notification's action first)
         notification.addEventListener('click', () => {
+            if (options.onClick) options.onClick();
             this.removeNotification(notification);
         });
         
@@ -95,6 +117,105 @@ export class UIController {
         }
     }
 
+    /**
+     * Create the bell button and the drawer listing past notifications
+     */
+    setupHistoryDrawer() {
+        this.historyToggle = document.createElement('button');
+        this.historyToggle.className = 'notification-history-toggle';
+        this.historyToggle.title = 'Notification history';
+        this.historyToggle.innerHTML = '🔔<span class="notification-history-badge" style="display: none;"></span>';
+        this.historyToggle.addEventListener('click', () => this.toggleHistoryDrawer());
+
+        this.historyDrawer = document.createElement('div');
+        this.historyDrawer.className = 'notification-history';
+        this.historyDrawer.innerHTML = `
+            <div class="notification-history-header">
+                <h3>Notifications</h3>
+                <button class="notification-history-clear" title="Clear history">Clear</button>
+                <button class="notification-history-close" title="Close">×</button>
+            </div>
+            <div class="notification-history-list">
+                <div class="notification-history-empty">No notifications yet</div>
+            </div>
+        `;
+        this.historyDrawer.querySelector('.notification-history-close')
+            .addEventListener('click', () => this.toggleHistoryDrawer(false));
+        this.historyDrawer.querySelector('.notification-history-clear')
+            .addEventListener('click', () => this.clearHistory());
+
+        document.body.appendChild(this.historyToggle);
+        document.body.appendChild(this.historyDrawer);
+    }
+
+    toggleHistoryDrawer(open = !this.historyDrawer.classList.contains('open')) {
+        this.historyDrawer.classList.toggle('open', open);
+        if (open) {
+            this.unreadCount = 0;
+            this.updateHistoryBadge();
+        }
+    }
+
+    addToHistory(message, type, onClick) {
+        this.history.unshift({ message, type, onClick, time: new Date() });
+        if (this.history.length > this.maxHistory) {
+            this.history.length = this.maxHistory;
+        }
+
+        if (!this.historyDrawer?.classList.contains('open')) {
+            this.unreadCount++;
+        }
+        this.renderHistory();
+        this.updateHistoryBadge();
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.unreadCount = 0;
+        this.renderHistory();
+        this.updateHistoryBadge();
+    }
+
+    renderHistory() {
+        const list = this.historyDrawer?.querySelector('.notification-history-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (this.history.length === 0) {
+            list.innerHTML = '<div class="notification-history-empty">No notifications yet</div>';
+            return;
+        }
+
+        this.history.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `notification-history-item${entry.onClick ? ' clickable' : ''}`;
+            item.style.borderLeftColor = this.getNotificationColor(entry.type);
+
+            const message = document.createElement('div');
+            message.className = 'notification-history-message';
+            message.textContent = entry.message;
+
+            const time = document.createElement('div');
+            time.className = 'notification-history-time';
+            time.textContent = entry.time.toLocaleTimeString();
+
+            item.append(message, time);
+            if (entry.onClick) {
+                item.title = 'Click to focus';
+                item.addEventListener('click', entry.onClick);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    updateHistoryBadge() {
+        const badge = this.historyToggle?.querySelector('.notification-history-badge');
+        if (!badge) return;
+
+        badge.textContent = this.unreadCount > 9 ? '9+' : this.unreadCount;
+        badge.style.display = this.unreadCount > 0 ? 'flex' : 'none';
+    }
+
     getNotificationColor(type) {
         const colors = {
             'info': '#2196F3',
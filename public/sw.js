@@ -0,0 +1,173 @@
+/**
+ * OASIS Community Map - Service Worker
+ * Precaches the app shell, the Three.js modules, the system database and the
+ * latest sheet snapshot so the map opens without a connection.
+ *
+ * Same-origin files and API data are fetched network-first: every good response
+ * refreshes the cache, and a slow or failed request falls back to the cached copy.
+ * Responses served from the cache carry an X-Offline-Cache header (the time the
+ * copy was fetched) so the page can show its offline banner.
+ * The pinned Three.js files never change and are served cache-first.
+ */
+const SHELL_CACHE = 'oasis-shell-v6';
+const DATA_CACHE = 'oasis-data-v1';
+const NETWORK_TIMEOUT_MS = 4000;
+
+const SHELL_URLS = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/js/main.js',
+    '/js/sceneManager.js',
+    '/js/dataManager.js',
+    '/js/routePlanner.js',
+    '/js/routePlannerUI.js',
+    '/js/uiController.js',
+    '/js/csv.js',
+    '/js/sheetsDiff.js',
+    '/js/systemsPack.js',
+    '/js/systemsStore.js',
+    '/js/spatialIndex.js',
+    '/js/pathfinder.js',
+    '/js/routeWorker.js',
+    '/js/shipLoadout.js',
+    '/js/fleetCarrier.js'
+];
+
+const THREE_URLS = [
+    'https://unpkg.com/three@0.158.0/build/three.module.js',
+    'https://unpkg.com/three@0.158.0/examples/jsm/controls/OrbitControls.js'
+];
+
+const DATA_URLS = [
+    '/api/visualization-data/version',
+    '/api/visualization-data/packed',
+    '/api/sheets-data',
+    '/api/anchor-systems',
+    '/api/special-systems',
+    '/api/custom-routes'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        // The map can't start without the shell, so a failure here fails the install
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll([...SHELL_URLS, ...THREE_URLS]);
+
+        // Data is best effort; anything missing is cached on first use
+        await refreshData();
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, DATA_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page asks for a refresh when connectivity returns
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'refresh') {
+        event.waitUntil(Promise.all([refreshShell(), refreshData()]));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (THREE_URLS.includes(request.url)) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+        return;
+    }
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate' || SHELL_URLS.includes(url.pathname)) {
+        event.respondWith(networkFirst(event, SHELL_CACHE, request.mode === 'navigate' ? '/' : url.pathname));
+    } else if (DATA_URLS.includes(url.pathname)) {
+        event.respondWith(networkFirst(event, DATA_CACHE, url.pathname));
+    }
+    // Everything else (live updates, admin endpoints, raw data files) goes straight to the network
+});
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(event, cacheName, cacheKey) {
+    const cache = await caches.open(cacheName);
+    const network = fetch(event.request).then(async (response) => {
+        // 304s answer the page's own ETag revalidation and have no body worth keeping
+        if (response.ok) {
+            await cache.put(cacheKey, response.clone());
+        }
+        return response;
+    });
+    // Keep the worker alive so a slow download still lands in the cache
+    event.waitUntil(network.catch(() => {}));
+
+    try {
+        const response = await withTimeout(network, NETWORK_TIMEOUT_MS);
+        // A server error is no better than no connection
+        if (response.status < 500) return response;
+    } catch (error) {
+        // Offline or too slow, fall through to the cache
+    }
+
+    const cached = await cache.match(cacheKey, { ignoreVary: true });
+    if (!cached) return network;
+    return markOffline(cached);
+}
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), ms);
+        promise.then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+}
+
+// Copy the cached response with a header recording when it was fetched
+function markOffline(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Offline-Cache', response.headers.get('Date') || '');
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+async function refreshShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    await Promise.allSettled(SHELL_URLS.map(async (url) => {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (response.ok) await cache.put(url, response);
+    }));
+}
+
+async function refreshData() {
+    const cache = await caches.open(DATA_CACHE);
+    const results = await Promise.allSettled(DATA_URLS.map(async (url) => {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        await cache.put(url, response);
+    }));
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.warn('⚠️ Could not cache for offline use:', result.reason?.message));
+}
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * OASIS Community Map - System database builder
+ * Rebuilds data/combined_visualization_systems.json from a local galaxy dump.
+ *
+ * The dump is streamed line by line, so multi-gigabyte files work. Supported:
+ * EDSM and Spansh dumps (a JSON array with one system per line) and JSON lines,
+ * either plain or gzipped (.gz). Every system within an anchor's radius_ly from
+ * vis_anchor_systems.csv is kept and tagged with its nearest anchor.
+ *
+ * The file being replaced is copied to history/ next to it first.
+ *
+ * Usage:
+ *   node scripts/build-systems.js <dump> [--anchors file] [--out file] [--previous file] [--dry-run]
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { parseArgs } = require('util');
+const { loadCsv } = require('../lib/sharedModules');
+const { validateSystem } = require('../lib/systemsSchema');
+const { diffSystems, formatDiffSummary } = require('../lib/systemsDiff');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const PROGRESS_EVERY = 1000000;
+
+// Main-sequence and giant stars of class O, B, A, F, G, K and M can be fuel scooped
+const SCOOPABLE_STAR = /^[OBAFGKM] \(/;
+
+const USAGE = `Usage: node scripts/build-systems.js <dump> [options]
+
+  <dump>              EDSM/Spansh JSON dump or JSON lines file, optionally gzipped (.gz)
+
+Options:
+  --anchors <file>    Anchor CSV (default data/vis_anchor_systems.csv)
+  --out <file>        Output file (default data/combined_visualization_systems.json)
+  --previous <file>   Database to diff against and take anchor coordinates from (default: --out)
+  --dry-run           Print the diff summary without writing the output
+  --help              Show this message`;
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      anchors: { type: 'string', default: path.join(DATA_DIR, 'vis_anchor_systems.csv') },
+      out: { type: 'string', default: path.join(DATA_DIR, 'combined_visualization_systems.json') },
+      previous: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const dumpPath = positionals[0];
+  const previousPath = values.previous || values.out;
+  const previous = readPreviousDatabase(previousPath);
+  const anchors = await readAnchors(values.anchors);
+
+  await resolveAnchorCoords(anchors, previous, dumpPath);
+
+  console.log(`🔍 Extracting systems within ${anchors.length} anchor regions from ${dumpPath}...`);
+  const { systems, stats } = await extractSystems(dumpPath, anchors);
+  console.log(`✅ Kept ${systems.length} of ${stats.read} systems` +
+    (stats.malformed ? ` (${stats.malformed} unreadable lines skipped)` : '') +
+    (stats.rejected ? ` (${stats.rejected} invalid records skipped)` : '') +
+    (stats.duplicates ? ` (${stats.duplicates} duplicate names skipped)` : ''));
+
+  anchors.forEach(anchor => {
+    console.log(`   📍 ${anchor.name} (${anchor.radius_ly} LY): ${stats.perAnchor.get(anchor.name) || 0} systems`);
+  });
+
+  if (previous) {
+    console.log(`📊 Diff against ${previousPath}:`);
+    formatDiffSummary(diffSystems(previous.systems, systems)).forEach(line => console.log(`   ${line}`));
+  } else {
+    console.log(`📊 No previous database at ${previousPath}, nothing to diff against`);
+  }
+
+  if (values['dry-run']) {
+    console.log('🧪 Dry run, output not written');
+    return;
+  }
+
+  const archived = await archiveDatabase(values.out);
+  if (archived) {
+    console.log(`📦 Archived the previous database as ${archived}`);
+  }
+  await writeDatabase(values.out, { last_updated: new Date().toISOString(), systems });
+  console.log(`💾 Wrote ${systems.length} systems to ${values.out}`);
+}
+
+function readPreviousDatabase(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data.systems) ? data : null;
+  } catch (error) {
+    console.warn(`⚠️ Could not read previous database ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+// Same columns and defaults as the server's anchor loader
+async function readAnchors(file) {
+  const { parseCSV, formatCSVError } = await loadCsv();
+  const { rows, errors } = parseCSV(fs.readFileSync(file, 'utf8'));
+  if (errors.length > 0) {
+    throw new Error(`${file} ${errors.map(formatCSVError).join('; ')}`);
+  }
+
+  return rows.slice(1)
+    .filter(([name]) => name)
+    .map(([name, radius_ly, description]) => ({
+      name,
+      radius_ly: parseInt(radius_ly) || 100,
+      description: description || '',
+      coords: null
+    }));
+}
+
+// Anchor coordinates come from the previous database, or a first pass over the dump
+async function resolveAnchorCoords(anchors, previous, dumpPath) {
+  const previousByName = new Map((previous?.systems || []).map(system => [system.name.toLowerCase(), system]));
+  anchors.forEach(anchor => {
+    anchor.coords = previousByName.get(anchor.name.toLowerCase())?.coords || null;
+  });
+
+  const missing = new Map(anchors.filter(anchor => !anchor.coords).map(anchor => [anchor.name.toLowerCase(), anchor]));
+  if (missing.size === 0) return;
+
+  console.log(`🔍 Looking up ${missing.size} anchor systems in the dump...`);
+  for await (const raw of readDump(dumpPath)) {
+    const anchor = raw && typeof raw.name === 'string' && missing.get(raw.name.toLowerCase());
+    if (anchor && raw.coords) {
+      anchor.coords = raw.coords;
+      missing.delete(raw.name.toLowerCase());
+      if (missing.size === 0) return;
+    }
+  }
+
+  const names = anchors.filter(anchor => !anchor.coords).map(anchor => anchor.name);
+  throw new Error(`Anchor systems not found in the dump: ${names.join(', ')}`);
+}
+
+async function extractSystems(dumpPath, anchors) {
+  const systems = [];
+  const seenNames = new Set();
+  const stats = { read: 0, malformed: 0, rejected: 0, duplicates: 0, perAnchor: new Map() };
+
+  for await (const raw of readDump(dumpPath, stats)) {
+    if (++stats.read % PROGRESS_EVERY === 0) {
+      console.log(`   ...${stats.read} systems read, ${systems.length} kept`);
+    }
+    if (!raw?.coords) continue;
+
+    const nearest = findNearestAnchor(raw.coords, anchors);
+    if (!nearest) continue;
+
+    const { system, rejected } = validateSystem(toSystemRecord(raw, nearest));
+    if (rejected) {
+      stats.rejected++;
+      continue;
+    }
+    if (seenNames.has(system.name)) {
+      stats.duplicates++;
+      continue;
+    }
+
+    seenNames.add(system.name);
+    systems.push(system);
+    stats.perAnchor.set(nearest.anchor.name, (stats.perAnchor.get(nearest.anchor.name) || 0) + 1);
+  }
+
+  return { systems, stats };
+}
+
+/**
+ * Yield one parsed system per line. Array brackets and trailing commas are
+ * stripped, so EDSM/Spansh array dumps and JSON lines read the same way.
+ */
+async function* readDump(dumpPath, stats = { malformed: 0 }) {
+  let input = fs.createReadStream(dumpPath);
+  if (dumpPath.endsWith('.gz')) {
+    input = input.pipe(zlib.createGunzip());
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    const text = line.trim().replace(/,$/, '');
+    if (!text || text === '[' || text === ']') continue;
+
+    try {
+      yield JSON.parse(text);
+    } catch {
+      stats.malformed++;
+    }
+  }
+}
+
+// The closest anchor whose radius contains the point, or null
+function findNearestAnchor(coords, anchors) {
+  let nearest = null;
+  for (const anchor of anchors) {
+    const dx = coords.x - anchor.coords.x;
+    const dy = coords.y - anchor.coords.y;
+    const dz = coords.z - anchor.coords.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (distance <= anchor.radius_ly && (!nearest || distance < nearest.distance)) {
+      nearest = { anchor, distance };
+    }
+  }
+  return nearest;
+}
+
+// Map EDSM or Spansh fields onto the combined_visualization_systems.json record shape
+function toSystemRecord(raw, { anchor, distance }) {
+  const information = raw.information && typeof raw.information === 'object' ? { ...raw.information } : {};
+  if (information.population === undefined && raw.population) {
+    information.population = raw.population;
+  }
+  const economy = raw.primaryEconomy || raw.economy;
+  if (information.economy === undefined && economy && economy !== 'None') {
+    information.economy = economy;
+  }
+
+  return {
+    distance: Math.round(distance * 100) / 100,
+    bodyCount: raw.bodyCount ?? (Array.isArray(raw.bodies) ? raw.bodies.length : undefined),
+    name: raw.name,
+    id: raw.id,
+    id64: raw.id64,
+    coords: raw.coords,
+    coordsLocked: raw.coordsLocked,
+    requirePermit: raw.requirePermit ?? raw.needsPermit,
+    information,
+    primaryStar: raw.primaryStar || findMainStar(raw.bodies),
+    anchor_system: anchor.name,
+    anchor_description: anchor.description,
+    permitName: raw.permitName ?? null
+  };
+}
+
+// Spansh dumps list bodies instead of a primaryStar block
+function findMainStar(bodies) {
+  if (!Array.isArray(bodies)) return undefined;
+  const star = bodies.find(body => body.type === 'Star' && body.mainStar) || bodies.find(body => body.type === 'Star');
+  if (!star) return undefined;
+  return {
+    type: star.subType || null,
+    name: star.name || null,
+    isScoopable: SCOOPABLE_STAR.test(star.subType || '')
+  };
+}
+
+// Keep the file being replaced in history/ next to it, for /api/visualization-data/diff
+async function archiveDatabase(file) {
+  if (!fs.existsSync(file)) return null;
+  const historyDir = path.join(path.dirname(file), 'history');
+  const archivePath = path.join(historyDir, `systems-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  await fs.promises.mkdir(historyDir, { recursive: true });
+  await fs.promises.copyFile(file, archivePath);
+  return archivePath;
+}
+
+// Write through a temp file; the server hot-reloads the output on rename
+async function writeDatabase(file, data) {
+  const tmpPath = `${file}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  await fs.promises.rename(tmpPath, file);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * OASIS Community Map - System database diff
+ * Compares two versions of combined_visualization_systems.json: added and
+ * removed systems, coordinate corrections, population and primary star changes.
+ *
+ * Usage:
+ *   node scripts/diff-systems.js <old.json> <new.json> [--json]
+ */
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { validateSystems } = require('../lib/systemsSchema');
+const { diffSystems, formatDiffSummary } = require('../lib/systemsDiff');
+
+const USAGE = `Usage: node scripts/diff-systems.js <old.json> <new.json> [options]
+
+Options:
+  --json      Print the full diff (every system and change) as JSON
+  --help      Show this message`;
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 2) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const [previous, next] = positionals.map(readSystems);
+  const diff = diffSystems(previous.systems, next.systems);
+
+  if (values.json) {
+    console.log(JSON.stringify({
+      from: { file: positionals[0], last_updated: previous.last_updated },
+      to: { file: positionals[1], last_updated: next.last_updated },
+      ...diff
+    }, null, 2));
+    return;
+  }
+
+  console.log(`📊 ${positionals[0]} (${previous.last_updated || 'unknown'}) → ${positionals[1]} (${next.last_updated || 'unknown'})`);
+  formatDiffSummary(diff, 5).forEach(line => console.log(`   ${line}`));
+}
+
+// Records are cleaned up the same way the server does, so repairs don't show up as changes
+function readSystems(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data.systems)) {
+    throw new Error(`${file} has no systems array`);
+  }
+  return { last_updated: data.last_updated || null, systems: validateSystems(data.systems).systems };
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
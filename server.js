@@ -6,6 +6,20 @@ const compression = require('compression');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { processSheetData } = require('./lib/sheetColumns');
+const { SheetsCache, hashValueRanges } = require('./lib/sheetsCache');
+const { LiveUpdates } = require('./lib/liveUpdates');
+const multer = require('multer');
+const { SystemNameIndex } = require('./lib/systemNames');
+const { requireAdminToken } = require('./lib/adminAuth');
+const routeFiles = require('./lib/routeFiles');
+const { loadCsv, loadSystemsPack, loadSpatialIndex, loadSheetsDiff } = require('./lib/sharedModules');
+const { buildDataHealthReport } = require('./lib/dataHealth');
+const { DataWatcher } = require('./lib/dataWatcher');
+const { validateSystems, logValidationReport } = require('./lib/systemsSchema');
+const { diffSystems } = require('./lib/systemsDiff');
 require('dotenv').config();
 
 const app = express();
@@ -28,13 +42,14 @@ app.use(helmet({
       styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
       fontSrc: ["'self'", "https://fonts.gstatic.com"],
       imgSrc: ["'self'", "data:", "https:"],
-      // Allow connections to Google Sheets API and Elite Dangerous databases
+      // Allow connections to Google Sheets API, Elite Dangerous databases and the Three.js CDN
       connectSrc: [
         "'self'", 
         "https://docs.google.com", 
         "https://sheets.googleapis.com",
         "https://eddb.io",
-        "https://www.edsm.net"
+        "https://www.edsm.net",
+        "https://unpkg.com"  // Service worker precaches the Three.js modules
       ]
     }
   }
@@ -49,33 +64,128 @@ const SHEET_ID = process.env.GOOGLE_SHEETS_ID;
 const SERVICE_ACCOUNT_EMAIL = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
 const PRIVATE_KEY = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
 
+// Sheet ranges fetched in one batchGet: route, fleet carriers, setup, haulers
+const SHEET_RANGES = [
+  'route!A:G',
+  'fc-manifest!A:G',
+  'setup!A:B',
+  'hauler-manifest!A:C'
+];
+
+// Last successful batchGet result, served when Google Sheets is unavailable
+const SHEETS_SNAPSHOT_DIR = process.env.SHEETS_SNAPSHOT_DIR
+  ? path.resolve(process.env.SHEETS_SNAPSHOT_DIR)
+  : path.join(__dirname, 'data', 'sheets');
+const SHEETS_SNAPSHOT_PATH = path.join(SHEETS_SNAPSHOT_DIR, 'snapshot.json');
+
+// Local stand-in for Google Sheets: a directory of <tab>.json / <tab>.csv files
+const MOCK_SHEETS_DIR = process.env.GOOGLE_SHEETS_MOCK_DIR
+  ? path.resolve(process.env.GOOGLE_SHEETS_MOCK_DIR)
+  : null;
+
+// Custom route CSVs, managed by hand or through the admin endpoints
+const ROUTES_DIR = path.join(__dirname, 'data', 'routes');
+// Limits for /api/systems/nearby
+const MAX_NEARBY_RADIUS = 500;
+const MAX_NEARBY_RESULTS = 1000;
+// Earlier system databases archived by scripts/build-systems.js, compared by /api/visualization-data/diff
+const SYSTEMS_HISTORY_DIR = path.join(__dirname, 'data', 'history');
+// Refuse to start (or reload) when any system record had to be rejected or repaired
+const STRICT_DATA_VALIDATION = process.env.STRICT_DATA_VALIDATION === 'true';
+const requireAdmin = requireAdminToken(process.env.ADMIN_API_TOKEN);
+const routeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv';
+    cb(isCsv ? null : new Error('Route file must be a .csv'), isCsv);
+  }
+}).single('file');
+
+// Server-side cache so page loads share one batchGet per TTL window
+const SHEETS_CACHE_TTL_SECONDS = parseInt(process.env.SHEETS_CACHE_TTL_SECONDS) || 60;
+const sheetsCache = new SheetsCache({
+  fetchValueRanges: () => fetchSheetValueRanges(),
+  ttlMs: SHEETS_CACHE_TTL_SECONDS * 1000,
+  // Persist the raw result so the map keeps working if Google goes away.
+  // Mock data never overwrites a snapshot of the real sheet.
+  onRefresh: entry => {
+    if (!MOCK_SHEETS_DIR) {
+      saveSheetsSnapshot(entry.valueRanges, entry.capturedAt);
+    }
+    // A diff or broadcast bug is not a Sheets failure, so it must not trigger backoff
+    publishSheetChanges(entry).catch(error => {
+      console.error('❌ Failed to publish sheet changes:', error);
+    });
+  }
+});
+
+// Open map clients receiving sheet change events over SSE
+const liveUpdates = new LiveUpdates();
+let liveSheetsState = null; // { hash, data } of the last processed sheet contents
+
 let sheetsAuth = null;
 let cachedVisualizationData = null;
+let packedVisualizationData = null; // { bytes, gzipped, etag } binary encoding of the system database
 let cachedAnchorSystems = null;
+let cachedSpecialSystemsCsv = null;
+let cachedSheetsSnapshot = null;
+let systemNameIndex = null; // SystemNameIndex over cachedVisualizationData
+let systemsSpatialIndex = null; // SpatialIndex over cachedVisualizationData, for /api/systems/nearby
+let systemsValidation = null; // Summary of the last validateSystems run, reported by /api/health
+let previousVisualizationData = null; // { last_updated, systems } replaced by the last hot reload
+let cachedSystemsDiff = null; // { key, baseline, diff } for /api/visualization-data/diff
+const csvParseErrors = {}; // Data file -> [{ line, message }], reported by /api/health
 
-// Load and cache visualization data at startup
+// Load and cache visualization data at startup and whenever the file changes.
+// Nothing is replaced unless the new file parses, so a bad edit keeps the old data.
 async function loadVisualizationData() {
   try {
     console.log('📊 Loading combined visualization data...');
     const vizData = await fs.readFile('data/combined_visualization_systems.json', 'utf8');
     const parsedData = JSON.parse(vizData);
+    if (!Array.isArray(parsedData.systems)) {
+      throw new Error('"systems" is missing or not an array');
+    }
+    
+    const { systems, report } = validateSystems(parsedData.systems);
+    logValidationReport(report);
+    if (STRICT_DATA_VALIDATION && report.issues.length > 0) {
+      throw new Error(`strict validation: ${report.rejected} rejected and ${report.repaired} repaired system records`);
+    }
+    parsedData.systems = systems;
     
     // Convert systems array to lookup object for efficient access
     const systemsLookup = {};
-    if (parsedData.systems && Array.isArray(parsedData.systems)) {
-      parsedData.systems.forEach(system => {
-        systemsLookup[system.name] = system;
-      });
-      
-      console.log(`🔍 Processed ${parsedData.systems.length} systems into lookup table`);
-      console.log('🔍 Sample system:', parsedData.systems[0]?.name, parsedData.systems[0]?.coords);
-    }
+    parsedData.systems.forEach(system => {
+      systemsLookup[system.name] = system;
+    });
+    
+    console.log(`🔍 Processed ${parsedData.systems.length} systems into lookup table`);
+    console.log('🔍 Sample system:', parsedData.systems[0]?.name, parsedData.systems[0]?.coords);
     
-    // Cache the processed data
+    const packed = await packVisualizationData(parsedData);
+    
+    // Swap everything together so no request sees a mix of old and new data
+    if (cachedVisualizationData && packedVisualizationData?.etag !== packed?.etag) {
+      previousVisualizationData = {
+        last_updated: cachedVisualizationData.last_updated || null,
+        systems: cachedVisualizationData.systems
+      };
+    }
     cachedVisualizationData = {
       ...parsedData,
       systemsLookup: systemsLookup
     };
+    systemNameIndex = null;
+    systemsSpatialIndex = null;
+    packedVisualizationData = packed;
+    systemsValidation = {
+      total: report.total,
+      accepted: report.accepted,
+      repaired: report.repaired,
+      rejected: report.rejected
+    };
     
     return cachedVisualizationData;
   } catch (error) {
@@ -84,6 +194,22 @@ async function loadVisualizationData() {
   }
 }
 
+// Encode the system database once so clients can skip downloading and parsing the JSON
+async function packVisualizationData(data) {
+  try {
+    const { encodeSystems } = await loadSystemsPack();
+    const bytes = Buffer.from(encodeSystems(data));
+    const gzipped = zlib.gzipSync(bytes, { level: 9 });
+    const etag = `"${crypto.createHash('sha1').update(bytes).digest('hex').slice(0, 16)}"`;
+
+    console.log(`📦 Packed ${data.systems?.length || 0} systems: ${Math.round(bytes.length / 1024)}KB (${Math.round(gzipped.length / 1024)}KB gzipped)`);
+    return { bytes, gzipped, etag };
+  } catch (error) {
+    console.error('❌ Failed to pack visualization data:', error);
+    return null;
+  }
+}
+
 async function initializeGoogleAuth() {
   try {
     if (!SERVICE_ACCOUNT_EMAIL || !PRIVATE_KEY) {
@@ -116,16 +242,9 @@ async function loadAnchorSystems() {
   
   try {
     const csvData = await fs.readFile('data/vis_anchor_systems.csv', 'utf8');
-    const lines = csvData.split('\n').slice(1); // Skip header
+    const rows = await parseDataCsv('data/vis_anchor_systems.csv', csvData);
     
-    cachedAnchorSystems = lines.filter(line => line.trim()).map(line => {
-      const [name, radius_ly, description] = line.split(',').map(s => s.trim());
-      return {
-        name,
-        radius_ly: parseInt(radius_ly) || 100,
-        description: description || ''
-      };
-    });
+    cachedAnchorSystems = toAnchorSystems(rows);
     
     return cachedAnchorSystems;
   } catch (error) {
@@ -134,10 +253,111 @@ async function loadAnchorSystems() {
   }
 }
 
+function toAnchorSystems(rows) {
+  return rows.slice(1).map(([name, radius_ly, description]) => ({
+    name,
+    radius_ly: parseInt(radius_ly) || 100,
+    description: description || ''
+  }));
+}
+
+// Raw special systems CSV, read once and replaced when the file changes
+async function getSpecialSystemsCsv() {
+  if (cachedSpecialSystemsCsv === null) {
+    cachedSpecialSystemsCsv = await fs.readFile(path.join(__dirname, 'data', 'special_systems.csv'), 'utf8');
+  }
+  return cachedSpecialSystemsCsv;
+}
+
+// Data files reloaded when they change on disk. Each reloader throws to keep
+// the copy already in memory and returns a description for connected clients.
+const DATA_FILE_RELOADERS = {
+  'combined_visualization_systems.json': async () => {
+    const data = await loadVisualizationData();
+    if (!data) {
+      throw new Error('file could not be loaded, keeping the previous system database');
+    }
+    return { dataset: 'systems', version: data.last_updated || null };
+  },
+  'vis_anchor_systems.csv': async () => {
+    const file = 'data/vis_anchor_systems.csv';
+    const { rows, errors } = await parseCsvWithErrors(file, await fs.readFile(file, 'utf8'));
+    const anchors = toAnchorSystems(rows);
+    // A half-parsed file would drop regions
+    if (errors.length > 0 || anchors.length === 0) {
+      throw new Error('file has errors, keeping the previous anchor systems');
+    }
+    cachedAnchorSystems = anchors;
+    setCsvErrors(file, errors);
+    return { dataset: 'anchors' };
+  },
+  'special_systems.csv': async () => {
+    const file = 'data/special_systems.csv';
+    const csvData = await fs.readFile(file, 'utf8');
+    const { errors } = await parseCsvWithErrors(file, csvData);
+    if (errors.length > 0) {
+      throw new Error('file has errors, keeping the previous special systems');
+    }
+    cachedSpecialSystemsCsv = csvData;
+    setCsvErrors(file, errors);
+    return { dataset: 'specialSystems' };
+  }
+};
+
+// Reload a changed data file and tell open maps to refresh
+async function handleDataFileChange(file) {
+  let change = null;
+  if (DATA_FILE_RELOADERS[file]) {
+    if (!fsSync.existsSync(path.join(__dirname, 'data', file))) {
+      console.warn(`⚠️ data/${file} was removed, keeping the copy in memory`);
+      return;
+    }
+    try {
+      change = await DATA_FILE_RELOADERS[file]();
+    } catch (error) {
+      console.error(`❌ Reload of data/${file} failed: ${error.message}`);
+      return;
+    }
+  } else if (file.startsWith('routes/') && file.endsWith('.csv')) {
+    // Custom routes are read per request; only clients need to hear about it
+    change = { dataset: 'customRoutes' };
+  } else {
+    return;
+  }
+
+  console.log(`🔄 Reloaded data/${file}, notifying ${liveUpdates.clientCount} live clients`);
+  liveUpdates.broadcast('dataReloaded', { file, ...change, reloadedAt: new Date().toISOString() });
+}
+
+// Parse a data CSV into rows and line-numbered errors, logging but not recording them
+async function parseCsvWithErrors(file, csvData) {
+  const { parseCSV, formatCSVError } = await loadCsv();
+  const { rows, errors } = parseCSV(csvData);
+  errors.forEach(error => console.warn(`⚠️ ${file} ${formatCSVError(error)}`));
+  return { rows, errors };
+}
+
+// Report a file's parse errors in /api/health. Only called for rows actually in
+// use, so a rejected reload doesn't describe data the server isn't serving.
+function setCsvErrors(file, errors) {
+  if (errors.length > 0) {
+    csvParseErrors[file] = errors;
+  } else {
+    delete csvParseErrors[file];
+  }
+}
+
+// Parse a data CSV whose rows are used right away, recording its errors
+async function parseDataCsv(file, csvData) {
+  const { rows, errors } = await parseCsvWithErrors(file, csvData);
+  setCsvErrors(file, errors);
+  return rows;
+}
+
 // Load custom route files
 async function loadCustomRoutes() {
   try {
-    const routesPath = 'data/routes';
+    const routesPath = ROUTES_DIR;
     
     // Check if routes directory exists
     if (!fsSync.existsSync(routesPath)) {
@@ -148,6 +368,11 @@ async function loadCustomRoutes() {
     const files = await fs.readdir(routesPath);
     const csvFiles = files.filter(file => file.endsWith('.csv'));
     
+    // Drop errors for route files that have since been fixed, renamed or deleted
+    Object.keys(csvParseErrors)
+      .filter(file => file.startsWith('data/routes/'))
+      .forEach(file => delete csvParseErrors[file]);
+    
     if (csvFiles.length === 0) {
       console.log('📍 No CSV route files found');
       return {};
@@ -159,19 +384,16 @@ async function loadCustomRoutes() {
       try {
         const filePath = path.join(routesPath, file);
         const csvData = await fs.readFile(filePath, 'utf8');
-        const lines = csvData.split('\n').slice(1); // Skip header
+        const rows = await parseDataCsv(`data/routes/${file}`, csvData);
         
         const routeName = path.basename(file, '.csv');
-        customRoutes[routeName] = lines
-          .filter(line => line.trim())
-          .map(line => {
-            const [id, systemName, status] = line.split(',').map(s => s.trim());
-            return {
-              id: id || '',
-              system_name: systemName || '',
-              status: status || ''
-            };
-          });
+        customRoutes[routeName] = rows
+          .slice(1) // Skip header
+          .map(([id, systemName, status]) => ({
+            id: id || '',
+            system_name: systemName || '',
+            status: status || ''
+          }));
         
         console.log(`📍 Loaded custom route "${routeName}" with ${customRoutes[routeName].length} systems`);
       } catch (fileError) {
@@ -191,7 +413,13 @@ app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    sheetsAuth: !!sheetsAuth
+    sheetsAuth: !!sheetsAuth,
+    sheetsMock: !!MOCK_SHEETS_DIR,
+    sheetsCache: sheetsCache.getStatus(),
+    liveClients: liveUpdates.clientCount,
+    sheetsSnapshot: cachedSheetsSnapshot?.capturedAt || null,
+    csvErrors: csvParseErrors,
+    systemsValidation
   });
 });
 
@@ -206,86 +434,245 @@ app.get('/api/anchor-systems', async (req, res) => {
 });
 
 app.get('/api/sheets-data', async (req, res) => {
-  if (!sheetsAuth) {
-    return res.status(503).json({ error: 'Google Sheets not configured' });
+  if (!sheetsAuth && !MOCK_SHEETS_DIR) {
+    return sendSheetsSnapshot(req, res, 503, 'Google Sheets not configured');
   }
 
   try {
-    const sheets = google.sheets({ version: 'v4', auth: sheetsAuth });
-    
-    // Define sheet ranges for different data types
-    const ranges = [
-      'route!A:G',      // Route data
-      'fc-manifest!A:G', // Fleet carrier data
-      'setup!A:B',      // Setup configuration
-      'hauler-manifest!A:C' // Hauler data
-    ];
-
-    const batchResponse = await sheets.spreadsheets.values.batchGet({
-      spreadsheetId: SHEET_ID,
-      ranges: ranges
-    });
+    const entry = await sheetsCache.get();
+    if (!entry) {
+      return sendSheetsSnapshot(req, res, 500, 'Failed to fetch sheet data');
+    }
 
-    const [routeData, fcData, setupData, haulerData] = batchResponse.data.valueRanges;
+    sendSheetsData(req, res, entry, sheetsCache.isStale());
+  } catch (error) {
+    console.error('Error fetching sheet data:', error);
+    sendSheetsSnapshot(req, res, 500, 'Failed to fetch sheet data');
+  }
+});
 
-    // Process route data
-    const processedRoute = processSheetData(routeData.values, [
-      '#', 'system_name', 'claimed?_', 'completed?_', 'architect?_', 'assigned_fc'
-    ]);
+// Live stream of sheet changes (route claims/completions, carrier moves)
+app.get('/api/live', (req, res) => {
+  liveUpdates.handleConnection(req, res, {
+    lastUpdated: sheetsCache.entry?.capturedAt || null
+  });
+});
 
-    // Process fleet carrier data
-    const processedFC = processSheetData(fcData.values, [
-      'callsign', 'name', 'owner_', 'status', 'timestamp', 'location'
-    ]);
+// Diff a freshly fetched sheet against the previous one and push the changes
+async function publishSheetChanges(entry) {
+  const { diffSheetsData } = await loadSheetsDiff();
+  const data = buildSheetsResponse(entry.valueRanges);
+  const previous = liveSheetsState;
+  liveSheetsState = { hash: entry.hash, data };
 
-    // Process setup data
-    const processedSetup = processSheetData(setupData.values, [
-      'expedition_name:', 'osc_iii_'
-    ]);
+  if (!previous || previous.hash === entry.hash) return;
 
-    // Process hauler data
-    const processedHauler = processSheetData(haulerData.values, [
-      'name', 'tons_hauled', 'last_action'
-    ]);
+  const events = diffSheetsData(previous.data, data);
+  if (events.length === 0) return;
 
-    res.json({
-      route: processedRoute,
-      fleetCarriers: processedFC,
-      setup: processedSetup,
-      haulers: processedHauler,
-      lastUpdated: new Date().toISOString()
+  console.log(`📡 Broadcasting ${events.length} sheet changes to ${liveUpdates.clientCount} live clients`);
+  liveUpdates.broadcast('changes', {
+    lastUpdated: entry.capturedAt,
+    events
+  });
+}
+
+// Poll the sheet while maps are open; get() only refreshes once the cache expires
+function startLivePolling() {
+  setInterval(() => {
+    if (liveUpdates.clientCount > 0 && (sheetsAuth || MOCK_SHEETS_DIR)) {
+      sheetsCache.get();
+    }
+  }, SHEETS_CACHE_TTL_SECONDS * 1000).unref();
+}
+
+// Send sheet data with an ETag on the sheet contents so unchanged data
+// revalidates with a 304; fresh data may be cached until the server refreshes
+function sendSheetsData(req, res, entry, stale) {
+  entry.hash ||= hashValueRanges(entry.valueRanges);
+  res.set('ETag', `W/"${entry.hash}${stale ? '-stale' : ''}"`);
+  res.set('Cache-Control', stale
+    ? 'no-cache'
+    : `public, max-age=${sheetsCache.secondsUntilExpiry()}, stale-while-revalidate=${SHEETS_CACHE_TTL_SECONDS}`);
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.json({
+    ...buildSheetsResponse(entry.valueRanges),
+    lastUpdated: entry.capturedAt,
+    stale,
+    ...(stale && { snapshotCapturedAt: entry.capturedAt }),
+    mock: !!MOCK_SHEETS_DIR
+  });
+}
+
+// Fetch the raw value ranges for SHEET_RANGES from Google or the mock directory
+async function fetchSheetValueRanges() {
+  if (MOCK_SHEETS_DIR) {
+    return loadMockSheetValueRanges();
+  }
+
+  const sheets = google.sheets({ version: 'v4', auth: sheetsAuth });
+
+  const batchResponse = await sheets.spreadsheets.values.batchGet({
+    spreadsheetId: SHEET_ID,
+    ranges: SHEET_RANGES
+  });
+
+  return batchResponse.data.valueRanges;
+}
+
+// Build batchGet-shaped value ranges from the tab files in MOCK_SHEETS_DIR.
+// Each tab is read from <tab>.json (a valueRange object or a 2D array) or
+// <tab>.csv, and trimmed to the columns its range covers.
+async function loadMockSheetValueRanges() {
+  const valueRanges = [];
+
+  for (const range of SHEET_RANGES) {
+    const [tab, columns] = range.split('!');
+    const columnCount = getRangeColumnCount(columns);
+    let values = [];
+
+    try {
+      values = await readMockSheetTab(tab);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn(`⚠️ No mock data for sheet tab "${tab}" in ${MOCK_SHEETS_DIR}`);
+      } else {
+        throw new Error(`Failed to read mock sheet tab "${tab}": ${error.message}`);
+      }
+    }
+
+    valueRanges.push({
+      range,
+      majorDimension: 'ROWS',
+      values: values.map(row => row.slice(0, columnCount).map(cell => String(cell ?? '')))
     });
+  }
+
+  return valueRanges;
+}
+
+async function readMockSheetTab(tab) {
+  const jsonPath = path.join(MOCK_SHEETS_DIR, `${tab}.json`);
+  if (fsSync.existsSync(jsonPath)) {
+    const parsed = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+    const values = Array.isArray(parsed) ? parsed : parsed.values;
+    if (!Array.isArray(values)) {
+      throw new Error(`${tab}.json must be a 2D array or an object with a "values" array`);
+    }
+    return values;
+  }
+
+  const csvData = await fs.readFile(path.join(MOCK_SHEETS_DIR, `${tab}.csv`), 'utf8');
+  return parseDataCsv(`${tab}.csv (mock)`, csvData);
+}
+
+// Number of columns covered by an A1 column span such as "A:G"
+function getRangeColumnCount(columns) {
+  const toIndex = letters => [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+  const [first, last] = columns.split(':');
+  return toIndex(last) - toIndex(first) + 1;
+}
 
+// Turn the raw batchGet value ranges into the API response shape
+function buildSheetsResponse(valueRanges) {
+  const [routeData, fcData, setupData, haulerData] = valueRanges;
+  const warnings = [];
+
+  const mapTab = (tab, valueRange) => {
+    const { rows, warnings: tabWarnings } = processSheetData(tab, valueRange?.values);
+    warnings.push(...tabWarnings);
+    return rows;
+  };
+
+  return {
+    route: mapTab('route', routeData),
+    fleetCarriers: mapTab('fc-manifest', fcData),
+    setup: mapTab('setup', setupData),
+    haulers: mapTab('hauler-manifest', haulerData),
+    warnings
+  };
+}
+
+// Serve the last good snapshot, or fall back to the original error response
+function sendSheetsSnapshot(req, res, status, error) {
+  if (!cachedSheetsSnapshot) {
+    return res.status(status).json({ error });
+  }
+
+  console.warn(`⚠️ ${error} - serving sheets snapshot from ${cachedSheetsSnapshot.capturedAt}`);
+  sendSheetsData(req, res, cachedSheetsSnapshot, true);
+}
+
+// Write the latest batchGet result to data/sheets/ (temp file + rename so a
+// crash mid-write never leaves a truncated snapshot behind)
+async function saveSheetsSnapshot(valueRanges, capturedAt) {
+  const snapshot = {
+    capturedAt,
+    ranges: SHEET_RANGES,
+    valueRanges
+  };
+
+  try {
+    await fs.mkdir(SHEETS_SNAPSHOT_DIR, { recursive: true });
+    const tempPath = `${SHEETS_SNAPSHOT_PATH}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.rename(tempPath, SHEETS_SNAPSHOT_PATH);
+    cachedSheetsSnapshot = snapshot;
   } catch (error) {
-    console.error('Error fetching sheet data:', error);
-    res.status(500).json({ error: 'Failed to fetch sheet data' });
+    console.error('❌ Failed to save sheets snapshot:', error);
   }
-});
+}
 
-// Helper function to process sheet data
-function processSheetData(values, headers) {
-  if (!values || values.length < 2) return [];
-  
-  const actualHeaders = values[0];
-  const rows = values.slice(1);
-  
-  return rows.map(row => {
-    const obj = {};
-    headers.forEach((header, index) => {
-      obj[header] = row[index] || '';
-    });
-    return obj;
-  });
+// Load the latest sheets snapshot from disk
+async function loadSheetsSnapshot() {
+  try {
+    const snapshotData = await fs.readFile(SHEETS_SNAPSHOT_PATH, 'utf8');
+    const snapshot = JSON.parse(snapshotData);
+
+    if (!Array.isArray(snapshot.valueRanges)) {
+      console.warn('⚠️ Ignoring malformed sheets snapshot');
+      return null;
+    }
+
+    cachedSheetsSnapshot = snapshot;
+    console.log(`📸 Loaded sheets snapshot captured at ${snapshot.capturedAt}`);
+    return snapshot;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to load sheets snapshot:', error);
+    }
+    return null;
+  }
 }
 
+// data/sheets/ holds a raw copy of the private sheet; keep it off the static
+// mount. The path is decoded and resolved so %-encoded or ../ variants and
+// case-insensitive filesystems can't reach it either.
+app.use('/data', (req, res, next) => {
+  let requested;
+  try {
+    requested = path.resolve(__dirname, 'data', '.' + decodeURIComponent(req.path)).toLowerCase();
+  } catch (error) {
+    return next(); // malformed escape; express.static rejects it with 400
+  }
+  const snapshotDir = SHEETS_SNAPSHOT_DIR.toLowerCase();
+  if (requested === snapshotDir || requested.startsWith(snapshotDir + path.sep)) {
+    return res.status(404).end();
+  }
+  next();
+});
+
 // Serve static files from data directory
 app.use('/data', express.static('data'));
 
 // Add API endpoint for special systems CSV
 app.get('/api/special-systems', async (req, res) => {
   try {
-    const csvPath = path.join(__dirname, 'data', 'special_systems.csv');
-    const csvData = fsSync.readFileSync(csvPath, 'utf-8');
+    const csvData = await getSpecialSystemsCsv();
     res.type('text/csv');
     res.send(csvData);
   } catch (error) {
@@ -297,16 +684,12 @@ app.get('/api/special-systems', async (req, res) => {
 // Add API endpoint to serve combined visualization data
 app.get('/api/visualization-data', async (req, res) => {
   try {
-    // Return cached data if available
-    if (cachedVisualizationData) {
-      res.json(cachedVisualizationData);
-      return;
-    }
-    
-    // If not cached, load it now
-    const data = await loadVisualizationData();
+    // Load now if startup loading failed
+    const data = cachedVisualizationData || await loadVisualizationData();
     if (data) {
-      res.json(data);
+      // systemsLookup is a server-side index; clients build their own from systems
+      const { systemsLookup, ...clientData } = data;
+      res.json(clientData);
     } else {
       res.status(500).json({ error: 'Failed to load visualization data' });
     }
@@ -316,6 +699,197 @@ app.get('/api/visualization-data', async (req, res) => {
   }
 });
 
+// Cheap version check for clients holding a cached copy of the database
+app.get('/api/visualization-data/version', (req, res) => {
+  if (!cachedVisualizationData) {
+    return res.status(503).json({ error: 'Visualization data not loaded' });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.json({
+    // last_updated identifies the dataset; the content hash covers files without one
+    version: cachedVisualizationData.last_updated || packedVisualizationData?.etag.replace(/"/g, '') || null,
+    last_updated: cachedVisualizationData.last_updated || null,
+    systems: cachedVisualizationData.systems?.length || 0
+  });
+});
+
+// Same database in the packed binary format (see public/js/systemsPack.js)
+app.get('/api/visualization-data/packed', async (req, res) => {
+  try {
+    if (!packedVisualizationData) {
+      await loadVisualizationData();
+    }
+    if (!packedVisualizationData) {
+      return res.status(500).json({ error: 'Failed to load visualization data' });
+    }
+
+    const { bytes, gzipped, etag } = packedVisualizationData;
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+      'ETag': etag,
+      'Vary': 'Accept-Encoding'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // Pre-compressed at load time, so compression() leaves it alone
+    if (req.acceptsEncodings('gzip')) {
+      res.set('Content-Encoding', 'gzip');
+      return res.send(gzipped);
+    }
+    res.send(bytes);
+  } catch (error) {
+    console.error('❌ Failed to serve packed visualization data:', error);
+    res.status(500).json({ error: 'Failed to serve visualization data' });
+  }
+});
+
+// What changed since an earlier version of the database: ?against=<archive file>,
+// otherwise the copy replaced by the last hot reload, otherwise the newest archive
+app.get('/api/visualization-data/diff', async (req, res) => {
+  if (!cachedVisualizationData) {
+    return res.status(503).json({ error: 'Visualization data not loaded' });
+  }
+
+  try {
+    const versions = await listSystemsHistory();
+    const against = req.query.against ? String(req.query.against) : null;
+    const source = against || (previousVisualizationData ? 'previous load' : versions[0]);
+    if (!source || (source !== 'previous load' && !versions.includes(source))) {
+      return res.status(404).json({
+        error: against ? `Unknown database version: ${against}` : 'No earlier database version to compare against',
+        versions
+      });
+    }
+
+    const key = `${source}|${source === 'previous load' ? previousVisualizationData.last_updated : ''}|${packedVisualizationData?.etag}`;
+    if (cachedSystemsDiff?.key !== key) {
+      const baseline = source === 'previous load' ? previousVisualizationData : await loadArchivedSystems(source);
+      cachedSystemsDiff = {
+        key,
+        baseline: { source, last_updated: baseline.last_updated },
+        diff: diffSystems(baseline.systems, cachedVisualizationData.systems)
+      };
+    }
+
+    res.json({
+      from: cachedSystemsDiff.baseline,
+      to: { last_updated: cachedVisualizationData.last_updated || null },
+      versions,
+      ...cachedSystemsDiff.diff
+    });
+  } catch (error) {
+    console.error('❌ Failed to diff visualization data:', error);
+    res.status(500).json({ error: 'Failed to diff visualization data' });
+  }
+});
+
+// Archived database files, newest first (names start with the archive time)
+async function listSystemsHistory() {
+  try {
+    const files = await fs.readdir(SYSTEMS_HISTORY_DIR);
+    return files.filter(file => file.endsWith('.json')).sort().reverse();
+  } catch (error) {
+    return [];
+  }
+}
+
+async function loadArchivedSystems(file) {
+  const data = JSON.parse(await fs.readFile(path.join(SYSTEMS_HISTORY_DIR, file), 'utf8'));
+  // Same record cleanup as the live database, so repairs don't show up as changes
+  const { systems } = validateSystems(Array.isArray(data.systems) ? data.systems : []);
+  return { last_updated: data.last_updated || null, systems };
+}
+
+// Systems near a named system or a point, nearest first, with optional filters:
+// ?system=<name>|x=&y=&z=, radius (LY), starType (comma-separated prefixes),
+// minPopulation, maxPopulation, anchor (name or region), scoopable, limit
+app.get('/api/systems/nearby', async (req, res) => {
+  const nameIndex = getSystemNameIndex();
+  if (!nameIndex) {
+    return res.status(503).json({ error: 'Visualization data not loaded' });
+  }
+
+  const radius = Number(req.query.radius ?? 20);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS) {
+    return res.status(400).json({ error: `radius must be a number of light years between 0 and ${MAX_NEARBY_RADIUS}` });
+  }
+  const limit = Number(req.query.limit ?? 100);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NEARBY_RESULTS) {
+    return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_NEARBY_RESULTS}` });
+  }
+
+  let center;
+  let centerName = null;
+  if (req.query.system) {
+    centerName = nameIndex.resolve(String(req.query.system));
+    if (!centerName) {
+      return res.status(404).json({
+        error: `Unknown system: ${req.query.system}`,
+        suggestions: nameIndex.suggest(String(req.query.system))
+      });
+    }
+    center = cachedVisualizationData.systemsLookup[centerName].coords;
+  } else {
+    center = { x: Number(req.query.x), y: Number(req.query.y), z: Number(req.query.z) };
+    if (![center.x, center.y, center.z].every(Number.isFinite)) {
+      return res.status(400).json({ error: 'Provide system=<name> or numeric x, y and z' });
+    }
+  }
+
+  const optionalNumber = (value) => value === undefined || value === '' ? null : Number(value);
+  const criteria = {
+    starTypes: req.query.starType ? String(req.query.starType).split(',') : [],
+    minPopulation: optionalNumber(req.query.minPopulation),
+    maxPopulation: optionalNumber(req.query.maxPopulation),
+    anchor: req.query.anchor ? String(req.query.anchor) : null,
+    scoopable: req.query.scoopable === undefined ? null : req.query.scoopable === 'true'
+  };
+  if ([criteria.minPopulation, criteria.maxPopulation].some(value => value !== null && !Number.isFinite(value))) {
+    return res.status(400).json({ error: 'minPopulation and maxPopulation must be numbers' });
+  }
+
+  try {
+    const { createSystemFilter } = await loadSpatialIndex();
+    const index = await getSystemsSpatialIndex();
+    const matches = index.within(center, radius, {
+      filter: createSystemFilter(criteria),
+      exclude: centerName,
+      limit
+    });
+
+    res.json({
+      center: { name: centerName, coords: center },
+      radius,
+      count: matches.length,
+      systems: matches.map(({ system, distance }) => ({
+        name: system.name,
+        distance: Math.round(distance * 100) / 100,
+        coords: system.coords,
+        primaryStar: system.primaryStar || null,
+        population: system.information?.population || 0,
+        anchor_system: system.anchor_system || null,
+        anchor_description: system.anchor_description || null
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Failed to find nearby systems:', error);
+    res.status(500).json({ error: 'Failed to find nearby systems' });
+  }
+});
+
+// Build the spatial index lazily from the loaded system database
+async function getSystemsSpatialIndex() {
+  if (!systemsSpatialIndex) {
+    const { SpatialIndex } = await loadSpatialIndex();
+    systemsSpatialIndex = new SpatialIndex(cachedVisualizationData.systems);
+  }
+  return systemsSpatialIndex;
+}
+
 // API endpoint for custom routes
 app.get('/api/custom-routes', async (req, res) => {
   try {
@@ -327,6 +901,181 @@ app.get('/api/custom-routes', async (req, res) => {
   }
 });
 
+// Cross-check system names in every data source against the coordinate database
+app.get('/api/data-health', async (req, res) => {
+  try {
+    const [sheets, customRoutes, anchors, specialSystems] = await Promise.all([
+      getCurrentSheetsData(),
+      loadCustomRoutes(),
+      loadAnchorSystems(),
+      loadSpecialSystems()
+    ]);
+
+    const report = buildDataHealthReport({
+      nameIndex: getSystemNameIndex(),
+      sources: { sheets, customRoutes, anchors, specialSystems }
+    });
+
+    res.json({ ...report, csvErrors: csvParseErrors });
+  } catch (error) {
+    console.error('❌ Failed to build data health report:', error);
+    res.status(500).json({ error: 'Failed to build data health report' });
+  }
+});
+
+// Processed sheet data from the cache, or the snapshot when Sheets isn't configured
+async function getCurrentSheetsData() {
+  const entry = (sheetsAuth || MOCK_SHEETS_DIR) ? await sheetsCache.get() : cachedSheetsSnapshot;
+  return entry ? buildSheetsResponse(entry.valueRanges) : null;
+}
+
+// Special systems as records keyed by header (system_name, category, alias, color)
+async function loadSpecialSystems() {
+  try {
+    const csvData = await getSpecialSystemsCsv();
+    const [headers = [], ...rows] = await parseDataCsv('data/special_systems.csv', csvData);
+    return rows.map(values => Object.fromEntries(headers.map((header, i) => [header, values[i] ?? ''])));
+  } catch (error) {
+    console.error('❌ Error loading special systems:', error);
+    return [];
+  }
+}
+
+// Build the name index lazily from the loaded system database
+function getSystemNameIndex() {
+  if (!systemNameIndex && cachedVisualizationData?.systemsLookup) {
+    systemNameIndex = new SystemNameIndex(Object.keys(cachedVisualizationData.systemsLookup));
+  }
+  return systemNameIndex;
+}
+
+// Run multer and turn its errors (size limit, wrong type) into 400s
+function handleRouteUpload(req, res, next) {
+  routeUpload(req, res, error => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Missing "file" field with the route CSV' });
+    }
+    next();
+  });
+}
+
+// Validate an uploaded route against the database and write it, or explain why not.
+// Unknown systems reject the upload unless ?allowUnknown=true.
+async function saveUploadedRoute(req, res, name, status) {
+  const nameIndex = getSystemNameIndex();
+  if (!nameIndex) {
+    return res.status(503).json({ error: 'System database not loaded, cannot validate route' });
+  }
+
+  const { rows, report, unknownCount, error, errors } = await routeFiles.validateRouteCsv(req.file.buffer.toString('utf8'), nameIndex);
+  if (error) {
+    return res.status(400).json({ error, errors, report });
+  }
+
+  const allowUnknown = req.query.allowUnknown === 'true';
+  if (unknownCount > 0 && !allowUnknown) {
+    return res.status(422).json({
+      error: `${unknownCount} of ${rows.length} systems not found in the coordinate database`,
+      route: name,
+      saved: false,
+      unknownCount,
+      report
+    });
+  }
+
+  await routeFiles.writeRouteFile(ROUTES_DIR, name, rows);
+  console.log(`📍 Saved custom route "${name}" with ${rows.length} systems (${unknownCount} unknown)`);
+  res.status(status).json({ route: name, saved: true, systems: rows.length, unknownCount, report });
+}
+
+function getRouteNameParam(req, res) {
+  const { name } = req.params;
+  if (!routeFiles.isValidRouteName(name)) {
+    res.status(400).json({ error: 'Route names may only contain letters, digits, "-" and "_"' });
+    return null;
+  }
+  return name;
+}
+
+// Upload a new route: multipart "file", optional "name" (defaults to the file name)
+app.post('/api/custom-routes', requireAdmin, handleRouteUpload, async (req, res) => {
+  try {
+    const name = req.body.name || path.basename(req.file.originalname, path.extname(req.file.originalname));
+    if (!routeFiles.isValidRouteName(name)) {
+      return res.status(400).json({ error: 'Route names may only contain letters, digits, "-" and "_"' });
+    }
+    if (await routeFiles.routeFileExists(ROUTES_DIR, name)) {
+      return res.status(409).json({ error: `Route "${name}" already exists, use PUT to replace it` });
+    }
+
+    await saveUploadedRoute(req, res, name, 201);
+  } catch (error) {
+    console.error('❌ Failed to upload custom route:', error);
+    res.status(500).json({ error: 'Failed to save custom route' });
+  }
+});
+
+// Replace an existing route's CSV
+app.put('/api/custom-routes/:name', requireAdmin, handleRouteUpload, async (req, res) => {
+  try {
+    const name = getRouteNameParam(req, res);
+    if (!name) return;
+    if (!await routeFiles.routeFileExists(ROUTES_DIR, name)) {
+      return res.status(404).json({ error: `Route "${name}" not found` });
+    }
+
+    await saveUploadedRoute(req, res, name, 200);
+  } catch (error) {
+    console.error('❌ Failed to replace custom route:', error);
+    res.status(500).json({ error: 'Failed to save custom route' });
+  }
+});
+
+// Rename a route: JSON body { "name": "new_name" }
+app.patch('/api/custom-routes/:name', requireAdmin, async (req, res) => {
+  try {
+    const name = getRouteNameParam(req, res);
+    if (!name) return;
+    const newName = req.body?.name;
+    if (!routeFiles.isValidRouteName(newName)) {
+      return res.status(400).json({ error: 'Body must include a new "name" of letters, digits, "-" and "_"' });
+    }
+    if (!await routeFiles.routeFileExists(ROUTES_DIR, name)) {
+      return res.status(404).json({ error: `Route "${name}" not found` });
+    }
+    if (await routeFiles.routeFileExists(ROUTES_DIR, newName)) {
+      return res.status(409).json({ error: `Route "${newName}" already exists` });
+    }
+
+    await routeFiles.renameRouteFile(ROUTES_DIR, name, newName);
+    console.log(`📍 Renamed custom route "${name}" to "${newName}"`);
+    res.json({ route: newName, previousName: name });
+  } catch (error) {
+    console.error('❌ Failed to rename custom route:', error);
+    res.status(500).json({ error: 'Failed to rename custom route' });
+  }
+});
+
+app.delete('/api/custom-routes/:name', requireAdmin, async (req, res) => {
+  try {
+    const name = getRouteNameParam(req, res);
+    if (!name) return;
+    if (!await routeFiles.routeFileExists(ROUTES_DIR, name)) {
+      return res.status(404).json({ error: `Route "${name}" not found` });
+    }
+
+    await routeFiles.deleteRouteFile(ROUTES_DIR, name);
+    console.log(`📍 Deleted custom route "${name}"`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Failed to delete custom route:', error);
+    res.status(500).json({ error: 'Failed to delete custom route' });
+  }
+});
+
 // Serve main application
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -335,16 +1084,43 @@ app.get('/', (req, res) => {
 // Start server
 async function startServer() {
   // Initialize authentication and load data at startup
-  await initializeGoogleAuth();
+  if (MOCK_SHEETS_DIR) {
+    console.log(`🧪 Using mock Google Sheets data from ${MOCK_SHEETS_DIR}`);
+  } else {
+    await initializeGoogleAuth();
+  }
+  await loadSheetsSnapshot();
+  if (cachedSheetsSnapshot && !MOCK_SHEETS_DIR) {
+    sheetsCache.seed(cachedSheetsSnapshot);
+    liveSheetsState = {
+      hash: sheetsCache.entry.hash,
+      data: buildSheetsResponse(cachedSheetsSnapshot.valueRanges)
+    };
+  }
+  if (sheetsAuth || MOCK_SHEETS_DIR) {
+    await sheetsCache.refresh();
+  }
+  startLivePolling();
   await loadVisualizationData();
+  if (STRICT_DATA_VALIDATION && !cachedVisualizationData) {
+    console.error('❌ STRICT_DATA_VALIDATION is on and the system database failed validation, refusing to start');
+    process.exit(1);
+  }
   await loadAnchorSystems();
   
+  // Pick up edits to data files without a restart
+  new DataWatcher(path.join(__dirname, 'data'), {
+    subdirectories: ['routes'],
+    onChange: handleDataFileChange
+  }).start();
+  
   app.listen(PORT, () => {
     console.log(`🚀 OASIS Community Map running on port ${PORT}`);
-    console.log(`📊 Google Sheets: ${sheetsAuth ? 'Connected' : 'Not configured'}`);
+    console.log(`📊 Google Sheets: ${MOCK_SHEETS_DIR ? 'Mock' : sheetsAuth ? 'Connected' : 'Not configured'}`);
     console.log(`🌐 Access at: http://localhost:${PORT}`);
     console.log(`✅ Visualization data cached: ${cachedVisualizationData ? 'Yes' : 'No'}`);
     console.log(`✅ Anchor systems cached: ${cachedAnchorSystems ? 'Yes' : 'No'}`);
+    console.log(`📸 Sheets snapshot: ${cachedSheetsSnapshot ? cachedSheetsSnapshot.capturedAt : 'None'}`);
   });
 }
 
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+
+const { diffSystems, formatDiffSummary } = require('../lib/systemsDiff');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'build-systems.js');
+
+// Run the builder in a fresh directory holding an anchors CSV and a dump
+function build(dumpLines, args = [], { gzip = false, previous = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-systems-'));
+  const dumpPath = path.join(dir, gzip ? 'dump.json.gz' : 'dump.json');
+  const text = ['[', ...dumpLines.map(line => (typeof line === 'string' ? line : JSON.stringify(line)) + ','), ']'].join('\n');
+  fs.writeFileSync(dumpPath, gzip ? zlib.gzipSync(text) : text);
+  fs.writeFileSync(path.join(dir, 'anchors.csv'), 'name,radius_ly,description\nAlpha,20,First region\nBeta,,\n');
+  const out = path.join(dir, 'systems.json');
+  if (previous) fs.writeFileSync(out, JSON.stringify(previous));
+
+  const run = spawnSync(process.execPath, [SCRIPT, dumpPath, '--anchors', path.join(dir, 'anchors.csv'), '--out', out, ...args], { encoding: 'utf8' });
+  const written = fs.existsSync(out) ? JSON.parse(fs.readFileSync(out, 'utf8')) : null;
+  const history = fs.existsSync(path.join(dir, 'history')) ? fs.readdirSync(path.join(dir, 'history')) : [];
+  fs.rmSync(dir, { recursive: true, force: true });
+  return { ...run, written, history };
+}
+
+const dump = [
+  { name: 'Alpha', id64: 1, coords: { x: 0, y: 0, z: 0 }, primaryStar: { type: 'K (Yellow-Orange) Star', name: 'Alpha', isScoopable: true } },
+  { name: 'Near Alpha', id64: 2, coords: { x: 10, y: 0, z: 0 }, population: 500, bodies: [
+    { type: 'Planet', subType: 'Icy body' },
+    { type: 'Star', subType: 'M (Red dwarf) Star', name: 'Near Alpha A', mainStar: true }
+  ] },
+  { name: 'Beta', id64: 3, coords: { x: 1000, y: 0, z: 0 }, needsPermit: true },
+  { name: 'Far Away', id64: 4, coords: { x: 500, y: 0, z: 0 } },
+  'not json',
+  { name: 'Near Alpha', id64: 5, coords: { x: 11, y: 0, z: 0 } }
+];
+
+test('systems within an anchor radius are extracted from a gzipped dump and tagged', () => {
+  const { status, stdout, written, history } = build(dump, [], { gzip: true });
+
+  assert.equal(status, 0, stdout);
+  assert.deepEqual(history, [], 'nothing to archive on a first build');
+  assert.deepEqual(written.systems.map(system => [system.name, system.anchor_system, system.distance]), [
+    ['Alpha', 'Alpha', 0],
+    ['Near Alpha', 'Alpha', 10],
+    ['Beta', 'Beta', 0]
+  ]);
+
+  const nearAlpha = written.systems[1];
+  assert.deepEqual(nearAlpha.primaryStar, { type: 'M (Red dwarf) Star', name: 'Near Alpha A', isScoopable: true });
+  assert.equal(nearAlpha.bodyCount, 2);
+  assert.deepEqual(nearAlpha.information, { population: 500 });
+  assert.equal(written.systems[2].requirePermit, true);
+  assert.equal(written.systems[2].anchor_description, '');
+  assert.match(stdout, /Kept 3 of 5 systems \(1 unreadable lines skipped\) \(1 duplicate names skipped\)/);
+});
+
+test('a rebuild archives the old database and prints a diff; a dry run writes nothing', () => {
+  const previous = { last_updated: '3311-01-01T00:00:00Z', systems: [
+    { name: 'Alpha', coords: { x: 0, y: 0, z: 0 } },
+    { name: 'Gone', coords: { x: 1, y: 1, z: 1 } }
+  ] };
+
+  const rebuilt = build(dump, [], { previous });
+  assert.equal(rebuilt.status, 0, rebuilt.stdout);
+  assert.equal(rebuilt.history.length, 1);
+  assert.match(rebuilt.history[0], /^systems-.*\.json$/);
+  assert.match(rebuilt.stdout, /2 → 3 systems/);
+  assert.match(rebuilt.stdout, /- 1 removed {2}e\.g\. Gone/);
+
+  const dryRun = build(dump, ['--dry-run'], { previous });
+  assert.equal(dryRun.status, 0);
+  assert.deepEqual(dryRun.written, previous);
+  assert.deepEqual(dryRun.history, []);
+});
+
+test('a missing anchor or a bad command line fails', () => {
+  const missing = build(dump.filter(line => line.name !== 'Beta'));
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /Anchor systems not found in the dump: Beta/);
+
+  const usage = spawnSync(process.execPath, [SCRIPT], { encoding: 'utf8' });
+  assert.equal(usage.status, 1);
+  assert.match(usage.stdout, /^Usage:/);
+});
+
+test('diffSystems reports added, removed and changed systems by field', () => {
+  const before = [
+    { name: 'Same', coords: { x: 1, y: 2, z: 3 } },
+    { name: 'Moved', coords: { x: 0, y: 0, z: 0 }, information: { population: 10 } },
+    { name: 'Dropped', coords: { x: 5, y: 5, z: 5 } }
+  ];
+  const after = [
+    { name: 'Same', coords: { x: 1.0001, y: 2, z: 3 } },
+    { name: 'Moved', coords: { x: 0.5, y: 0, z: 0 }, information: { population: 20 },
+      primaryStar: { type: 'Neutron Star' }, anchor_system: 'Alpha' },
+    { name: 'New', coords: { x: 9, y: 9, z: 9 } }
+  ];
+
+  const diff = diffSystems(before, after);
+  assert.deepEqual(diff.summary, {
+    previous: 3, next: 3, added: 1, removed: 1, changed: 1, coords: 1, population: 1, primaryStar: 1, anchor: 1
+  });
+  assert.deepEqual(diff.added, [{ name: 'New', coords: { x: 9, y: 9, z: 9 } }]);
+  assert.deepEqual(diff.removed, [{ name: 'Dropped', coords: { x: 5, y: 5, z: 5 } }]);
+  assert.deepEqual(diff.changed[0].changes, {
+    coords: { from: { x: 0, y: 0, z: 0 }, to: { x: 0.5, y: 0, z: 0 } },
+    population: { from: 10, to: 20 },
+    primaryStar: { from: { type: null, isScoopable: false }, to: { type: 'Neutron Star', isScoopable: false } },
+    anchor: { from: null, to: 'Alpha' }
+  });
+
+  assert.deepEqual(formatDiffSummary(diff, 1).slice(0, 3), ['3 → 3 systems', '  + 1 added  e.g. New', '  - 1 removed  e.g. Dropped']);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCSV, parseCSVRecords, formatCSV, escapeCSVField, formatCSVError } from '../public/js/csv.js';
+
+test('quoted fields keep commas, quotes and line breaks', () => {
+    const { rows, lines, errors } = parseCSV('name,notes\r\n"Sol, home","say ""hi""\nthere"\r\n');
+    assert.deepEqual(rows, [['name', 'notes'], ['Sol, home', 'say "hi"\nthere']]);
+    assert.deepEqual(lines, [1, 2]);
+    assert.deepEqual(errors, []);
+});
+
+test('a byte order mark, blank lines and edge whitespace are dropped', () => {
+    const { rows, lines } = parseCSV('\uFEFFa, b \n\n  1 ,"  2 "\n');
+    assert.deepEqual(rows, [['a', 'b'], ['1', '  2 ']]);
+    assert.deepEqual(lines, [1, 3]);
+});
+
+test('malformed quoting is reported with line numbers instead of thrown', () => {
+    const { errors } = parseCSV('a,b\n"x"y,2\nab"c,3\n"open,4\n');
+    assert.deepEqual(errors.map(formatCSVError), [
+        'line 2: unexpected "y" after closing quote',
+        'line 3: unexpected quote inside unquoted field',
+        'line 4: unterminated quoted field'
+    ]);
+});
+
+test('records are keyed by header and extra fields are flagged', () => {
+    const { headers, records, lines, errors } = parseCSVRecords('System,X\nSol,0\nAchenar\n\nColonia,1,extra\n');
+    assert.deepEqual(headers, ['System', 'X']);
+    assert.deepEqual(records, [
+        { System: 'Sol', X: '0' },
+        { System: 'Achenar', X: '' },
+        { System: 'Colonia', X: '1' }
+    ]);
+    assert.deepEqual(lines, [2, 3, 5]);
+    assert.deepEqual(errors, [{ line: 5, message: 'expected 2 fields, found 3' }]);
+});
+
+test('empty input has no records', () => {
+    assert.deepEqual(parseCSVRecords(''), { headers: [], records: [], lines: [], errors: [] });
+});
+
+test('formatCSV output parses back to the same rows', () => {
+    const rows = [['name', 'notes'], ['Sol, home', 'say "hi"'], [' padded ', 'multi\nline'], ['plain', '']];
+    assert.equal(escapeCSVField('plain'), 'plain');
+    assert.equal(escapeCSVField('a"b'), '"a""b"');
+    assert.deepEqual(parseCSV(formatCSV(rows)).rows, rows);
+});
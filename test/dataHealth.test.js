@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildDataHealthReport } = require('../lib/dataHealth');
+const { SystemNameIndex } = require('../lib/systemNames');
+
+const sources = {
+  sheets: {
+    route: [
+      { '#': 1, system_name: 'Sol', 'claimed?_': true, 'completed?_': false, 'architect?_': 'cmdr' },
+      { '#': 2, system_name: 'Achenar', 'claimed?_': false, 'completed?_': false },
+      { '#': 3, system_name: 'achenar ', 'claimed?_': false, 'completed?_': false }
+    ],
+    fleetCarriers: [
+      { callsign: 'AAA-111', location: 'Sol' },
+      { callsign: 'BBB-222', location: 'Sol' }
+    ]
+  },
+  customRoutes: {
+    outbound: [{ id: '1', system_name: 'SOL', status: '' }, { id: '2', system_name: 'Colonnia' }]
+  },
+  anchors: [{ name: 'Colonia' }],
+  specialSystems: [{ system_name: 'Colonia' }]
+};
+
+function report(nameIndex = new SystemNameIndex(['Sol', 'Achenar', 'Colonia'])) {
+  return buildDataHealthReport({ nameIndex, sources });
+}
+
+test('duplicates are grouped by normalized name across sources', () => {
+  const { duplicates, summary } = report();
+
+  assert.equal(summary.duplicates, 3);
+  assert.deepEqual(duplicates, [
+    {
+      name: 'Sol',
+      sources: ['route', 'customRoutes'],
+      references: [{ source: 'route', ref: '#1' }, { source: 'customRoutes', ref: 'outbound #1' }]
+    },
+    {
+      name: 'Achenar',
+      sources: ['route'],
+      references: [{ source: 'route', ref: '#2' }, { source: 'route', ref: '#3' }]
+    },
+    {
+      name: 'Colonia',
+      sources: ['anchors', 'specialSystems'],
+      references: [{ source: 'anchors', ref: 'row 1' }, { source: 'specialSystems', ref: 'row 1' }]
+    }
+  ]);
+});
+
+test('carriers sharing a system are not duplicates', () => {
+  const { duplicates } = report();
+  assert.ok(duplicates.every(group => !group.sources.includes('fleetCarriers')));
+  assert.equal(duplicates.find(group => group.name === 'Sol').references.length, 2);
+});
+
+test('names missing from the database come with suggestions', () => {
+  const { missing } = report();
+  assert.deepEqual(missing.map(entry => entry.name), ['Colonnia']);
+  assert.ok(missing[0].suggestions.includes('Colonia'));
+  assert.deepEqual(missing[0].references, [{ source: 'customRoutes', ref: 'outbound #2' }]);
+});
+
+test('systems claimed on the sheet and listed on a custom route are flagged', () => {
+  const { claimedInBoth } = report();
+  assert.deepEqual(claimedInBoth.map(entry => [entry.name, entry.customRoutes[0].route]), [['Sol', 'outbound']]);
+});
+
+test('without a database only the name checks are skipped', () => {
+  const result = report(null);
+  assert.equal(result.databaseLoaded, false);
+  assert.deepEqual(result.missing, []);
+  assert.equal(result.summary.duplicates, 3);
+});
+
+test('numeric names from the sheet are checked as text', () => {
+  const result = buildDataHealthReport({
+    nameIndex: new SystemNameIndex(['Sol']),
+    sources: { sheets: { route: [{ '#': 1, system_name: 2001 }], fleetCarriers: [{ callsign: 'AAA-111', location: 1999 }] } }
+  });
+  assert.deepEqual(result.missing.map(entry => entry.name), ['2001', '1999']);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DataWatcher } = require('../lib/dataWatcher');
+
+// Run fn with a watcher on a fresh directory; changes(count) resolves once
+// `count` files were reported
+async function withWatchedDir(options, fn) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-watcher-'));
+  const reported = [];
+  let waiting = null;
+  const watcher = new DataWatcher(rootDir, {
+    debounceMs: 20,
+    ...options,
+    onChange: file => {
+      reported.push(file);
+      if (waiting && reported.length >= waiting.count) waiting.resolve();
+    }
+  }).start();
+
+  const changes = count => new Promise((resolve, reject) => {
+    if (reported.length >= count) return resolve();
+    const timer = setTimeout(() => reject(new Error(`only saw ${JSON.stringify(reported)}`)), 3000);
+    waiting = { count, resolve: () => { clearTimeout(timer); resolve(); } };
+  });
+
+  try {
+    await fn({ rootDir, reported, changes });
+  } finally {
+    watcher.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+}
+
+test('a burst of writes is reported once and temp files are ignored', () =>
+  withWatchedDir({}, async ({ rootDir, reported, changes }) => {
+    fs.writeFileSync(path.join(rootDir, 'anchors.csv.tmp'), 'a');
+    fs.writeFileSync(path.join(rootDir, 'anchors.csv'), 'a');
+    fs.appendFileSync(path.join(rootDir, 'anchors.csv'), 'b');
+    await changes(1);
+    await new Promise(resolve => setTimeout(resolve, 100)); // nothing else arrives
+
+    assert.deepEqual(reported, ['anchors.csv']);
+  }));
+
+test('a subdirectory created after start is watched, including files already in it', () =>
+  withWatchedDir({ subdirectories: ['routes'] }, async ({ rootDir, reported, changes }) => {
+    const routesDir = path.join(rootDir, 'routes');
+    fs.mkdirSync(routesDir);
+    fs.writeFileSync(path.join(routesDir, 'first.csv'), 'id,system_name\n');
+    await changes(1);
+
+    fs.writeFileSync(path.join(routesDir, 'second.csv'), 'id,system_name\n');
+    await changes(2);
+
+    assert.deepEqual([...new Set(reported)].sort(), ['routes/first.csv', 'routes/second.csv']);
+  }));
+
+test('a removed and recreated subdirectory is watched again', () =>
+  withWatchedDir({ subdirectories: ['routes'] }, async ({ rootDir, reported, changes }) => {
+    const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+    fs.mkdirSync(path.join(rootDir, 'routes'));
+    await settle();
+    fs.rmSync(path.join(rootDir, 'routes'), { recursive: true });
+    await settle();
+    fs.mkdirSync(path.join(rootDir, 'routes'));
+    await settle();
+    fs.writeFileSync(path.join(rootDir, 'routes', 'again.csv'), 'id\n');
+    await changes(1);
+
+    assert.deepEqual(reported, ['routes/again.csv']);
+  }));
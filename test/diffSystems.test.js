@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'diff-systems.js');
+
+// Run the diff CLI on two databases written to a fresh directory
+function diff(previous, next, args = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-systems-'));
+  try {
+    const files = [previous, next].map((data, i) => {
+      const file = path.join(dir, `${i}.json`);
+      fs.writeFileSync(file, JSON.stringify(data));
+      return file;
+    });
+    return spawnSync(process.execPath, [SCRIPT, ...files, ...args], { encoding: 'utf8' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const previous = { last_updated: '3311-01-01', systems: [
+  { name: 'Sol', coords: { x: 0, y: 0, z: 0 }, information: { population: '100' } },
+  { name: 'Gone', coords: { x: 1, y: 1, z: 1 } }
+] };
+const next = { last_updated: '3311-02-01', systems: [
+  { name: 'Sol', coords: { x: 0, y: 0, z: 0 }, information: { population: 100 } },
+  { name: 'New', coords: { x: 2, y: 2, z: 2 } }
+] };
+
+test('the summary lists additions and removals, and repairs are not changes', () => {
+  const { status, stdout } = diff(previous, next);
+  assert.equal(status, 0);
+  assert.match(stdout, /\(3311-01-01\) → .*\(3311-02-01\)/);
+  assert.match(stdout, /\+ 1 added {2}e\.g\. New/);
+  assert.match(stdout, /- 1 removed {2}e\.g\. Gone/);
+  assert.match(stdout, /~ 0 population changed/);
+});
+
+test('--json prints the whole diff', () => {
+  const { status, stdout } = diff(previous, next, ['--json']);
+  assert.equal(status, 0);
+
+  const result = JSON.parse(stdout);
+  assert.equal(result.from.last_updated, '3311-01-01');
+  assert.equal(result.to.last_updated, '3311-02-01');
+  assert.deepEqual(result.summary, { previous: 2, next: 2, added: 1, removed: 1, changed: 0, coords: 0, population: 0, primaryStar: 0, anchor: 0 });
+  assert.deepEqual(result.added.map(system => system.name), ['New']);
+});
+
+test('a file without a systems array is an error', () => {
+  const { status, stderr } = diff(previous, { systems: {} });
+  assert.equal(status, 1);
+  assert.match(stderr, /has no systems array/);
+});
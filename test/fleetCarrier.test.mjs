@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpatialIndex, parseCoordinates } from '../public/js/spatialIndex.js';
+import { findPath } from '../public/js/pathfinder.js';
+import {
+    CARRIER_JUMP_RANGE,
+    JUMP_COUNTDOWN_MS,
+    JUMP_COOLDOWN_MS,
+    carrierJumpTritium,
+    planCarrierJumps,
+    carrierJumpPoints,
+    findEntrySystem,
+    addOpenSpaceEnds
+} from '../public/js/fleetCarrier.js';
+
+const MINUTE = 60 * 1000;
+const DEPARTURE = Date.UTC(3311, 0, 1, 12, 0);
+
+// A few systems around the Orion Nebula; the map's database holds nothing near Sol
+const orion = new SpatialIndex([
+    { name: 'Orion Edge', coords: { x: 600, y: -400, z: -1050 } },
+    { name: 'Orion Middle', coords: { x: 620, y: -420, z: -1300 } },
+    { name: 'Trapezium Sector', coords: { x: 640, y: -430, z: -1500 } }
+]);
+
+const jumpDistances = (route) => route.slice(1).map((stop, i) => Math.hypot(
+    stop.coords.x - route[i].coords.x, stop.coords.y - route[i].coords.y, stop.coords.z - route[i].coords.z));
+
+test('tritium grows with distance and load', () => {
+    assert.equal(carrierJumpTritium(0, 0), 5);
+    assert.equal(carrierJumpTritium(500, 0), 68);
+    assert.equal(carrierJumpTritium(500, 25000), 130);
+    assert.equal(carrierJumpTritium(400, 1000), Math.round(5 + 50 * 1.04));
+});
+
+test('the tank is topped up from the hold and anything short is reported', () => {
+    const plan = planCarrierJumps([500, 500], { cargo: 0, tank: 70, hold: 60 }, DEPARTURE);
+    assert.deepEqual(plan.jumps.map(({ tritium, topUp, tankAfter }) => [tritium, topUp, tankAfter]), [
+        [68, 0, 2],
+        [68, 60, 0]
+    ]);
+    assert.equal(plan.holdLeft, 0);
+    assert.equal(plan.topUps, 1);
+    assert.equal(plan.shortfall, 6);
+});
+
+test('each jump waits for the countdown and the previous cooldown', () => {
+    const plan = planCarrierJumps([100, 200, 300], { cargo: 0, tank: 1000 }, DEPARTURE);
+    assert.deepEqual(plan.jumps.map(jump => (jump.jumpsAt - DEPARTURE) / MINUTE), [15, 35, 55]);
+    assert.equal(plan.arrival, DEPARTURE + 3 * JUMP_COUNTDOWN_MS + 2 * JUMP_COOLDOWN_MS);
+    assert.equal(planCarrierJumps([], { cargo: 0, tank: 1000 }, DEPARTURE).arrival, DEPARTURE);
+});
+
+test('open-space jumps are equal, at most the carrier range, and end exactly on the target', () => {
+    const to = { x: 1200, y: 0, z: -500 };
+    const points = carrierJumpPoints({ x: 0, y: 0, z: 0 }, to);
+    assert.equal(points.length, 3);
+    assert.deepEqual(points[2], to);
+    const lengths = jumpDistances([{ coords: { x: 0, y: 0, z: 0 } }, ...points.map(coords => ({ coords }))]);
+    assert.ok(lengths.every(length => length <= CARRIER_JUMP_RANGE && Math.abs(length - lengths[0]) < 1e-9));
+
+    assert.equal(carrierJumpPoints({ x: 0, y: 0, z: 0 }, { x: 1000, y: 0, z: 0 }).length, 2, 'an exact multiple needs no extra jump');
+    assert.deepEqual(carrierJumpPoints(to, to), []);
+});
+
+test('the entry system is the nearest known one the route may use', () => {
+    const sol = { x: 0, y: 0, z: 0 };
+    assert.equal(orion.systems[findEntrySystem(orion, sol)].name, 'Orion Edge');
+
+    const blocked = new Uint8Array(orion.size);
+    blocked[orion.indexOf('Orion Edge')] = 1;
+    assert.equal(orion.systems[findEntrySystem(orion, sol, blocked)].name, 'Orion Middle');
+    assert.equal(findEntrySystem(orion, sol, new Uint8Array(orion.size).fill(1)), -1);
+});
+
+test('a carrier from Sol to the Orion Nebula flies open space, then known systems', () => {
+    const sol = parseCoordinates('0, 0, 0');
+    const goal = orion.indexOf('Trapezium Sector');
+    const entry = findEntrySystem(orion, sol);
+    const { path } = findPath(orion, entry, goal, { maxJumpRange: CARRIER_JUMP_RANGE, fewestJumps: true });
+    const { route, offset } = addOpenSpaceEnds(path.map(i => orion.systems[i]), { startPoint: sol });
+
+    // 1,274 LY of open space in three jumps, then one 453 LY jump inside the database
+    assert.deepEqual(route.map(stop => stop.name), ['0, 0, 0', '200, -133.33, -350', '400, -266.67, -700', 'Orion Edge', 'Trapezium Sector']);
+    assert.deepEqual(route.map(stop => stop.openSpace === true), [true, true, true, false, false]);
+    assert.equal(offset, 3);
+    const distances = jumpDistances(route);
+    assert.ok(distances.every(distance => distance <= CARRIER_JUMP_RANGE));
+
+    const plan = planCarrierJumps(distances, { cargo: 5000, tank: 1000, hold: 0 }, DEPARTURE);
+    assert.equal(plan.jumps.length, 4);
+    assert.deepEqual(plan.jumps.map(jump => jump.tritium), [71, 71, 71, 75]);
+    assert.equal(plan.totalTritium, 288);
+    assert.equal(plan.shortfall, 0);
+    assert.equal(plan.arrival - DEPARTURE, 75 * MINUTE);
+});
+
+test('a route ending in open space flies on from the last known system', () => {
+    const goalPoint = { x: 640, y: -430, z: -2400 };
+    const { route, offset } = addOpenSpaceEnds([orion.systems[2]], { goalPoint });
+    assert.equal(offset, 0);
+    assert.deepEqual(route.map(stop => stop.name), ['Trapezium Sector', '640, -430, -1950', '640, -430, -2400']);
+});
+
+test('a route with both ends in open space is a straight line', () => {
+    const { route } = addOpenSpaceEnds([], { startPoint: { x: 0, y: 0, z: 0 }, goalPoint: { x: 0, y: 0, z: 600 } });
+    assert.deepEqual(route.map(stop => stop.coords.z), [0, 300, 600]);
+});
+
+test('coordinates parse with commas or spaces and anything else is a name', () => {
+    assert.deepEqual(parseCoordinates(' -33.5, 12 , 1060 '), { x: -33.5, y: 12, z: 1060 });
+    assert.deepEqual(parseCoordinates('1 2 3'), { x: 1, y: 2, z: 3 });
+    assert.equal(parseCoordinates('Sol'), null);
+    assert.equal(parseCoordinates('1, 2'), null);
+    assert.equal(parseCoordinates('1.2.3, 4, 5'), null);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { LiveUpdates } = require('../lib/liveUpdates');
+
+// Request and response stand-ins that record what the hub writes
+function connect(hub, hello) {
+  const req = new EventEmitter();
+  const res = {
+    headers: null,
+    chunks: [],
+    flushes: 0,
+    set(headers) { this.headers = headers; },
+    flushHeaders() {},
+    write(chunk) { this.chunks.push(chunk); },
+    flush() { this.flushes++; }
+  };
+  hub.handleConnection(req, res, hello);
+  return { req, res };
+}
+
+// Keep the hub's connect and disconnect logging out of the test output
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('a new client gets event-stream headers, the retry delay and a hello event', () => quietly(() => {
+  const hub = new LiveUpdates({ retryMs: 1234 });
+  const { res } = connect(hub, { lastUpdated: '3311-01-01T00:00:00.000Z' });
+
+  assert.equal(res.headers['Content-Type'], 'text/event-stream');
+  assert.deepEqual(res.chunks, [
+    'retry: 1234\n\n',
+    'event: hello\ndata: {"lastUpdated":"3311-01-01T00:00:00.000Z"}\n\n'
+  ]);
+  assert.equal(res.flushes, 2, 'every write is flushed past compression');
+  assert.equal(hub.clientCount, 1);
+}));
+
+test('broadcasts reach every open client and stop once one disconnects', () => quietly(() => {
+  const hub = new LiveUpdates();
+  const first = connect(hub);
+  const second = connect(hub);
+
+  hub.broadcast('changes', { events: [{ type: 'routeStatusChanged' }] });
+  first.req.emit('close');
+  hub.broadcast('changes', { events: [] });
+
+  const changes = (res) => res.chunks.filter(chunk => chunk.startsWith('event: changes'));
+  assert.deepEqual(changes(first.res), ['event: changes\ndata: {"events":[{"type":"routeStatusChanged"}]}\n\n']);
+  assert.equal(changes(second.res).length, 2);
+  assert.equal(hub.clientCount, 1);
+}));
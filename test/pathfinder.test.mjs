@@ -0,0 +1,279 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpatialIndex } from '../public/js/spatialIndex.js';
+import { MinHeap, findPath, searchPath, searchRoute, runSearch, orderStops, jumpFuel, searchFuelPath, planRefuels, boostMultiplier, createAvoidMask } from '../public/js/pathfinder.js';
+
+// Systems from [name, x, y, z] or [name, x, y, z, primaryStar]
+function createIndex(entries) {
+    return new SpatialIndex(entries.map(([name, x, y, z, primaryStar = { type: 'K (Yellow-Orange) Star', isScoopable: true }]) =>
+        ({ name, coords: { x, y, z }, primaryStar })));
+}
+
+// A jittered 3D lattice, so many routes of similar length compete
+function createCloud(size, spacing) {
+    const entries = [];
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            for (let z = 0; z < size; z++) {
+                entries.push([`C${x}-${y}-${z}`, (x + random() * 0.8) * spacing, (y + random() * 0.8) * spacing, (z + random() * 0.8) * spacing]);
+            }
+        }
+    }
+    return createIndex(entries);
+}
+
+// Reference shortest distance by Dijkstra over every pair within range
+function dijkstra(index, start, goal, maxJumpRange) {
+    const distance = new Float64Array(index.size).fill(Infinity);
+    const done = new Uint8Array(index.size);
+    distance[start] = 0;
+    for (;;) {
+        let current = -1;
+        for (let i = 0; i < index.size; i++) {
+            if (!done[i] && (current === -1 || distance[i] < distance[current])) current = i;
+        }
+        if (current === -1 || distance[current] === Infinity) return Infinity;
+        if (current === goal) return distance[goal];
+        done[current] = 1;
+        index.forEachWithin(index.systems[current].coords, maxJumpRange, (neighbor, distanceSquared) => {
+            distance[neighbor] = Math.min(distance[neighbor], distance[current] + Math.sqrt(distanceSquared));
+        });
+    }
+}
+
+const jumpLengths = (index, path) => path.slice(1).map((node, i) => {
+    const a = index.systems[path[i]].coords;
+    const b = index.systems[node].coords;
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+});
+
+test('MinHeap pops ids in priority order', () => {
+    const heap = new MinHeap();
+    const priorities = [5, 3, 9, 1, 7, 3, 0, 8];
+    priorities.forEach((priority, id) => heap.push(id, priority));
+
+    const popped = [];
+    while (heap.size > 0) popped.push(priorities[heap.pop()]);
+    assert.deepEqual(popped, [...priorities].sort((a, b) => a - b));
+    assert.equal(heap.pop(), undefined);
+});
+
+test('findPath returns the shortest route with every jump in range', () => {
+    const index = createCloud(8, 10);
+    const start = index.indexOf('C0-0-0');
+    const goal = index.indexOf('C7-7-7');
+
+    const result = findPath(index, start, goal, { maxJumpRange: 15 });
+
+    assert.equal(result.path[0], start);
+    assert.equal(result.path[result.path.length - 1], goal);
+    assert.ok(jumpLengths(index, result.path).every(length => length <= 15));
+    assert.ok(Math.abs(result.distance - dijkstra(index, start, goal, 15)) < 1e-9);
+    assert.equal(result.timedOut, false);
+    assert.ok(result.nodesExpanded > 0);
+});
+
+test('an unreachable destination gives no path without timing out', () => {
+    const index = createIndex([['A', 0, 0, 0], ['B', 10, 0, 0], ['Far', 100, 0, 0]]);
+    const result = findPath(index, 0, 2, { maxJumpRange: 20 });
+    assert.equal(result.path, null);
+    assert.equal(result.distance, null);
+    assert.equal(result.timedOut, false);
+});
+
+test('a search that runs past its time budget stops and says so', () => {
+    const index = createCloud(14, 10);
+    const result = findPath(index, index.indexOf('C0-0-0'), index.indexOf('C13-13-13'), { maxJumpRange: 12, timeBudgetMs: 0 });
+    assert.equal(result.path, null);
+    assert.equal(result.timedOut, true);
+});
+
+test('searchPath reports progress while it runs', () => {
+    const index = createCloud(14, 10);
+    const progress = [];
+    const result = runSearch(searchPath(index, index.indexOf('C0-0-0'), index.indexOf('C13-13-13'), { maxJumpRange: 12 }),
+        report => progress.push(report));
+
+    assert.ok(result.path);
+    assert.ok(progress.length > 0);
+    assert.ok(progress.every((report, i) => i === 0 || report.nodesExpanded > progress[i - 1].nodesExpanded));
+    assert.ok(progress.every(report => report.remaining >= 0 && report.travelled >= 0));
+});
+
+test('jumpFuel burns maxFuelPerJump at full range and less below it', () => {
+    assert.equal(jumpFuel(20, 20, { maxFuelPerJump: 5 }), 5);
+    assert.ok(Math.abs(jumpFuel(10, 20, { maxFuelPerJump: 5 }) - 5 * Math.pow(0.5, 2.45)) < 1e-12);
+    assert.equal(jumpFuel(10, 20, { maxFuelPerJump: 4, fuelPower: 2 }), 1);
+});
+
+// Two 10 LY jumps along the axis burn more than a tank; the detour via the scoopable star doesn't
+const NOT_SCOOPABLE = { type: 'M (Red dwarf) Star', isScoopable: false };
+const fuelIndex = () => createIndex([
+    ['Start', 0, 0, 0, NOT_SCOOPABLE],
+    ['Dry', 10, 0, 0, NOT_SCOOPABLE],
+    ['Scoop', 10, 3, 0],
+    ['Goal', 20, 0, 0, NOT_SCOOPABLE]
+]);
+const fuel = { tankSize: 5, maxFuelPerJump: 4, reserve: 0 };
+
+test('a fuel route is forced through a scoopable star and marks the refuel', () => {
+    const index = fuelIndex();
+    const [start, scoop, goal] = ['Start', 'Scoop', 'Goal'].map(name => index.indexOf(name));
+    assert.deepEqual(findPath(index, start, goal, { maxJumpRange: 12 }).path, [start, index.indexOf('Dry'), goal]);
+
+    const result = runSearch(searchFuelPath(index, start, goal, { maxJumpRange: 12, fuel }));
+    assert.deepEqual(result.path, [start, scoop, goal]);
+
+    const jump = jumpFuel(Math.hypot(10, 3), 12, fuel);
+    assert.deepEqual(result.fuel.refuelStops, [1]);
+    assert.ok(Math.abs(result.fuel.used - 2 * jump) < 1e-9);
+    assert.ok(Math.abs(result.fuel.levels[1] - (5 - jump)) < 1e-9, 'arrives at the scoop before refuelling');
+    assert.ok(Math.abs(result.fuel.levels[2] - (5 - jump)) < 1e-9, 'leaves the scoop with a full tank');
+});
+
+test('no fuel route when the reserve or tank rules out every jump', () => {
+    const index = fuelIndex();
+    const route = (options) => runSearch(searchFuelPath(index, index.indexOf('Start'), index.indexOf('Goal'), { maxJumpRange: 12, fuel: { ...fuel, ...options } }));
+    assert.equal(route({ tankSize: 2.5 }).path, null);
+    assert.equal(route({ reserve: 2.5 }).path, null);
+});
+
+test('planRefuels only scoops when the fuel left would not reach the next star', () => {
+    const index = createIndex([
+        ['A', 0, 0, 0],
+        ['B', 10, 0, 0],
+        ['C', 20, 0, 0],
+        ['D', 30, 0, 0, NOT_SCOOPABLE],
+        ['E', 40, 0, 0, NOT_SCOOPABLE]
+    ]);
+    const plan = planRefuels(index, [0, 1, 2, 3, 4], 10, { tankSize: 5, maxFuelPerJump: 2, reserve: 0.5 });
+    // 2 t a jump: A and B reach the next star anyway, C must fill up to cover C → D → E with the reserve
+    assert.deepEqual(plan.refuelStops, [2]);
+    assert.deepEqual(plan.levels, [5, 3, 1, 3, 1]);
+    assert.equal(plan.used, 8);
+});
+
+test('boostMultiplier reads the primary star type', () => {
+    assert.equal(boostMultiplier({ primaryStar: { type: 'Neutron Star' } }), 4);
+    assert.equal(boostMultiplier({ primaryStar: { type: 'White Dwarf (DA) Star' } }), 1.5);
+    assert.equal(boostMultiplier({ primaryStar: { type: 'K (Yellow-Orange) Star' } }), 1);
+    assert.equal(boostMultiplier({}), 1);
+});
+
+test('boost routing detours through a neutron star and marks the supercharge', () => {
+    const index = createIndex([
+        ['Start', 0, 0, 0],
+        ['Neutron', 5, 0, 0, { type: 'Neutron Star', isScoopable: false }],
+        ['Step 1', 10, 0, 0],
+        ['Step 2', 20, 0, 0],
+        ['Step 3', 30, 0, 0],
+        ['Goal', 40, 0, 0]
+    ]);
+    const [start, neutron, goal] = ['Start', 'Neutron', 'Goal'].map(name => index.indexOf(name));
+
+    const plain = findPath(index, start, goal, { maxJumpRange: 10 });
+    assert.equal(plain.path.length, 5);
+    assert.equal(plain.supercharges, undefined);
+
+    const boosted = findPath(index, start, goal, { maxJumpRange: 10, boost: true });
+    assert.deepEqual(boosted.path, [start, neutron, goal]);
+    assert.deepEqual(boosted.supercharges, [1]);
+    assert.equal(boosted.distance, 40);
+});
+
+// Systems every 10 LY along the x axis, named by position
+const lineIndex = (count) => createIndex(Array.from({ length: count }, (_, i) => [`L${i * 10}`, i * 10, 0, 0]));
+
+test('orderStops visits stops along the way instead of doubling back', () => {
+    const index = createIndex([
+        ['Start', 0, 0, 0],
+        ['Goal', 100, 0, 0],
+        ['A', 20, 5, 0],
+        ['B', 40, -5, 0],
+        ['C', 60, 5, 0],
+        ['D', 80, -5, 0]
+    ]);
+    const [a, b, c, d] = ['A', 'B', 'C', 'D'].map(name => index.indexOf(name));
+    assert.deepEqual(orderStops(index, 0, 1, [c, a, d, b]), [a, b, c, d]);
+    assert.deepEqual(orderStops(index, 0, 1, []), []);
+});
+
+test('2-opt removes the crossing nearest neighbour leaves behind', () => {
+    // Nearest neighbour takes A and B first, then crosses the whole tour to reach C
+    const index = createIndex([
+        ['Start', 0, 0, 0],
+        ['Goal', -3, 8, 0],
+        ['A', 1, 9, 0],
+        ['B', 5, 10, 0],
+        ['C', 7, -6, 0]
+    ]);
+    const [a, b, c] = ['A', 'B', 'C'].map(name => index.indexOf(name));
+    const tourLength = (order) => jumpLengths(index, [0, ...order, 1]).reduce((sum, length) => sum + length, 0);
+    const shortest = Math.min(...[[a, b, c], [a, c, b], [b, a, c], [b, c, a], [c, a, b], [c, b, a]].map(tourLength));
+
+    assert.ok(tourLength([a, b, c]) > shortest + 1);
+    assert.ok(Math.abs(tourLength(orderStops(index, 0, 1, [a, b, c])) - shortest) < 1e-9);
+});
+
+test('a multi-stop route visits the stops in order with a leg for each', () => {
+    const index = lineIndex(7);
+    const [l20, l40, l60] = ['L20', 'L40', 'L60'].map(name => index.indexOf(name));
+
+    const result = runSearch(searchRoute(index, 0, l60, { maxJumpRange: 10, stops: [l40, l20] }));
+
+    assert.deepEqual(result.path.map(i => index.systems[i].name),
+        ['L0', 'L10', 'L20', 'L30', 'L40', 'L30', 'L20', 'L30', 'L40', 'L50', 'L60']);
+    assert.equal(result.distance, 100);
+    assert.deepEqual(result.legs.map(({ from, to, startPosition, endPosition, distance }) => [from, to, startPosition, endPosition, distance]), [
+        [0, l40, 0, 4, 40],
+        [l40, l20, 4, 6, 20],
+        [l20, l60, 6, 10, 40]
+    ]);
+    result.legs.forEach(leg => {
+        assert.equal(result.path[leg.startPosition], leg.from);
+        assert.equal(result.path[leg.endPosition], leg.to);
+    });
+});
+
+test('a multi-stop route reports the leg it could not complete', () => {
+    const index = createIndex([['A', 0, 0, 0], ['B', 10, 0, 0], ['Island', 100, 0, 0], ['C', 20, 0, 0]]);
+    const [b, island, c] = ['B', 'Island', 'C'].map(name => index.indexOf(name));
+
+    const result = runSearch(searchRoute(index, 0, c, { maxJumpRange: 15, stops: [b, island] }));
+    assert.equal(result.path, null);
+    assert.equal(result.failedLeg, 1);
+});
+
+test('avoided systems are routed around', () => {
+    const index = createIndex([['A', 0, 0, 0], ['Permit', 10, 0, 0], ['Detour', 10, 8, 0], ['B', 20, 0, 0]]);
+    const permit = index.indexOf('Permit');
+    const result = findPath(index, 0, index.indexOf('B'), { maxJumpRange: 13, avoid: { systems: [permit] } });
+    assert.deepEqual(result.path.map(i => index.systems[i].name), ['A', 'Detour', 'B']);
+    assert.equal(findPath(index, 0, permit, { maxJumpRange: 13, avoid: { systems: [permit] } }).path.length, 2, 'but can still be the destination');
+});
+
+test('a zone around an endpoint stays blocked apart from the endpoint itself', () => {
+    const index = lineIndex(6);
+    const zone = { x: 0, y: 0, z: 0, radius: 15 };
+    const blocked = createAvoidMask(index, { zones: [zone] }, [0]);
+    assert.deepEqual([...blocked], [0, 1, 0, 0, 0, 0]);
+    assert.deepEqual([...createAvoidMask(index, { zones: [zone] })], [1, 1, 0, 0, 0, 0]);
+});
+
+test('a route starting in an avoided zone jumps straight out of it, or fails', () => {
+    const index = lineIndex(6);
+    const goal = index.indexOf('L50');
+    const avoid = { zones: [{ x: 0, y: 0, z: 0, radius: 15 }] };
+
+    const out = findPath(index, 0, goal, { maxJumpRange: 20, avoid });
+    assert.equal(index.systems[out.path[1]].name, 'L20', 'first jump clears the zone');
+    assert.ok(!out.path.includes(index.indexOf('L10')));
+    assert.equal(out.distance, 50);
+
+    const stuck = findPath(index, 0, goal, { maxJumpRange: 10, avoid });
+    assert.equal(stuck.path, null);
+    assert.equal(stuck.timedOut, false);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { requireAdminToken } = require('../lib/adminAuth');
+const { SystemNameIndex, editDistance } = require('../lib/systemNames');
+const {
+  isValidRouteName,
+  validateRouteCsv,
+  routeFileExists,
+  writeRouteFile,
+  renameRouteFile,
+  deleteRouteFile
+} = require('../lib/routeFiles');
+
+const names = new SystemNameIndex(['Sol', 'Trapezium Sector CM-S b5-0', 'LAM01 ORIONIS', 'Barnard\'s Star']);
+
+// Run the middleware against a request with this Authorization header
+function authorize(token, header) {
+  const result = { status: 200, headers: {}, body: null, nextCalled: false };
+  const req = { get: name => (name === 'Authorization' ? header : undefined) };
+  const res = {
+    status(code) { result.status = code; return this; },
+    set(name, value) { result.headers[name] = value; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  requireAdminToken(token)(req, res, () => { result.nextCalled = true; });
+  return result;
+}
+
+test('admin endpoints need the configured bearer token', () => {
+  assert.equal(authorize('s3cret', 'Bearer s3cret').nextCalled, true);
+  assert.equal(authorize('s3cret', 'bearer   s3cret ').nextCalled, true);
+
+  const wrong = authorize('s3cret', 'Bearer s3cre');
+  assert.deepEqual([wrong.status, wrong.nextCalled, wrong.headers['WWW-Authenticate']], [401, false, 'Bearer']);
+  assert.equal(authorize('s3cret', undefined).status, 401);
+  assert.equal(authorize('s3cret', 's3cret').status, 401);
+
+  const disabled = authorize(undefined, 'Bearer anything');
+  assert.deepEqual([disabled.status, disabled.nextCalled], [503, false]);
+  assert.match(disabled.body.error, /ADMIN_API_TOKEN/);
+});
+
+test('system names resolve ignoring case and spacing, with suggestions for typos', () => {
+  assert.equal(names.resolve('  trapezium   sector cm-s B5-0 '), 'Trapezium Sector CM-S b5-0');
+  assert.equal(names.resolve('Sol 2'), null);
+  assert.deepEqual(names.suggest('Lam01 Orionsi'), ['LAM01 ORIONIS']);
+  assert.deepEqual(names.suggest('Nowhere Near Anything'), []);
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+  assert.equal(editDistance('kitten', 'sitting', 2), Infinity);
+});
+
+test('route names are limited to safe file names', () => {
+  assert.ok(isValidRouteName('osc-3_route'));
+  for (const name of ['', '-leading', '../escape', 'has space', 'a'.repeat(65), null]) {
+    assert.ok(!isValidRouteName(name), String(name));
+  }
+});
+
+test('an uploaded route is matched to known systems with a per-row report', async () => {
+  const result = await validateRouteCsv('Status,System\n,sol\nDone,Sool\n', names);
+
+  assert.equal(result.error, null);
+  assert.equal(result.unknownCount, 1);
+  assert.deepEqual(result.rows, [
+    { id: '01', system_name: 'Sol', status: '' },
+    { id: '02', system_name: 'Sool', status: 'Done' }
+  ]);
+  assert.deepEqual(result.report.map(({ line, found, matchedName, suggestions }) => ({ line, found, matchedName, suggestions })), [
+    { line: 2, found: true, matchedName: 'Sol', suggestions: undefined },
+    { line: 3, found: false, matchedName: undefined, suggestions: ['Sol'] }
+  ]);
+});
+
+test('malformed, headerless and empty route files are rejected', async () => {
+  assert.match((await validateRouteCsv('System\n"Sol\n', names)).error, /^Invalid CSV: line 2/);
+  assert.equal((await validateRouteCsv('Name,Other\nSol,x\n', names)).error, null, 'name is a system column alias');
+  assert.match((await validateRouteCsv('Thing,Other\nSol,x\n', names)).error, /Missing "System Name" column/);
+  assert.match((await validateRouteCsv('System Name\n', names)).error, /no systems/);
+});
+
+test('route files are written in the canonical layout, renamed and deleted', async () => {
+  const routesDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'route-files-')), 'routes');
+  try {
+    await writeRouteFile(routesDir, 'trip', [{ id: '01', system_name: 'Barnard\'s Star, B', status: '' }]);
+    assert.equal(fs.readFileSync(path.join(routesDir, 'trip.csv'), 'utf8'), 'ID,System Name,Status\n01,"Barnard\'s Star, B",\n');
+    assert.deepEqual(fs.readdirSync(routesDir), ['trip.csv'], 'no temp file left behind');
+
+    await renameRouteFile(routesDir, 'trip', 'tour');
+    assert.equal(await routeFileExists(routesDir, 'trip'), false);
+    assert.equal(await routeFileExists(routesDir, 'tour'), true);
+
+    await deleteRouteFile(routesDir, 'tour');
+    assert.deepEqual(fs.readdirSync(routesDir), []);
+  } finally {
+    fs.rmSync(path.dirname(routesDir), { recursive: true, force: true });
+  }
+});
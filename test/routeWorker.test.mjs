@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// The worker talks to `self`; stand in for the worker global before it loads
+const listeners = [];
+const posted = [];
+globalThis.self = {
+    addEventListener: (type, listener) => listeners.push(listener),
+    postMessage: message => posted.push(message)
+};
+await import('../public/js/routeWorker.js');
+
+const send = data => listeners.forEach(listener => listener({ data }));
+const settle = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A size³ lattice 10 LY apart plus one system out of reach of all of them
+function init(size) {
+    const names = [];
+    const coords = [];
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            for (let z = 0; z < size; z++) {
+                names.push(`${x}-${y}-${z}`);
+                coords.push(x * 10, y * 10, z * 10);
+            }
+        }
+    }
+    names.push('Far');
+    coords.push(100000, 0, 0);
+    send({
+        type: 'init',
+        names,
+        coords: Float64Array.from(coords),
+        stars: names.map(() => ({ type: 'K (Yellow-Orange) Star', isScoopable: true }))
+    });
+    return names;
+}
+
+test('a route request posts its result', async () => {
+    posted.length = 0;
+    const names = init(4);
+    send({ type: 'route', id: 1, start: 0, goal: names.indexOf('3-3-3'), maxJumpRange: 15 });
+    await settle();
+
+    const result = posted.find(message => message.type === 'result' && message.id === 1)?.result;
+    assert.ok(result, 'result posted');
+    assert.equal(result.path[0], 0);
+    assert.equal(result.path[result.path.length - 1], names.indexOf('3-3-3'));
+});
+
+test('a cancelled route reports progress but never posts a result', async () => {
+    posted.length = 0;
+    // Exhausting this many systems takes well over one search slice
+    const names = init(30);
+    send({ type: 'route', id: 2, start: 0, goal: names.indexOf('Far'), maxJumpRange: 15 });
+    send({ type: 'cancel', id: 2 });
+    await settle(100);
+
+    assert.ok(posted.some(message => message.type === 'progress' && message.id === 2));
+    assert.ok(!posted.some(message => message.type === 'result' && message.id === 2));
+});
+
+test('a newer route replaces the one in progress', async () => {
+    posted.length = 0;
+    const names = init(30);
+    send({ type: 'route', id: 3, start: 0, goal: names.indexOf('Far'), maxJumpRange: 15 });
+    send({ type: 'route', id: 4, start: 0, goal: names.indexOf('1-1-1'), maxJumpRange: 15 });
+    await settle(100);
+
+    assert.ok(!posted.some(message => message.type === 'result' && message.id === 3));
+    assert.ok(posted.some(message => message.type === 'result' && message.id === 4));
+});
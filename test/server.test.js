@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        json: () => JSON.parse(body)
+      }));
+    }).on('error', reject);
+  });
+}
+
+// Run fn(baseUrl, snapshotDir) against a server started without Google
+// credentials and with a fresh snapshot directory, then stop it. `env` is extra
+// environment, or a function that prepares the snapshot directory and returns it.
+async function withServer(env, fn) {
+  const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheets-snapshot-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      GOOGLE_SERVICE_ACCOUNT_EMAIL: '',
+      GOOGLE_PRIVATE_KEY: '',
+      SHEETS_SNAPSHOT_DIR: snapshotDir,
+      ...(typeof env === 'function' ? env(snapshotDir) : env)
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 20000);
+      child.stdout.on('data', chunk => {
+        output += chunk;
+        if (output.includes('running on port')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      child.stderr.on('data', chunk => { output += chunk; });
+      child.on('exit', code => {
+        clearTimeout(timer);
+        reject(new Error(`server exited with ${code}:\n${output}`));
+      });
+    });
+    await fn(`http://127.0.0.1:${port}`, snapshotDir);
+  } finally {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  }
+}
+
+const SNAPSHOT = {
+  capturedAt: '3311-02-03T04:05:06.000Z',
+  ranges: ['route!A:G', 'fc-manifest!A:G', 'setup!A:B', 'hauler-manifest!A:C'],
+  valueRanges: [
+    { values: [['#', 'System Name', 'Claimed?', 'Completed?', 'Architect?', 'Assigned FC'], ['1', 'Sol', 'TRUE', 'FALSE', 'Jameson', 'K7Q-1ZZ']] },
+    { values: [] },
+    { values: [] },
+    { values: [] }
+  ]
+};
+
+test('without Google Sheets the last snapshot is served, flagged stale', () =>
+  withServer(dir => {
+    fs.writeFileSync(path.join(dir, 'snapshot.json'), JSON.stringify(SNAPSHOT));
+    return {};
+  }, async (baseUrl) => {
+    const response = await get(`${baseUrl}/api/sheets-data`);
+    const body = response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.stale, true);
+    assert.equal(body.snapshotCapturedAt, SNAPSHOT.capturedAt);
+    assert.equal(body.lastUpdated, SNAPSHOT.capturedAt);
+    assert.equal(body.route[0].system_name, 'Sol');
+
+    const health = (await get(`${baseUrl}/api/health`)).json();
+    assert.equal(health.sheetsSnapshot, SNAPSHOT.capturedAt);
+  }));
+
+test('without Google Sheets or a usable snapshot the error is returned', () =>
+  withServer(dir => {
+    fs.writeFileSync(path.join(dir, 'snapshot.json'), JSON.stringify({ capturedAt: SNAPSHOT.capturedAt }));
+    return {};
+  }, async (baseUrl) => {
+    const response = await get(`${baseUrl}/api/sheets-data`);
+
+    assert.equal(response.status, 503);
+    assert.deepEqual(response.json(), { error: 'Google Sheets not configured' });
+  }));
+
+// Run fn with a temporary mock sheets directory holding the given tab files
+async function withMockSheets(files, fn) {
+  const mockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-sheets-'));
+  try {
+    Object.entries(files).forEach(([file, content]) => fs.writeFileSync(path.join(mockDir, file), content));
+    await fn(mockDir);
+  } finally {
+    fs.rmSync(mockDir, { recursive: true, force: true });
+  }
+}
+
+test('mock mode serves tabs from CSV and JSON files and never writes a snapshot', () =>
+  withMockSheets({
+    'route.csv': '#,System Name,Claimed?,Completed?,Architect?,Assigned FC\n1,Sol,TRUE,FALSE,Jameson,K7Q-1ZZ\n',
+    'fc-manifest.json': JSON.stringify({
+      values: [['Callsign', 'Name', 'Owner', 'Status', 'Timestamp', 'Location'], ['K7Q-1ZZ', 'Lantern', 'jameson', 'Deployed', '2025-06-17 11:16:15', 'Sol']]
+    })
+  }, mockDir => withServer({ GOOGLE_SHEETS_MOCK_DIR: mockDir }, async (baseUrl, snapshotDir) => {
+    const response = await get(`${baseUrl}/api/sheets-data`);
+    const body = response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.mock, true);
+    assert.equal(body.stale, false);
+    assert.equal(body.route[0].system_name, 'Sol');
+    assert.equal(body.fleetCarriers[0].callsign, 'K7Q-1ZZ');
+    assert.deepEqual(body.haulers, [], 'missing tabs are empty');
+    assert.equal((await get(`${baseUrl}/api/health`)).json().sheetsMock, true);
+    assert.deepEqual(fs.readdirSync(snapshotDir), []);
+  })));
+
+test('an unreadable mock tab fails the fetch', () =>
+  withMockSheets({ 'route.json': '{"rows": []}' }, mockDir =>
+    withServer({ GOOGLE_SHEETS_MOCK_DIR: mockDir }, async (baseUrl) => {
+      const response = await get(`${baseUrl}/api/sheets-data`);
+
+      assert.equal(response.status, 500);
+      assert.deepEqual(response.json(), { error: 'Failed to fetch sheet data' });
+    })));
+
+test('sheet data carries an ETag and unchanged data revalidates with a 304', () =>
+  withMockSheets({ 'route.csv': '#,System Name\n1,Sol\n' }, mockDir =>
+    withServer({ GOOGLE_SHEETS_MOCK_DIR: mockDir, SHEETS_CACHE_TTL_SECONDS: '120' }, async (baseUrl) => {
+      const first = await get(`${baseUrl}/api/sheets-data`);
+      assert.equal(first.status, 200);
+      assert.match(first.headers.etag, /^W\/"[0-9a-f]{16}"$/);
+      assert.match(first.headers['cache-control'], /^public, max-age=\d+, stale-while-revalidate=120$/);
+
+      const second = await get(`${baseUrl}/api/sheets-data`, { 'If-None-Match': first.headers.etag });
+      assert.equal(second.status, 304);
+      assert.equal(second.headers.etag, first.headers.etag);
+    })));
+
+test('snapshot data has its own ETag and is not cached by the browser', () =>
+  withServer(dir => {
+    fs.writeFileSync(path.join(dir, 'snapshot.json'), JSON.stringify(SNAPSHOT));
+    return {};
+  }, async (baseUrl) => {
+    const first = await get(`${baseUrl}/api/sheets-data`);
+    assert.match(first.headers.etag, /^W\/"[0-9a-f]{16}-stale"$/);
+    assert.equal(first.headers['cache-control'], 'no-cache');
+
+    const second = await get(`${baseUrl}/api/sheets-data`, { 'If-None-Match': first.headers.etag });
+    assert.equal(second.status, 304);
+  }));
@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const ORIGIN = 'http://localhost:3000';
+const source = readFileSync(new URL('../public/sw.js', import.meta.url), 'utf8');
+
+// Run sw.js against in-memory caches and the given network; returns a way to
+// dispatch fetch events, the caches by name and the URLs fetched
+function loadWorker(network) {
+    const caches = new Map();
+    const open = (name) => {
+        if (!caches.has(name)) caches.set(name, new Map());
+        const entries = caches.get(name);
+        const key = (request) => request.url ?? request;
+        return {
+            match: async (request) => entries.get(key(request))?.clone(),
+            put: async (request, response) => { entries.set(key(request), response); },
+            addAll: async () => {}
+        };
+    };
+
+    const listeners = {};
+    const requested = [];
+    vm.runInNewContext(source, {
+        self: {
+            location: { origin: ORIGIN },
+            addEventListener: (type, listener) => { listeners[type] = listener; }
+        },
+        caches: { open: async (name) => open(name), keys: async () => [...caches.keys()] },
+        fetch: async (request) => {
+            requested.push(request.url ?? request);
+            return network(request);
+        },
+        URL,
+        Headers,
+        Response,
+        setTimeout,
+        clearTimeout,
+        console
+    });
+
+    // Dispatch a GET and return what the worker responded with, or null if it let the request through
+    const dispatch = async (path, { mode = 'cors', method = 'GET' } = {}) => {
+        const url = path.startsWith('http') ? path : ORIGIN + path;
+        let responded = null;
+        const waits = [];
+        listeners.fetch({
+            request: { url, mode, method },
+            respondWith: (promise) => { responded = promise; },
+            waitUntil: (promise) => waits.push(promise)
+        });
+        const response = await responded;
+        await Promise.all(waits);
+        return response;
+    };
+    return { dispatch, caches, requested };
+}
+
+const json = (body, init = {}) => new Response(JSON.stringify(body), {
+    ...init,
+    headers: { 'Content-Type': 'application/json', Date: 'Tue, 03 Feb 3311 04:05:06 GMT', ...init.headers }
+});
+const offline = async () => { throw new TypeError('Failed to fetch'); };
+// Cache names carry a version that changes whenever the shell does
+const cacheNamed = (caches, prefix) => [...caches].find(([name]) => name.startsWith(prefix))?.[1];
+
+test('API data is fetched from the network first and cached', async () => {
+    const { dispatch, caches } = loadWorker(async () => json({ route: ['Sol'] }));
+
+    const response = await dispatch('/api/sheets-data');
+
+    assert.deepEqual(await response.json(), { route: ['Sol'] });
+    assert.equal(response.headers.get('X-Offline-Cache'), null);
+    assert.ok(cacheNamed(caches, 'oasis-data-').has('/api/sheets-data'));
+});
+
+test('offline, the cached copy is served and marked with when it was fetched', async () => {
+    let network = async () => json({ route: ['Sol'] });
+    const { dispatch } = loadWorker((request) => network(request));
+    await dispatch('/api/sheets-data');
+
+    network = offline;
+    const response = await dispatch('/api/sheets-data');
+
+    assert.deepEqual(await response.json(), { route: ['Sol'] });
+    assert.equal(response.headers.get('X-Offline-Cache'), 'Tue, 03 Feb 3311 04:05:06 GMT');
+});
+
+test('a server error falls back to the cached copy, a 404 does not', async () => {
+    let network = async () => json({ route: ['Sol'] });
+    const { dispatch } = loadWorker((request) => network(request));
+    await dispatch('/api/sheets-data');
+
+    network = async () => json({ error: 'Failed to fetch sheet data' }, { status: 500 });
+    const failed = await dispatch('/api/sheets-data');
+    assert.equal(failed.status, 200);
+    assert.ok(failed.headers.get('X-Offline-Cache'));
+
+    network = async () => json({ error: 'Not found' }, { status: 404 });
+    const missing = await dispatch('/api/sheets-data');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.headers.get('X-Offline-Cache'), null);
+});
+
+test('offline with nothing cached the network error reaches the page', async () => {
+    const { dispatch } = loadWorker(offline);
+    await assert.rejects(dispatch('/api/anchor-systems'), /Failed to fetch/);
+});
+
+test('navigations are cached as the shell page', async () => {
+    const { dispatch, caches } = loadWorker(async () => new Response('<html></html>'));
+    await dispatch('/?system=Sol', { mode: 'navigate' });
+    assert.ok(cacheNamed(caches, 'oasis-shell-').has('/'));
+});
+
+test('Three.js is served cache-first and uncached requests pass through', async () => {
+    const three = 'https://unpkg.com/three@0.158.0/build/three.module.js';
+    const { dispatch, requested } = loadWorker(async () => new Response('export {}'));
+
+    await dispatch(three);
+    await dispatch(three);
+    assert.deepEqual(requested, [three]);
+
+    assert.equal(await dispatch('/api/live'), null);
+    assert.equal(await dispatch('/api/sheets-data', { method: 'POST' }), null);
+    assert.equal(await dispatch('https://example.com/other.js'), null);
+});
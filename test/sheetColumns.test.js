@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  DEFAULT_SHEET_COLUMNS,
+  loadSheetColumns,
+  mergeSheetColumns,
+  normalizeHeader,
+  processSheetData
+} = require('../lib/sheetColumns');
+
+test('normalizeHeader strips case, spaces and punctuation', () => {
+  assert.equal(normalizeHeader('Claimed? '), 'claimed');
+  assert.equal(normalizeHeader('Assigned FC'), 'assignedfc');
+  assert.equal(normalizeHeader('#'), '#');
+  assert.equal(normalizeHeader(undefined), '');
+});
+
+test('route rows are mapped by header name regardless of column order', () => {
+  const { rows, warnings } = processSheetData('route', [
+    ['System Name', '#', 'Assigned FC', 'Completed? ', 'Claimed? ', 'Architect? '],
+    ['Trapezium Sector CM-S b5-0', '1', 'WNQ-WTW', 'TRUE', 'no', 'Mutahadir']
+  ]);
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(rows, [{
+    '#': 1,
+    'system_name': 'Trapezium Sector CM-S b5-0',
+    'claimed?_': false,
+    'completed?_': true,
+    'architect?_': 'Mutahadir',
+    'assigned_fc': 'WNQ-WTW'
+  }]);
+});
+
+test('missing, unknown and invalid columns produce warnings', () => {
+  const { rows, warnings } = processSheetData('hauler-manifest', [
+    ['Name', 'Tons Hauled', 'Notes'],
+    ['mutahadir', 'lots', 'hi'],
+    ['', '', '']
+  ]);
+
+  assert.equal(rows.length, 1, 'blank rows are skipped');
+  assert.equal(rows[0].tons_hauled, null);
+  assert.deepEqual(warnings.map(w => [w.type, w.column]), [
+    ['missing', 'last_action'],
+    ['unknown', 'Notes'],
+    ['invalid', 'tons_hauled']
+  ]);
+});
+
+test('timestamps without a zone are read as UTC', () => {
+  const { rows } = processSheetData('fc-manifest', [
+    ['Callsign', 'Name', 'Owner', 'Status', 'Timestamp', 'Location'],
+    ['WNQ-WTW', 'Oasis', 'cmdr', 'Docked', '2025-06-17 11:16:15', 'Sol']
+  ]);
+  assert.equal(rows[0].timestamp, '2025-06-17T11:16:15.000Z');
+});
+
+test('setup value column is matched by position, not by the expedition-name header', () => {
+  for (const expedition of ['OSC III ', 'OSC IV']) {
+    const { rows, warnings } = processSheetData('setup', [
+      ['Expedition Name:', expedition],
+      ['Expedition Keyword (6 characters):', 'osc3']
+    ]);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(rows, [{ 'expedition_name:': 'Expedition Keyword (6 characters):', value: 'osc3' }]);
+  }
+});
+
+test('unknown tabs are rejected', () => {
+  assert.throws(() => processSheetData('nope', [['a'], ['b']]), /No column mapping/);
+});
+
+test('overrides replace aliases for a key and keep the rest of the tab', () => {
+  const columns = mergeSheetColumns(DEFAULT_SHEET_COLUMNS, {
+    route: { assigned_fc: { aliases: ['Carrier'] } }
+  });
+
+  assert.deepEqual(columns.route.assigned_fc, { aliases: ['carrier'], type: 'string' });
+  assert.deepEqual(columns.route['#'], DEFAULT_SHEET_COLUMNS.route['#']);
+
+  const { rows } = processSheetData('route', [
+    ['#', 'System Name', 'Claimed?', 'Completed?', 'Architect?', 'Carrier'],
+    ['1', 'Sol', 'TRUE', 'FALSE', '', 'WNQ-WTW']
+  ], columns);
+  assert.equal(rows[0].assigned_fc, 'WNQ-WTW');
+});
+
+test('malformed overrides are rejected with the offending column named', () => {
+  assert.throws(
+    () => mergeSheetColumns(DEFAULT_SHEET_COLUMNS, { route: { '#': { aliases: ['#'], type: 'int' } } }),
+    /route\.#.*unknown type "int"/
+  );
+  assert.throws(
+    () => mergeSheetColumns(DEFAULT_SHEET_COLUMNS, { setup: { value: { column: -1 } } }),
+    /setup\.value.*non-negative integer/
+  );
+  assert.throws(
+    () => mergeSheetColumns(DEFAULT_SHEET_COLUMNS, { route: { extra: {} } }),
+    /route\.extra.*"aliases" array or a "column" index/
+  );
+});
+
+test('SHEET_COLUMNS_FILE is read and merged over the defaults', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheet-columns-'));
+  const file = path.join(dir, 'columns.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify({ 'hauler-manifest': { name: { aliases: ['CMDR Name'] } } }));
+    const columns = loadSheetColumns({ SHEET_COLUMNS_FILE: file });
+    assert.deepEqual(columns['hauler-manifest'].name.aliases, ['cmdrname']);
+
+    fs.writeFileSync(file, '{ not json');
+    assert.throws(() => loadSheetColumns({ SHEET_COLUMNS_FILE: file }), /Could not load SHEET_COLUMNS_FILE/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a malformed SHEET_COLUMNS_FILE is reported and the defaults are used', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheet-columns-'));
+  const file = path.join(dir, 'columns.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify({ route: { system_name: { type: 'text' } } }));
+    const result = spawnSync(process.execPath, [
+      '-e',
+      "console.log(JSON.stringify(require('./lib/sheetColumns').SHEET_COLUMNS.route.system_name))"
+    ], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, SHEET_COLUMNS_FILE: file },
+      encoding: 'utf8'
+    });
+
+    assert.equal(result.status, 0);
+    assert.match(result.stderr, /Invalid SHEET_COLUMNS_FILE .*"route\.system_name" has unknown type "text".* - using the built-in sheet columns/);
+    assert.deepEqual(JSON.parse(result.stdout), { aliases: ['systemname', 'system'], type: 'string' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
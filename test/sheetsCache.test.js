@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SheetsCache, hashValueRanges } = require('../lib/sheetsCache');
+
+const valueRanges = [{ range: 'route!A1:B2', values: [['#', 'System Name'], ['1', 'Sol']] }];
+
+// Collect console.error calls while fn runs
+async function captureErrors(fn) {
+  const original = console.error;
+  const errors = [];
+  console.error = (...args) => errors.push(args);
+  try {
+    await fn();
+  } finally {
+    console.error = original;
+  }
+  return errors;
+}
+
+test('a throwing onRefresh listener does not count as a Sheets failure', async () => {
+  const cache = new SheetsCache({
+    fetchValueRanges: async () => valueRanges,
+    ttlMs: 60 * 1000,
+    onRefresh: () => { throw new Error('diff bug'); }
+  });
+
+  let entry;
+  const errors = await captureErrors(async () => {
+    entry = await cache.refresh();
+  });
+
+  assert.deepEqual(entry.valueRanges, valueRanges);
+  assert.equal(cache.failures, 0);
+  assert.equal(cache.lastError, null);
+  assert.equal(cache.nextAttemptAt, 0);
+  assert.equal(cache.isStale(), false);
+  assert.match(errors[0][0], /listener failed/);
+});
+
+test('failed fetches back off exponentially and keep the previous entry', async () => {
+  let fail = false;
+  const cache = new SheetsCache({
+    fetchValueRanges: async () => {
+      if (fail) throw new Error('auth');
+      return valueRanges;
+    },
+    ttlMs: 0,
+    backoffBaseMs: 1000
+  });
+
+  await cache.refresh();
+  fail = true;
+  const start = Date.now();
+  let entry;
+  await captureErrors(async () => {
+    entry = await cache.refresh();
+  });
+
+  assert.deepEqual(entry.valueRanges, valueRanges);
+  assert.equal(cache.failures, 1);
+  assert.equal(cache.isStale(), true);
+  assert.ok(cache.nextAttemptAt >= start + 1000);
+});
+
+test('the ETag hash follows the sheet contents', () => {
+  const copy = JSON.parse(JSON.stringify(valueRanges));
+  const changed = [{ ...valueRanges[0], values: [['#', 'System Name'], ['1', 'Achenar']] }];
+
+  assert.equal(hashValueRanges(copy), hashValueRanges(valueRanges));
+  assert.notEqual(hashValueRanges(changed), hashValueRanges(valueRanges));
+});
+
+test('a seeded snapshot is served stale at once while a refresh replaces it', async () => {
+  let fetches = 0;
+  const cache = new SheetsCache({
+    fetchValueRanges: async () => {
+      fetches++;
+      return valueRanges;
+    },
+    ttlMs: 60 * 1000
+  });
+  cache.seed({ valueRanges: [], capturedAt: '3311-01-01T00:00:00.000Z' });
+
+  const pending = cache.get();
+  assert.equal(cache.isStale(), true);
+  assert.equal(cache.secondsUntilExpiry(), 0);
+  assert.equal((await pending).capturedAt, '3311-01-01T00:00:00.000Z', 'get() does not wait for Google');
+
+  await new Promise(resolve => setImmediate(resolve));
+  const refreshed = await cache.get();
+  assert.equal(fetches, 1);
+  assert.deepEqual(refreshed.valueRanges, valueRanges);
+  assert.equal(cache.isStale(), false);
+  assert.equal(refreshed.hash, hashValueRanges(valueRanges));
+});
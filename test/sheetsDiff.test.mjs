@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffSheetsData, applySheetsChanges } from '../public/js/sheetsDiff.js';
+
+const routeRow = (name, claimed, completed) => ({
+    '#': 1, 'system_name': name, 'claimed?_': claimed, 'completed?_': completed, 'architect?_': '', 'assigned_fc': ''
+});
+const carrier = (callsign, location, status = 'Docked') => ({ callsign, name: callsign, location, status });
+
+const before = {
+    route: [routeRow('Alpha', false, false), routeRow('Beta', true, false), routeRow('Gamma', true, true)],
+    fleetCarriers: [carrier('AAA-111', 'Sol'), carrier('BBB-222', 'Colonia')]
+};
+const after = {
+    route: [routeRow('alpha ', true, false), routeRow('Beta', true, true), routeRow('Delta', false, false)],
+    fleetCarriers: [carrier('aaa-111', 'Achenar', 'Jumping'), carrier('CCC-333', 'Sol')]
+};
+
+test('diffSheetsData describes route and carrier changes, route first', () => {
+    const events = diffSheetsData(before, after);
+    assert.deepEqual(events.map(e => [e.type, e.system ?? e.callsign]), [
+        ['systemClaimed', 'alpha '],
+        ['systemCompleted', 'Beta'],
+        ['systemAdded', 'Delta'],
+        ['systemRemoved', 'Gamma'],
+        ['carrierMoved', 'aaa-111'],
+        ['carrierStatusChanged', 'aaa-111'],
+        ['carrierAdded', 'CCC-333'],
+        ['carrierRemoved', 'BBB-222']
+    ]);
+});
+
+test('un-completing a system is a status change', () => {
+    const events = diffSheetsData(
+        { route: [routeRow('Alpha', true, true)] },
+        { route: [routeRow('Alpha', true, false)] }
+    );
+    assert.deepEqual(events.map(e => e.type), ['systemStatusChanged']);
+    assert.equal(events[0].previous['completed?_'], true);
+});
+
+test('identical or missing data has no changes', () => {
+    assert.deepEqual(diffSheetsData(before, structuredClone(before)), []);
+    assert.deepEqual(diffSheetsData(null, null), []);
+});
+
+test('applySheetsChanges is the inverse of diffSheetsData', () => {
+    const applied = applySheetsChanges(before, diffSheetsData(before, after));
+    assert.deepEqual(diffSheetsData(applied, after), []);
+    assert.equal(applied.route.length, 3);
+    assert.equal(applied.fleetCarriers.length, 2);
+    assert.equal(before.route.length, 3, 'input is not modified');
+    assert.equal(before.fleetCarriers[0].location, 'Sol');
+});
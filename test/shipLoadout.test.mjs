@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFsd, parseShip, jumpRangeFor, jumpFuelFor, shipJumpRanges } from '../public/js/shipLoadout.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message ?? ''} ${actual} ≈ ${expected}`);
+
+// A Loadout event; drive is an item name or a whole FrameShiftDrive module
+function loadout(drive, modules = []) {
+    return JSON.stringify({
+        event: 'Loadout',
+        Ship: 'anaconda',
+        ShipName: 'Hauler',
+        UnladenMass: 400,
+        FuelCapacity: { Main: 32, Reserve: 1.07 },
+        CargoCapacity: 64,
+        Modules: [typeof drive === 'string' ? { Slot: 'FrameShiftDrive', Item: drive } : drive, ...modules]
+    });
+}
+
+test('createFsd looks up stock stats and keeps engineered overrides', () => {
+    const fsd = createFsd(5, 'A');
+    assert.deepEqual(fsd, { class: 5, rating: 'A', optimalMass: 1050, maxFuelPerJump: 5, linearConstant: 0.012, powerConstant: 2.45 });
+    assert.equal(createFsd(5, 'A', { optimalMass: 1800 }).optimalMass, 1800);
+    assert.throws(() => createFsd(8, 'A'), /Unknown frame shift drive 8A/);
+});
+
+test('jumpRangeFor follows the FSD formula and caps fuel at the max per jump', () => {
+    const fsd = createFsd(5, 'A');
+    close(jumpRangeFor(fsd, 1050, 5), Math.pow(5 / 0.012, 1 / 2.45));
+    close(jumpRangeFor(fsd, 1050, 5), 11.730095, 'class 5A at optimal mass');
+    assert.equal(jumpRangeFor(fsd, 1050, 50), jumpRangeFor(fsd, 1050, 5));
+    close(jumpRangeFor(fsd, 2100, 5), jumpRangeFor(fsd, 1050, 5) / 2, 'twice the mass, half the range');
+    close(jumpRangeFor(fsd, 1050, 5, 10.5), jumpRangeFor(fsd, 1050, 5) + 10.5, 'guardian booster');
+    assert.equal(jumpRangeFor(fsd, 1050, 0), 0);
+});
+
+test('jumpFuelFor burns the max fuel per jump on a full-range jump', () => {
+    const fsd = createFsd(4, 'A');
+    const range = jumpRangeFor(fsd, 400, fsd.maxFuelPerJump);
+    close(jumpFuelFor(fsd, 400, range), fsd.maxFuelPerJump);
+    close(jumpFuelFor(fsd, 400, range / 2), fsd.maxFuelPerJump * Math.pow(0.5, fsd.powerConstant));
+
+    // With a booster the longer full-range jump still costs the max
+    close(jumpFuelFor(fsd, 400, range + 9.25, 9.25), fsd.maxFuelPerJump);
+});
+
+test('a journal Loadout event reads the drive, engineering, booster and masses', () => {
+    const ship = parseShip(loadout({
+        Slot: 'FrameShiftDrive',
+        Item: 'Int_Hyperdrive_Size5_Class5',
+        Engineering: { Modifiers: [{ Label: 'FSDOptimalMass', Value: 1735.5 }] }
+    }, [{ Slot: 'Slot01_Size5', Item: 'int_guardianfsdbooster_size5' }]));
+
+    assert.equal(ship.name, 'Hauler');
+    assert.deepEqual([ship.fsd.class, ship.fsd.rating, ship.fsd.optimalMass, ship.fsd.maxFuelPerJump], [5, 'A', 1735.5, 5]);
+    assert.equal(ship.guardianBonus, 10.5);
+    assert.deepEqual([ship.unladenMass, ship.fuelCapacity, ship.cargoCapacity], [400, 32, 64]);
+});
+
+test('supercruise overcharge drives are rejected rather than read as stock drives', () => {
+    assert.throws(() => parseShip(loadout('int_hyperdrive_overcharge_size5_class5')), /overcharge \(SCO\).*not supported/);
+    assert.throws(() => parseShip(loadout('int_shieldgenerator_size5_class5')), /no frame shift drive/);
+});
+
+test('a build JSON is read and validated', () => {
+    const ship = parseShip(JSON.stringify({ name: 'Explorer', fsd: { class: 4, rating: 'a' }, unladenMass: 300, fuelCapacity: 16 }));
+    assert.equal(ship.fsd.optimalMass, 525);
+    assert.equal(ship.cargoCapacity, 0);
+
+    assert.throws(() => parseShip('{'), /Not valid JSON/);
+    assert.throws(() => parseShip('{"unladenMass": 300}'), /needs an fsd/);
+    assert.throws(() => parseShip('{"fsd": {"class": 4, "rating": "A"}, "fuelCapacity": 16}'), /unladen mass/);
+});
+
+test('laden range is shorter than unladen and current sits between them', () => {
+    const ship = parseShip(JSON.stringify({ fsd: { class: 4, rating: 'A' }, unladenMass: 368, fuelCapacity: 32, cargoCapacity: 64 }));
+    const ranges = shipJumpRanges(ship, 32);
+    close(ranges.unladen, jumpRangeFor(ship.fsd, 400, 3));
+    close(ranges.unladen, 14.477112, 'class 4A at 400 t');
+    assert.ok(ranges.laden < ranges.current && ranges.current < ranges.unladen);
+});
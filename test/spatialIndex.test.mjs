@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpatialIndex, createSystemFilter } from '../public/js/spatialIndex.js';
+
+// A deterministic cloud of systems on a 10 LY lattice
+const systems = [];
+for (let x = 0; x < 10; x++) {
+    for (let y = 0; y < 5; y++) {
+        for (let z = 0; z < 5; z++) {
+            systems.push({
+                name: `S${x}-${y}-${z}`,
+                coords: { x: x * 10, y: y * 10 - 20, z: z * 10 + 500 },
+                primaryStar: { type: x % 2 ? 'K (Yellow-Orange) Star' : 'M (Red dwarf) Star', isScoopable: x % 2 === 1 },
+                information: x === 3 ? { population: 1000 * (y + 1) } : {},
+                anchor_system: x < 5 ? 'Trapezium' : 'Witch Head'
+            });
+        }
+    }
+}
+systems.push({ name: 'No coords' });
+
+const bruteForce = (center, radius) => systems
+    .filter(system => system.coords)
+    .map(system => ({ system, distance: Math.hypot(
+        system.coords.x - center.x, system.coords.y - center.y, system.coords.z - center.z) }))
+    .filter(({ distance }) => distance <= radius)
+    .sort((a, b) => a.distance - b.distance);
+
+test('systems without coordinates are left out and names resolve case-insensitively', () => {
+    const index = new SpatialIndex(systems);
+    assert.equal(index.size, 250);
+    assert.equal(index.indexOf('s3-1-2'), index.systems.findIndex(system => system.name === 'S3-1-2'));
+    assert.equal(index.indexOf('No coords'), -1);
+});
+
+test('within matches a brute-force scan for several cell sizes', () => {
+    const center = { x: 33, y: -4, z: 521 };
+    const expected = bruteForce(center, 27).map(({ system }) => system.name);
+
+    for (const cellSize of [5, 25, 200]) {
+        const found = new SpatialIndex(systems, { cellSize }).within(center, 27);
+        assert.deepEqual(found.map(({ system }) => system.name).sort(), [...expected].sort(), `cell size ${cellSize}`);
+        assert.ok(found.every((match, i) => i === 0 || found[i - 1].distance <= match.distance), 'nearest first');
+    }
+});
+
+test('within applies exclude, filter and limit', () => {
+    const index = new SpatialIndex(systems);
+    const center = systems[0].coords;
+
+    const found = index.within(center, 30, { exclude: 'S0-0-0', limit: 3 });
+    assert.equal(found.length, 3);
+    assert.ok(found.every(({ system, distance }) => system.name !== 'S0-0-0' && distance === 10));
+
+    const scoopable = index.within(center, 30, { filter: createSystemFilter({ scoopable: true }) });
+    assert.ok(scoopable.length > 0);
+    assert.ok(scoopable.every(({ system }) => system.primaryStar.isScoopable));
+});
+
+test('nearest grows its search until it finds enough systems', () => {
+    const index = new SpatialIndex(systems, { cellSize: 5 });
+    const center = { x: -200, y: 0, z: 520 };
+
+    assert.deepEqual(index.nearest(center, 2, 150), []);
+    const found = index.nearest(center, 2, 250);
+    assert.equal(found.length, 2);
+    assert.ok(found.every(({ system }) => system.coords.x === 0));
+});
+
+test('withCellSize shares system positions with the original grid', () => {
+    const index = new SpatialIndex(systems);
+    const coarse = index.withCellSize(100);
+    assert.equal(index.withCellSize(100), coarse, 'built once');
+    assert.equal(index.withCellSize(index.cellSize), index);
+    assert.equal(coarse.systems[42], index.systems[42]);
+});
+
+test('createSystemFilter combines star type, population and anchor criteria', () => {
+    assert.equal(createSystemFilter({}), null);
+
+    const filter = createSystemFilter({ starTypes: [' k '], minPopulation: 2000, anchor: 'trapezium' });
+    const matches = systems.filter(system => system.coords && filter(system));
+    // x = 3 is the populated, K-type column; population is 1000 × (y index + 1)
+    assert.equal(matches.length, 20);
+    assert.ok(matches.every(system => system.coords.x === 30 && system.information.population >= 2000));
+
+    const witchHead = createSystemFilter({ anchor: 'Witch Head', maxPopulation: 0 });
+    assert.ok(systems.filter(system => system.coords && witchHead(system)).every(system => system.coords.x >= 50));
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeSystems, decodeSystems, unpackSystems } from '../public/js/systemsPack.js';
+
+// Records as scripts/build-systems.js writes them (coordinates on the 1/32 LY grid)
+const data = {
+    last_updated: '2025-06-17T11:16:15.000Z',
+    systems: [
+        {
+            distance: 12.34,
+            bodyCount: 7,
+            name: 'Trapezium Sector CM-S b5-0',
+            id: 9876543,
+            id64: 5068464399057,
+            coords: { x: 594.46875, y: -431.40625, z: -1072.4375 },
+            coordsLocked: true,
+            requirePermit: false,
+            information: {},
+            primaryStar: { type: 'M (Red dwarf) Star', name: 'Trapezium Sector CM-S b5-0 A', isScoopable: true },
+            anchor_system: 'Trapezium',
+            anchor_description: 'Orion Nebula core',
+            permitName: null
+        },
+        {
+            distance: 0,
+            bodyCount: 40,
+            name: 'Sol',
+            id: 27,
+            id64: 10477373803,
+            coords: { x: 0, y: 0, z: 0 },
+            coordsLocked: true,
+            requirePermit: true,
+            information: {
+                allegiance: 'Federation',
+                government: 'Democracy',
+                faction: 'Mother Gaia',
+                population: 22780919531,
+                economy: 'Refinery',
+                secondEconomy: 'Service',
+                reserve: 'Common'
+            },
+            primaryStar: { type: 'G (White-Yellow) Star', name: 'Sol', isScoopable: true },
+            anchor_system: 'Trapezium',
+            anchor_description: 'Orion Nebula core',
+            permitName: 'Sol'
+        },
+        {
+            name: 'Orion Sector XY-Z a1-0',
+            coords: { x: 600, y: -420.5, z: -1100.03125 },
+            coordsLocked: false,
+            requirePermit: false,
+            information: { population: 0 },
+            primaryStar: { type: 'Neutron Star', name: 'Some Other Star', isScoopable: false, age: 100 },
+            anchor_system: null,
+            anchor_description: null,
+            permitName: null,
+            notes: 'kept as an extra field'
+        }
+    ]
+};
+
+const roundTrip = source => decodeSystems(encodeSystems(source).buffer);
+
+test('unpacked systems equal the JSON records apart from index', () => {
+    const packed = roundTrip(data);
+    const systems = unpackSystems(packed);
+
+    assert.equal(packed.last_updated, data.last_updated);
+    assert.equal(packed.count, 3);
+    assert.deepEqual(systems.map(({ index, ...system }) => system), data.systems);
+    assert.deepEqual(systems.map(system => system.index), [0, 1, 2]);
+});
+
+test('coordinates are also available as a flat typed array', () => {
+    const { coords } = roundTrip(data);
+    assert.ok(coords instanceof Float32Array);
+    assert.deepEqual([...coords.slice(0, 3)], [594.46875, -431.40625, -1072.4375]);
+});
+
+test('an empty database round-trips', () => {
+    const packed = roundTrip({ last_updated: null, systems: [] });
+    assert.equal(packed.count, 0);
+    assert.deepEqual(unpackSystems(packed), []);
+});
+
+test('unknown formats are rejected', () => {
+    const bytes = encodeSystems(data);
+    bytes[4] = 1; // version 1 lacked ids, star names and extras
+    assert.throws(() => decodeSystems(bytes.buffer), /Unsupported packed systems format \(OSYS v1\)/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateSystems, validateSystem, logValidationReport } = require('../lib/systemsSchema');
+
+const sol = {
+  name: 'Sol',
+  coords: { x: 0, y: 0, z: 0 },
+  primaryStar: { type: 'G (White-Yellow) Star', name: 'Sol', isScoopable: true },
+  information: { population: 22780919531 },
+  requirePermit: true,
+  anchor_system: null,
+  anchor_description: null
+};
+
+test('a well-formed record passes through untouched', () => {
+  const result = validateSystem(sol);
+  assert.deepEqual(result, { system: sol, problems: [], rejected: false });
+});
+
+test('legacy and stringly-typed fields are repaired', () => {
+  const { system, problems, rejected } = validateSystem({
+    name: ' Achenar ',
+    x: '67.5', y: -119.46875, z: '24.84375',
+    primaryStar: { type: 'B (Blue-White) Star', isScoopable: 'TRUE' },
+    information: { population: '12000' },
+    bodyCount: '13',
+    requirePermit: 'false'
+  });
+
+  assert.equal(rejected, false);
+  assert.deepEqual(system, {
+    name: 'Achenar',
+    coords: { x: 67.5, y: -119.46875, z: 24.84375 },
+    primaryStar: { type: 'B (Blue-White) Star', isScoopable: true },
+    information: { population: 12000 },
+    bodyCount: 13,
+    requirePermit: false
+  });
+  assert.equal(problems.length, 8);
+  assert.ok(problems.includes('moved top-level x/y/z into "coords"'));
+  assert.ok(problems.includes('trimmed whitespace around name'));
+
+  const moved = validateSystem({ name: 'Moved', coordinates: { x: 1, y: 2, z: 3 }, primaryStar: 'M (Red dwarf) Star' });
+  assert.deepEqual(moved.system, { name: 'Moved', coords: { x: 1, y: 2, z: 3 }, primaryStar: { type: 'M (Red dwarf) Star', isScoopable: false } });
+});
+
+test('records that cannot be placed on the map are rejected', () => {
+  assert.deepEqual(validateSystem(null).problems, ['record is not an object']);
+  assert.deepEqual(validateSystem({ coords: { x: 0, y: 0, z: 0 } }).problems, ['missing name']);
+  assert.deepEqual(validateSystem({ name: 'Lost' }).problems, ['missing coords']);
+  assert.deepEqual(validateSystem({ name: 'Bad', coords: { x: 0, y: 'north', z: 0 } }).problems, ['coords.y is not a number ("north")']);
+});
+
+test('an anchor description without an anchor system is dropped', () => {
+  const { system, problems } = validateSystem({ ...sol, anchor_system: '', anchor_description: 'Orphan' });
+  assert.equal(system.anchor_system, null);
+  assert.equal(system.anchor_description, null);
+  assert.deepEqual(problems, ['dropped anchor_description without an anchor_system']);
+});
+
+test('validateSystems counts repairs and rejects later duplicates', () => {
+  const { systems, report } = validateSystems([sol, { ...sol, coords: { x: 1, y: 1, z: 1 } }, { name: 'Barnard\'s Star', coords: { x: '-3.03', y: 1.375, z: 4.9375 } }, 42]);
+
+  assert.deepEqual(systems.map(system => system.name), ['Sol', 'Barnard\'s Star']);
+  assert.deepEqual(systems[0], sol);
+  assert.deepEqual({ ...report, issues: report.issues.map(({ index, action }) => [index, action]) }, {
+    total: 4,
+    accepted: 2,
+    repaired: 1,
+    rejected: 2,
+    issues: [[1, 'rejected'], [2, 'repaired'], [3, 'rejected']]
+  });
+  assert.match(report.issues[0].problems[0], /duplicate of an earlier "Sol"/);
+});
+
+test('the log shows a summary and at most ten issues', () => {
+  const records = Array.from({ length: 12 }, (_, i) => ({ name: `S${i}` }));
+  const lines = [];
+  logValidationReport(validateSystems(records).report, line => lines.push(line));
+
+  assert.equal(lines[0], '⚠️ Validated 12 systems: 0 accepted (0 repaired), 12 rejected');
+  assert.equal(lines.length, 12);
+  assert.equal(lines[11], '   ... and 2 more');
+});
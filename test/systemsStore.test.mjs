@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SystemsStore } from '../public/js/systemsStore.js';
+import { DataManager } from '../public/js/dataManager.js';
+
+// In-memory stand-in for the parts of IndexedDB SystemsStore uses; requests
+// complete on a later turn like the real thing, after their handlers are set
+function installIndexedDB() {
+    const stores = new Map();
+    const complete = (request, run) => {
+        setImmediate(() => {
+            try {
+                request.result = run();
+                request.onsuccess?.();
+            } catch (error) {
+                request.error = error;
+                request.onerror?.();
+            }
+        });
+        return request;
+    };
+    const db = {
+        createObjectStore: (name) => stores.set(name, new Map()),
+        transaction: (name) => ({
+            objectStore: () => {
+                const store = stores.get(name);
+                return {
+                    get: (key) => complete({}, () => store.get(key)),
+                    put: (value, key) => complete({}, () => {
+                        store.set(key, value);
+                        return key;
+                    }),
+                    delete: (key) => complete({}, () => {
+                        store.delete(key);
+                    })
+                };
+            }
+        })
+    };
+
+    globalThis.indexedDB = {
+        open: () => complete({ result: db }, () => {
+            if (stores.size === 0) db.createObjectStore('systems');
+            return db;
+        })
+    };
+    return stores;
+}
+
+// Serve the version endpoint and the JSON database; the packed encoding is
+// unavailable so downloads take the JSON path. Returns the requested URLs.
+function installServer({ version, data }) {
+    const requests = [];
+    globalThis.fetch = async (url) => {
+        requests.push(url);
+        if (url === '/api/visualization-data/version') {
+            if (version instanceof Error) throw version;
+            return { ok: true, json: async () => ({ version }) };
+        }
+        if (url === '/api/visualization-data') {
+            return { ok: true, json: async () => data };
+        }
+        return { ok: false, status: 404, statusText: 'Not Found' };
+    };
+    return requests;
+}
+
+async function quietly(fn) {
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+}
+
+const database = (version, name) => ({ last_updated: version, systems: [{ name, coords: { x: 0, y: 0, z: 0 } }] });
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('SystemsStore keeps one entry tagged with its version', () => quietly(async () => {
+    installIndexedDB();
+    const store = new SystemsStore();
+
+    assert.equal(await store.get(), null);
+    await store.put('3311-01-01', 'json', database('3311-01-01', 'Sol'));
+    const entry = await store.get();
+    assert.equal(entry.version, '3311-01-01');
+    assert.equal(entry.format, 'json');
+    assert.equal(entry.payload.systems[0].name, 'Sol');
+
+    await store.clear();
+    assert.equal(await store.get(), null);
+}));
+
+test('the stored database is reused while its version matches the server', () => quietly(async () => {
+    installIndexedDB();
+    await new SystemsStore().put('v1', 'json', database('v1', 'Sol'));
+    const requests = installServer({ version: 'v1', data: database('v1', 'Achenar') });
+
+    const data = await new DataManager().loadVisualizationData();
+
+    assert.equal(data.systems[0].name, 'Sol');
+    assert.ok(data.systemsLookup.Sol);
+    assert.deepEqual(requests, ['/api/visualization-data/version']);
+}));
+
+test('a new server version is downloaded and replaces the stored database', () => quietly(async () => {
+    installIndexedDB();
+    const store = new SystemsStore();
+    await store.put('v1', 'json', database('v1', 'Sol'));
+    installServer({ version: 'v2', data: database('v2', 'Achenar') });
+
+    const data = await new DataManager().loadVisualizationData();
+    await settle();
+
+    assert.equal(data.systems[0].name, 'Achenar');
+    const entry = await store.get();
+    assert.equal(entry.version, 'v2');
+    assert.equal(entry.payload.systems[0].name, 'Achenar');
+}));
+
+test('the stored database is used when the server cannot be reached', () => quietly(async () => {
+    installIndexedDB();
+    await new SystemsStore().put('v1', 'json', database('v1', 'Sol'));
+    const requests = installServer({ version: new Error('offline') });
+
+    const data = await new DataManager().loadVisualizationData();
+
+    assert.equal(data.systems[0].name, 'Sol');
+    assert.deepEqual(requests, ['/api/visualization-data/version']);
+}));
+
+test('without IndexedDB nothing is stored and the database is downloaded', () => quietly(async () => {
+    delete globalThis.indexedDB;
+    const store = new SystemsStore();
+    await store.put('v1', 'json', database('v1', 'Sol'));
+    assert.equal(await store.get(), null);
+
+    installServer({ version: 'v1', data: database('v1', 'Achenar') });
+    const data = await new DataManager().loadVisualizationData();
+    assert.equal(data.systems[0].name, 'Achenar');
+}));
@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UIController } from '../public/js/uiController.js';
+
+// Just enough DOM for the toasts and the history drawer. innerHTML only
+// creates the elements that carry a class, flat, so querySelector('.x') finds them.
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.id = '';
+        this.className = '';
+        this.title = '';
+        this.textContent = '';
+        this.style = {};
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = [];
+        this.classList = {
+            contains: (name) => this.className.split(/\s+/).includes(name),
+            toggle: (name, force = !this.classList.contains(name)) => {
+                const names = this.className.split(/\s+/).filter(n => n && n !== name);
+                this.className = (force ? [...names, name] : names).join(' ');
+            }
+        };
+    }
+
+    set innerHTML(html) {
+        this.children = [];
+        for (const [, tagName, className] of html.matchAll(/<(\w+)[^>]*class="([^"]+)"/g)) {
+            const child = new FakeElement(tagName);
+            child.className = className;
+            this.appendChild(child);
+        }
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    append(...children) {
+        children.forEach(child => this.appendChild(child));
+    }
+
+    removeChild(child) {
+        this.children.splice(this.children.indexOf(child), 1);
+        child.parentNode = null;
+    }
+
+    addEventListener(type, listener) {
+        if (type === 'click') this.listeners.push(listener);
+    }
+
+    click() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    querySelector(selector) {
+        const className = selector.slice(1);
+        for (const child of this.children) {
+            if (child.classList.contains(className)) return child;
+            const found = child.querySelector(selector);
+            if (found) return found;
+        }
+        return null;
+    }
+}
+
+function createController() {
+    const body = new FakeElement('body');
+    globalThis.document = {
+        body,
+        createElement: (tagName) => new FakeElement(tagName),
+        getElementById: () => null
+    };
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return new UIController();
+    } finally {
+        console.log = log;
+    }
+}
+
+const historyMessages = (ui) => ui.historyDrawer.querySelector('.notification-history-list').children
+    .map(item => item.querySelector('.notification-history-message')?.textContent);
+const badge = (ui) => ui.historyToggle.querySelector('.notification-history-badge');
+
+test('a toast is shown, recorded in the history and counted as unread', () => {
+    const ui = createController();
+    ui.showNotification('Sol completed by Jameson', 'success', 0);
+
+    const [toast] = ui.notificationContainer.children;
+    assert.equal(toast.textContent, 'Sol completed by Jameson');
+    assert.equal(toast.className, 'notification notification-success');
+    assert.deepEqual(historyMessages(ui), ['Sol completed by Jameson']);
+    assert.equal(badge(ui).textContent, 1);
+    assert.equal(badge(ui).style.display, 'flex');
+});
+
+test('clicking a toast or its history entry runs its action', () => {
+    const ui = createController();
+    let focused = 0;
+    ui.showNotification('K7Q-1ZZ jumped to Achenar', 'info', 0, { onClick: () => focused++ });
+
+    const [toast] = ui.notificationContainer.children;
+    assert.equal(toast.title, 'Click to focus');
+    toast.click();
+    assert.equal(focused, 1);
+    assert.equal(toast.style.transform, 'translateX(100%)', 'the toast is dismissed');
+
+    const [item] = ui.historyDrawer.querySelector('.notification-history-list').children;
+    assert.ok(item.classList.contains('clickable'));
+    item.click();
+    assert.equal(focused, 2);
+});
+
+test('opening the drawer clears the unread count and newer entries come first', () => {
+    const ui = createController();
+    ui.addToHistory('first', 'info');
+    ui.addToHistory('second', 'warning');
+    assert.equal(badge(ui).textContent, 2);
+
+    ui.toggleHistoryDrawer(true);
+    assert.equal(badge(ui).style.display, 'none');
+    ui.addToHistory('third', 'info');
+    assert.equal(ui.unreadCount, 0, 'entries added while the drawer is open are read');
+    assert.deepEqual(historyMessages(ui), ['third', 'second', 'first']);
+});
+
+test('history keeps the newest entries up to its limit and can be cleared', () => {
+    const ui = createController();
+    for (let i = 1; i <= ui.maxHistory + 5; i++) {
+        ui.addToHistory(`update ${i}`, 'info');
+    }
+
+    assert.equal(ui.history.length, ui.maxHistory);
+    assert.equal(ui.history[0].message, `update ${ui.maxHistory + 5}`);
+    assert.equal(badge(ui).textContent, '9+');
+
+    ui.clearHistory();
+    assert.deepEqual(ui.history, []);
+    assert.equal(badge(ui).style.display, 'none');
+    assert.equal(ui.historyDrawer.querySelector('.notification-history-empty').className, 'notification-history-empty');
+});